@@ -1,10 +1,51 @@
 const { addonBuilder } = require("stremio-addon-sdk");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const fetch = require("node-fetch").default;
 const logger = require("./utils/logger");
+const fs = require("fs");
 const path = require("path");
-const { decryptConfig } = require("./utils/crypto");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { decryptConfig, encryptConfig } = require("./utils/crypto");
 const { withRetry } = require("./utils/apiRetry");
+const {
+  createAIProvider,
+  getAIProviderName,
+  validateAIProviderConfig,
+} = require("./utils/aiProvider");
+const { filterValidItems } = require("./utils/aiSchema");
+const {
+  normalizeTitle,
+  pickBestTmdbMatch,
+  titleSimilarity,
+} = require("./utils/titleMatch");
+const {
+  createPlaceholderMeta,
+  createPlaceholderMetas,
+  getPlaceholderKindForError,
+  parsePlaceholderId,
+} = require("./utils/placeholders");
+const { formatTraktListItems, saveToTraktList } = require("./utils/traktLists");
+const { hashSeed, seededShuffle } = require("./utils/seededRandom");
+const {
+  hasDiscoverFilters,
+  validateDiscoverParams,
+} = require("./utils/discoverParams");
+const { TRAKT_API_BASE, refreshTraktToken } = require("./utils/traktAuth");
+const { buildTraktIdIndex, hasTraktId } = require("./utils/traktIndex");
+const {
+  loadTraktSnapshot,
+  saveTraktSnapshot,
+} = require("./utils/traktSnapshot");
+const {
+  buildTasteProfile,
+  formatTasteProfile,
+  getTopWeightedTitles,
+  isDislikedRating,
+  isLikedRating,
+  normalizeRating,
+  parseTraktPeople,
+} = require("./utils/tasteProfile");
 const TMDB_API_BASE = "https://api.themoviedb.org/3";
 const TMDB_CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 day cache for TMDB
 const TMDB_DISCOVER_CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 day cache for TMDB discover (was 12 hours)
@@ -12,11 +53,49 @@ const AI_CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 day cache for AI
 const RPDB_CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 day cache for RPDB
 const DEFAULT_RPDB_KEY = process.env.RPDB_API_KEY;
 const ENABLE_LOGGING = process.env.ENABLE_LOGGING === "true" || false;
-const TRAKT_API_BASE = "https://api.trakt.tv";
 const TRAKT_CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours
 const TRAKT_RAW_DATA_CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days
+const TRAKT_PAGE_SIZE = 100; // Items per page of paginated Trakt lists
+const TRAKT_MAX_PAGES = 30; // Pages fetched per Trakt list
+const TRAKT_PAGE_BATCH_SIZE = 4; // Pages of a Trakt list fetched at once
+const TRAKT_MAX_HISTORY_ITEMS = 3000; // Most recent history entries kept per user and type
+const TRAKT_CREDITS_CACHE_DURATION = 30 * 24 * 60 * 60 * 1000; // 30 days, the people of a title rarely change
+const TASTE_CREDITED_TITLES = 30; // Top-weighted titles whose actors and directors feed the taste profile
+const TRAKT_CREDITS_BATCH_SIZE = 5; // People requests sent to Trakt at once
 const DEFAULT_TRAKT_CLIENT_ID = process.env.TRAKT_CLIENT_ID;
+const MAX_TRAKT_TOKEN_STORE_ENTRIES = 100000; // Configurations with refreshed Trakt tokens, the least recently used are dropped
+const TRAKT_RECONNECT_CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days, then a rejected configuration tries its own tokens again
+const TRAKT_TOKEN_STORE_FILE = path.join(
+  __dirname,
+  "cache_data",
+  "traktTokenStore.json.gz"
+);
 const MAX_AI_RECOMMENDATIONS = 30;
+const MAX_BACKFILL_ROUNDS = 2; // Extra AI calls allowed to replace unresolvable titles
+const TMDB_CONFIDENT_MATCH = 0.7; // Below this, searchTMDB retries without the year
+const MAX_PERSON_CANDIDATES = 60; // Credits passed to the AI for person queries
+const MAX_SIMILAR_CANDIDATES = 60; // Related titles passed to the AI for "like X" queries
+const TMDB_AIRING_CACHE_DURATION = 12 * 60 * 60 * 1000; // 12 hours for shows still airing, they get new episodes
+const TMDB_MAX_APPENDED_SEASONS = 20; // TMDB's limit of append_to_response entries per call
+const WATCH_PROVIDERS_CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours, streaming catalogs change often
+const SHARED_SEARCH_WINDOW = 30 * 1000; // How long a result needed by both catalogs of a search is kept for the other one
+const INTENT_POLICIES = ["strict", "dominant", "both"];
+const TRAKT_WATCHLIST_MODES = ["include", "exclude", "boost"];
+const MAX_WATCHLIST_PROMPT_ITEMS = 30; // Watchlist titles listed in the prompt with the "boost" mode
+const MAX_TRAKT_LIST_CANDIDATES = 100; // Watchlist/collection titles the AI ranks for "from my watchlist" queries
+const SECONDARY_TYPE_RESULTS_RATIO = 0.3; // Share of NumResults, the top matches, shown for the other type with the "dominant" policy
+const PAGINATION_CACHE_DURATION = 60 * 60 * 1000; // 1 hour, rows are scrolled right after searching
+const MAX_PAGINATED_RESULTS = 200; // Stop loading more items for a row after this many
+const MAX_PAGINATION_LOADS_PER_REQUEST = 3; // Loads of more items (AI calls or TMDB pages) for one page request
+const DISCOVER_PAGES_PER_BLOCK = 5; // TMDB discover pages fetched at once
+const MAX_DISCOVER_PAGES = 25; // 500 results
+const TRAKT_LIST_NAME_PREFIX = "AI Search: "; // Lists saved from search results are named after the query
+const MAX_TRAKT_LIST_NAME_LENGTH = 100;
+const TRAKT_LIST_LINK_DURATION = 24 * 60 * 60 * 1000; // 24 hours, how long a title's meta offers to save the search it came from
+const TRAKT_LIST_QUERY_PATTERN =
+  /\bmy\s+(?:trakt\s+)?(watch\s?list|collection)\b/i;
+const SHUFFLE_QUERY_PATTERN =
+  /\b(shuffle[ds]?|shuffling|randomi[sz]e[ds]?|random(ly)?|surprise me|mix it up)\b/i;
 
 
 // --- Configuration Variables ---
@@ -233,8 +312,6 @@ setInterval(() => {
   });
 }, 60 * 60 * 1000);
 
-const DEFAULT_GEMINI_MODEL = "gemini-2.0-flash-lite";
-
 // Add separate caches for raw and processed Trakt data
 const traktRawDataCache = new SimpleLRUCache({
   max: 1000,
@@ -246,6 +323,30 @@ const traktCache = new SimpleLRUCache({
   ttl: TRAKT_CACHE_DURATION,
 });
 
+// Actors and directors of Trakt titles, shared by all users
+const traktCreditsCache = new SimpleLRUCache({
+  max: 20000,
+  ttl: TRAKT_CREDITS_CACHE_DURATION,
+});
+
+// Trakt tokens refreshed by the server, keyed by configuration. The config in
+// the addon url can't change, so refreshed tokens have to live here; they are
+// encrypted like the config itself. Trakt rotates the refresh token, so the
+// one in the config stops working after the first refresh: entries don't
+// expire, and the store is written to disk on every change (see
+// persistTraktTokenStore) instead of with the hourly cache backup.
+const traktTokenStore = new SimpleLRUCache({
+  max: MAX_TRAKT_TOKEN_STORE_ENTRIES,
+  ttl: Infinity,
+});
+
+// Configurations whose refresh token Trakt rejected, until the user
+// reconnects Trakt (which gives a new configuration)
+const traktReconnectRequired = new SimpleLRUCache({
+  max: 10000,
+  ttl: TRAKT_RECONNECT_CACHE_DURATION,
+});
+
 // Cache for TMDB discover API results
 const tmdbDiscoverCache = new SimpleLRUCache({
   max: 1000,
@@ -258,6 +359,20 @@ const queryAnalysisCache = new SimpleLRUCache({
   ttl: AI_CACHE_DURATION, // Use the same TTL as other AI caches
 });
 
+// "Save results to Trakt" links of the searches a title was last served in,
+// by configuration, type and IMDb id, so its meta can offer the link as well
+const traktListLinks = new SimpleLRUCache({
+  max: 10000,
+  ttl: TRAKT_LIST_LINK_DURATION,
+});
+
+// What was served for a search and how to continue it when Stremio asks for
+// the next page; short lived, so it isn't persisted with the other caches
+const paginationCache = new SimpleLRUCache({
+  max: 5000,
+  ttl: PAGINATION_CACHE_DURATION,
+});
+
 // Helper function to merge and deduplicate Trakt items
 function mergeAndDeduplicate(newItems, existingItems) {
   // Create a map of existing items by ID for quick lookup
@@ -293,91 +408,6 @@ function mergeAndDeduplicate(newItems, existingItems) {
 }
 
 // Modular functions for processing different aspects of Trakt data
-function processGenres(watchedItems, ratedItems) {
-  const genres = new Map();
-
-  // Process watched items
-  watchedItems?.forEach((item) => {
-    const media = item.movie || item.show;
-    media.genres?.forEach((genre) => {
-      genres.set(genre, (genres.get(genre) || 0) + 1);
-    });
-  });
-
-  // Process rated items with weights
-  ratedItems?.forEach((item) => {
-    const media = item.movie || item.show;
-    const weight = item.rating / 5; // normalize rating to 0-1
-    media.genres?.forEach((genre) => {
-      genres.set(genre, (genres.get(genre) || 0) + weight);
-    });
-  });
-
-  // Convert to sorted array
-  return Array.from(genres.entries())
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 5)
-    .map(([genre, count]) => ({ genre, count }));
-}
-
-function processActors(watchedItems, ratedItems) {
-  const actors = new Map();
-
-  // Process watched items
-  watchedItems?.forEach((item) => {
-    const media = item.movie || item.show;
-    media.cast?.forEach((actor) => {
-      actors.set(actor.name, (actors.get(actor.name) || 0) + 1);
-    });
-  });
-
-  // Process rated items with weights
-  ratedItems?.forEach((item) => {
-    const media = item.movie || item.show;
-    const weight = item.rating / 5; // normalize rating to 0-1
-    media.cast?.forEach((actor) => {
-      actors.set(actor.name, (actors.get(actor.name) || 0) + weight);
-    });
-  });
-
-  // Convert to sorted array
-  return Array.from(actors.entries())
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 5)
-    .map(([actor, count]) => ({ actor, count }));
-}
-
-function processDirectors(watchedItems, ratedItems) {
-  const directors = new Map();
-
-  // Process watched items
-  watchedItems?.forEach((item) => {
-    const media = item.movie || item.show;
-    media.crew?.forEach((person) => {
-      if (person.job === "Director") {
-        directors.set(person.name, (directors.get(person.name) || 0) + 1);
-      }
-    });
-  });
-
-  // Process rated items with weights
-  ratedItems?.forEach((item) => {
-    const media = item.movie || item.show;
-    const weight = item.rating / 5; // normalize rating to 0-1
-    media.crew?.forEach((person) => {
-      if (person.job === "Director") {
-        directors.set(person.name, (directors.get(person.name) || 0) + weight);
-      }
-    });
-  });
-
-  // Convert to sorted array
-  return Array.from(directors.entries())
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 5)
-    .map(([director, count]) => ({ director, count }));
-}
-
 function processYears(watchedItems, ratedItems) {
   const years = new Map();
 
@@ -394,7 +424,8 @@ function processYears(watchedItems, ratedItems) {
   ratedItems?.forEach((item) => {
     const media = item.movie || item.show;
     const year = parseInt(media.year);
-    const weight = item.rating / 5; // normalize rating to 0-1
+    // Ratings go from 1 to 10, disliked titles don't count towards the preferred year
+    const weight = Math.max(0, normalizeRating(item.rating));
     if (year) {
       years.set(year, (years.get(year) || 0) + weight);
     }
@@ -427,23 +458,98 @@ function processRatings(ratedItems) {
     .map(([rating, count]) => ({ rating, count }));
 }
 
+/**
+ * Loads the actors and directors of the titles that weigh the most in the
+ * taste profile. Trakt lists don't include people, so they come from
+ * /movies/:id/people or /shows/:id/people, cached per title.
+ * @param {Object} rawData - The raw Trakt lists (watched, rated, history)
+ * @param {string} type - movies or shows
+ * @param {Object} headers - From getTraktHeaders
+ * @returns {Promise<Map<string, {actors: string[], directors: string[]}>>} - By media key
+ */
+async function fetchTasteCredits(rawData, type, headers) {
+  const titles = getTopWeightedTitles(
+    rawData.watched,
+    rawData.rated,
+    rawData.history,
+    { limit: TASTE_CREDITED_TITLES }
+  ).filter((title) => title.media?.ids?.trakt);
+  const credits = new Map();
+
+  for (let i = 0; i < titles.length; i += TRAKT_CREDITS_BATCH_SIZE) {
+    const batch = titles.slice(i, i + TRAKT_CREDITS_BATCH_SIZE);
+    await Promise.all(
+      batch.map(async ({ key, media }) => {
+        const cacheKey = `${type}_${media.ids.trakt}`;
+        const cached = traktCreditsCache.get(cacheKey);
+        if (cached) {
+          credits.set(key, cached.data);
+          return;
+        }
+
+        try {
+          const people = await fetch(
+            `${TRAKT_API_BASE}/${type}/${media.ids.trakt}/people`,
+            { headers }
+          ).then(readTraktResponse);
+          const titleCredits = parseTraktPeople(people);
+          traktCreditsCache.set(cacheKey, {
+            timestamp: Date.now(),
+            data: titleCredits,
+          });
+          credits.set(key, titleCredits);
+        } catch (error) {
+          // The profile simply goes without this title's people
+          logger.debug("Trakt people unavailable", {
+            type,
+            traktId: media.ids.trakt,
+            error: error.message,
+          });
+        }
+      })
+    );
+  }
+
+  logger.debug("Trakt people loaded for the taste profile", {
+    type,
+    titlesCount: titles.length,
+    loadedCount: credits.size,
+  });
+
+  return credits;
+}
+
 // Process all preferences in parallel
-async function processPreferencesInParallel(watched, rated, history) {
+async function processPreferencesInParallel(watched, rated, history, credits) {
   const processingStart = Date.now();
 
   // Run all processing functions in parallel
-  const [genres, actors, directors, yearRange, ratings] = await Promise.all([
-    Promise.resolve(processGenres(watched, rated)),
-    Promise.resolve(processActors(watched, rated)),
-    Promise.resolve(processDirectors(watched, rated)),
+  const [taste, yearRange, ratings] = await Promise.all([
+    Promise.resolve(buildTasteProfile(watched, rated, history, { credits })),
     Promise.resolve(processYears(watched, rated)),
     Promise.resolve(processRatings(rated)),
   ]);
 
+  // The favourite lists keep their old shape for the prompts
+  const genres = taste.genres.likes.map(({ name, score }) => ({
+    genre: name,
+    count: score,
+  }));
+  const actors = taste.actors.likes.map(({ name, score }) => ({
+    actor: name,
+    count: score,
+  }));
+  const directors = taste.directors.likes.map(({ name, score }) => ({
+    director: name,
+    count: score,
+  }));
+
   const processingTime = Date.now() - processingStart;
   logger.debug("Trakt preference processing completed", {
     processingTimeMs: processingTime,
+    titleCount: taste.titleCount,
     genresCount: genres.length,
+    dislikedGenresCount: taste.genres.dislikes.length,
     actorsCount: actors.length,
     directorsCount: directors.length,
     hasYearRange: !!yearRange,
@@ -456,56 +562,190 @@ async function processPreferencesInParallel(watched, rated, history) {
     directors,
     yearRange,
     ratings,
+    taste,
   };
 }
 
-// Function to fetch incremental Trakt data
-async function fetchTraktIncrementalData(
-  clientId,
-  accessToken,
-  type,
-  lastUpdate
-) {
-  // Format date for Trakt API (ISO string without milliseconds)
-  const startDate = new Date(lastUpdate).toISOString().split(".")[0] + "Z";
-
-  const endpoints = [
-    `${TRAKT_API_BASE}/users/me/watched/${type}?extended=full&start_at=${startDate}`,
-    `${TRAKT_API_BASE}/users/me/ratings/${type}?extended=full&start_at=${startDate}`,
-    `${TRAKT_API_BASE}/users/me/history/${type}?extended=full&start_at=${startDate}`,
-  ];
+// A rejected token has to reach fetchTraktDataForConfig, any other error only loses that list
+function readTraktResponse(response) {
+  if (response.status === 401) {
+    const error = new Error("Trakt rejected the access token");
+    error.status = 401;
+    error.isInvalidKey = true;
+    throw error;
+  }
+  if (!response.ok) {
+    const error = new Error(`Trakt API error: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
 
-  const headers = {
+function getTraktHeaders(clientId, accessToken) {
+  return {
     "Content-Type": "application/json",
     "trakt-api-version": "2",
     "trakt-api-key": clientId,
     Authorization: `Bearer ${accessToken}`,
   };
+}
+
+/**
+ * Fetches a Trakt list. History and ratings are paginated (10 items per page
+ * unless asked otherwise), so those follow the pagination headers up to
+ * TRAKT_MAX_PAGES pages: the first page tells how many there are, the rest
+ * are fetched TRAKT_PAGE_BATCH_SIZE at a time.
+ * @param {string} url - The endpoint
+ * @param {Object} headers - From getTraktHeaders
+ * @param {boolean} paginated - Whether the endpoint is paginated
+ * @returns {Promise<Array>}
+ */
+async function fetchTraktList(url, headers, paginated = false) {
+  const fetchPage = async (page) => {
+    const pageUrl = paginated
+      ? `${url}${
+          url.includes("?") ? "&" : "?"
+        }page=${page}&limit=${TRAKT_PAGE_SIZE}`
+      : url;
+    const response = await fetch(pageUrl, { headers });
+    const data = await readTraktResponse(response);
+    return {
+      items: Array.isArray(data) ? data : [],
+      pageCount: parseInt(response.headers.get("x-pagination-page-count")) || 1,
+    };
+  };
+
+  const firstPage = await fetchPage(1);
+  const items = [...firstPage.items];
+  if (!paginated) {
+    return items;
+  }
+
+  const lastPage = Math.min(firstPage.pageCount, TRAKT_MAX_PAGES);
+  for (let page = 2; page <= lastPage; page += TRAKT_PAGE_BATCH_SIZE) {
+    const batch = [];
+    for (
+      let batchPage = page;
+      batchPage < page + TRAKT_PAGE_BATCH_SIZE && batchPage <= lastPage;
+      batchPage++
+    ) {
+      batch.push(fetchPage(batchPage));
+    }
+    // In page order, so the history stays sorted by date
+    (await Promise.all(batch)).forEach((result) => items.push(...result.items));
+  }
+
+  return items;
+}
+
+// The raw Trakt lists we keep, the last activity that tells when each one
+// changed and whether the endpoint is paginated
+const TRAKT_LISTS = {
+  watched: { path: "watched", activity: "watched", paginated: false },
+  rated: { path: "ratings", activity: "rated", paginated: true },
+  history: { path: "history", activity: "watched", paginated: true },
+  watchlist: { path: "watchlist", activity: "watchlisted", paginated: true },
+  collection: { path: "collection", activity: "collected", paginated: false },
+};
+const TRAKT_ACTIVITIES = [
+  ...new Set(Object.values(TRAKT_LISTS).map((list) => list.activity)),
+];
+
+/**
+ * When the user last changed each Trakt list of the given type
+ * (/sync/last_activities), used to skip refreshes when nothing changed
+ * @param {Object} headers - From getTraktHeaders
+ * @param {string} type - movies or shows
+ * @returns {Promise<{watched: string, rated: string, watchlisted: string, collected: string}|null>} - Null when unavailable
+ */
+async function fetchTraktLastActivities(headers, type) {
+  try {
+    const activities = await fetch(`${TRAKT_API_BASE}/sync/last_activities`, {
+      headers,
+    }).then(readTraktResponse);
+
+    // Show history and collection are made of episodes, ratings and the
+    // watchlist hold the show itself
+    return type === "movies"
+      ? {
+          watched: activities.movies?.watched_at || null,
+          rated: activities.movies?.rated_at || null,
+          watchlisted: activities.movies?.watchlisted_at || null,
+          collected: activities.movies?.collected_at || null,
+        }
+      : {
+          watched: activities.episodes?.watched_at || null,
+          rated: activities.shows?.rated_at || null,
+          watchlisted: activities.shows?.watchlisted_at || null,
+          collected: activities.episodes?.collected_at || null,
+        };
+  } catch (error) {
+    if (error.isInvalidKey) throw error;
+    logger.error("Trakt last activities unavailable", {
+      type,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+// Keeps the most recent history entries, so memory and snapshots stay bounded
+function limitTraktHistory(history) {
+  return [...history]
+    .sort((a, b) => new Date(b.watched_at || 0) - new Date(a.watched_at || 0))
+    .slice(0, TRAKT_MAX_HISTORY_ITEMS);
+}
+
+// Function to fetch Trakt data, only the lists whose activity changed. Lists
+// are fetched whole except the history, which starts at lastUpdate when given.
+// A list is null when it wasn't asked for or couldn't be fetched.
+async function fetchTraktIncrementalData(
+  headers,
+  type,
+  lastUpdate,
+  changedActivities
+) {
+  // Format date for Trakt API (ISO string without milliseconds)
+  const startAt = lastUpdate
+    ? `&start_at=${new Date(lastUpdate).toISOString().split(".")[0] + "Z"}`
+    : "";
+
+  const lists = Object.entries(TRAKT_LISTS).filter(([, list]) =>
+    changedActivities.has(list.activity)
+  );
 
   // Fetch all data in parallel
   const responses = await Promise.all(
-    endpoints.map((endpoint) =>
-      fetch(endpoint, { headers })
-        .then((res) => res.json())
-        .catch((err) => {
-          logger.error("Trakt API Error:", { endpoint, error: err.message });
-          return [];
-        })
-    )
+    lists.map(([name, list]) => {
+      const endpoint = `${TRAKT_API_BASE}/users/me/${
+        list.path
+      }/${type}?extended=full${name === "history" ? startAt : ""}`;
+      return fetchTraktList(endpoint, headers, list.paginated).catch((err) => {
+        if (err.isInvalidKey) throw err;
+        logger.error("Trakt API Error:", { endpoint, error: err.message });
+        return null;
+      });
+    })
   );
 
-  return {
-    watched: responses[0] || [],
-    rated: responses[1] || [],
-    history: responses[2] || [],
-  };
+  const newData = Object.fromEntries(
+    Object.keys(TRAKT_LISTS).map((name) => [name, null])
+  );
+  lists.forEach(([name], index) => {
+    newData[name] = responses[index];
+  });
+  return newData;
 }
 
-// Main function to fetch Trakt data with optimizations
+// Main function to fetch Trakt data with optimizations. Throws an error with
+// isInvalidKey when Trakt rejects the access token, so it can be refreshed.
+// With a snapshotKey the raw data is also kept on disk, see traktSnapshot.
 async function fetchTraktWatchedAndRated(
   clientId,
   accessToken,
-  type = "movies"
+  type = "movies",
+  snapshotKey = null
 ) {
   logger.info("fetchTraktWatchedAndRated called", {
     hasClientId: !!clientId,
@@ -526,9 +766,11 @@ async function fetchTraktWatchedAndRated(
   const rawCacheKey = `trakt_raw_${accessToken}_${type}`;
   const processedCacheKey = `trakt_${accessToken}_${type}`;
 
-  // Check if we have processed data in cache
-  if (traktCache.has(processedCacheKey)) {
-    const cached = traktCache.get(processedCacheKey);
+  // Check if we have processed data in cache. Entries processed before the
+  // watchlist and collection were kept don't have them, and would make
+  // watchlist queries come back empty until they expire.
+  const cached = traktCache.get(processedCacheKey);
+  if (cached?.data?.watchlist && cached.data.collection) {
     logger.info("Trakt processed cache hit", {
       cacheKey: processedCacheKey,
       type,
@@ -538,138 +780,147 @@ async function fetchTraktWatchedAndRated(
     return cached.data;
   }
 
-  // Check if we have raw data that needs updating
-  let rawData;
-  let isIncremental = false;
-
-  if (traktRawDataCache.has(rawCacheKey)) {
-    const cachedRaw = traktRawDataCache.get(rawCacheKey);
-    const lastUpdate = cachedRaw.lastUpdate || cachedRaw.timestamp;
-
-    // Always do incremental updates when cache exists, regardless of age
-    logger.info("Performing incremental Trakt update", {
-      cacheKey: rawCacheKey,
-      lastUpdate: new Date(lastUpdate).toISOString(),
-      age: `${Math.round((Date.now() - lastUpdate) / 1000)}s`,
-    });
-
-    try {
-      // Fetch only new data since last update
-      const newData = await fetchTraktIncrementalData(
-        clientId,
-        accessToken,
+  // Check if we have raw data that needs updating, in memory or on disk
+  let cachedRaw = traktRawDataCache.get(rawCacheKey);
+  if (!cachedRaw && snapshotKey) {
+    cachedRaw = await loadTraktSnapshot(snapshotKey);
+    if (cachedRaw) {
+      logger.info("Trakt raw data restored from snapshot", {
         type,
-        lastUpdate
-      );
-
-      // Merge with existing data
-      rawData = {
-        watched: mergeAndDeduplicate(newData.watched, cachedRaw.data.watched),
-        rated: mergeAndDeduplicate(newData.rated, cachedRaw.data.rated),
-        history: mergeAndDeduplicate(newData.history, cachedRaw.data.history),
-        lastUpdate: Date.now(),
-      };
-
-      isIncremental = true;
-
-      // Update raw data cache
-      traktRawDataCache.set(rawCacheKey, {
-        timestamp: Date.now(),
-        lastUpdate: Date.now(),
-        data: rawData,
+        lastUpdate: new Date(cachedRaw.lastUpdate).toISOString(),
       });
-
-      logger.info("Incremental Trakt update completed", {
-        newWatchedCount: newData.watched.length,
-        newRatedCount: newData.rated.length,
-        newHistoryCount: newData.history.length,
-        totalWatchedCount: rawData.watched.length,
-        totalRatedCount: rawData.rated.length,
-        totalHistoryCount: rawData.history.length,
-      });
-    } catch (error) {
-      logger.error(
-        "Incremental Trakt update failed, falling back to full refresh",
-        {
-          error: error.message,
-        }
-      );
-      isIncremental = false;
     }
   }
 
-  // If we don't have raw data or incremental update failed, do a full refresh
-  if (!rawData) {
-    logger.info("Performing full Trakt data refresh", { type });
-
-    try {
-      const fetchStart = Date.now();
-      // Use the original fetch logic for a full refresh but without limits
-      const endpoints = [
-        `${TRAKT_API_BASE}/users/me/watched/${type}?extended=full`,
-        `${TRAKT_API_BASE}/users/me/ratings/${type}?extended=full`,
-        `${TRAKT_API_BASE}/users/me/history/${type}?extended=full`,
-      ];
-
-      const headers = {
-        "Content-Type": "application/json",
-        "trakt-api-version": "2",
-        "trakt-api-key": clientId,
-        Authorization: `Bearer ${accessToken}`,
-      };
-
-      const responses = await Promise.all(
-        endpoints.map((endpoint) =>
-          fetch(endpoint, { headers })
-            .then((res) => res.json())
-            .catch((err) => {
-              logger.error("Trakt API Error:", {
-                endpoint,
-                error: err.message,
-              });
-              return [];
-            })
-        )
-      );
-
-      const fetchTime = Date.now() - fetchStart;
-      const [watched, rated, history] = responses;
+  const headers = getTraktHeaders(clientId, accessToken);
+  // Read before the lists, so changes made while fetching show up next time
+  const activities = await fetchTraktLastActivities(headers, type);
+  const previousActivities = cachedRaw?.activities || {};
+  const changedActivities = new Set(
+    TRAKT_ACTIVITIES.filter(
+      (activity) =>
+        !activities || activities[activity] !== previousActivities[activity]
+    )
+  );
 
-      rawData = {
-        watched: watched || [],
-        rated: rated || [],
-        history: history || [],
-        lastUpdate: Date.now(),
-      };
+  let rawEntry;
+  const isIncremental = !!cachedRaw;
 
-      // Update raw data cache
-      traktRawDataCache.set(rawCacheKey, {
-        timestamp: Date.now(),
-        lastUpdate: Date.now(),
-        data: rawData,
+  if (cachedRaw && changedActivities.size === 0) {
+    logger.info(
+      "Trakt data unchanged since the last update, skipping refresh",
+      {
+        type,
+        lastUpdate: new Date(cachedRaw.lastUpdate).toISOString(),
+      }
+    );
+    rawEntry = { ...cachedRaw, timestamp: Date.now() };
+  } else {
+    if (isIncremental) {
+      logger.info("Performing incremental Trakt update", {
+        cacheKey: rawCacheKey,
+        lastUpdate: new Date(cachedRaw.lastUpdate).toISOString(),
+        age: `${Math.round((Date.now() - cachedRaw.lastUpdate) / 1000)}s`,
+        changed: [...changedActivities],
       });
+    } else {
+      logger.info("Performing full Trakt data refresh", { type });
+    }
 
-      logger.info("Full Trakt refresh completed", {
-        fetchTimeMs: fetchTime,
-        watchedCount: rawData.watched.length,
-        ratedCount: rawData.rated.length,
-        historyCount: rawData.history.length,
-      });
-    } catch (error) {
+    // Without any history yet (or after a failed fetch) it's fetched whole
+    const cachedData = cachedRaw?.data || {};
+    const lastUpdate =
+      cachedData.history?.length > 0
+        ? cachedRaw.lastUpdate || cachedRaw.timestamp
+        : null;
+
+    // Fetch only the lists that changed, and the history since the last update
+    const fetchStart = Date.now();
+    const newData = await fetchTraktIncrementalData(
+      headers,
+      type,
+      lastUpdate,
+      changedActivities
+    );
+    const fetchTime = Date.now() - fetchStart;
+
+    if (!cachedRaw && Object.values(newData).every((items) => !items)) {
       logger.error("Trakt API Error:", {
-        error: error.message,
-        stack: error.stack,
+        error: "No Trakt list could be fetched",
+        type,
       });
       return null;
     }
+
+    // A list that failed keeps its cached data, and its activity the old
+    // time, so the list is fetched again next time
+    const failedActivities = new Set(
+      Object.entries(TRAKT_LISTS)
+        .filter(
+          ([name, list]) =>
+            changedActivities.has(list.activity) && !newData[name]
+        )
+        .map(([, list]) => list.activity)
+    );
+
+    rawEntry = {
+      timestamp: Date.now(),
+      lastUpdate: newData.history || !lastUpdate ? Date.now() : lastUpdate,
+      activities: Object.fromEntries(
+        TRAKT_ACTIVITIES.map((activity) => [
+          activity,
+          failedActivities.has(activity)
+            ? previousActivities[activity] || null
+            : activities?.[activity] || null,
+        ])
+      ),
+      data: Object.fromEntries(
+        Object.keys(TRAKT_LISTS).map((name) => [
+          name,
+          name === "history"
+            ? limitTraktHistory(
+                mergeAndDeduplicate(
+                  newData.history || [],
+                  cachedData.history || []
+                )
+              )
+            : newData[name] || cachedData[name] || [],
+        ])
+      ),
+    };
+
+    logger.info(
+      isIncremental
+        ? "Incremental Trakt update completed"
+        : "Full Trakt refresh completed",
+      {
+        fetchTimeMs: fetchTime,
+        newHistoryCount: newData.history?.length || 0,
+        ...Object.fromEntries(
+          Object.keys(TRAKT_LISTS).map((name) => [
+            `${name}Count`,
+            rawEntry.data[name].length,
+          ])
+        ),
+      }
+    );
   }
 
+  // Update raw data cache
+  traktRawDataCache.set(rawCacheKey, rawEntry);
+  if (snapshotKey) {
+    await saveTraktSnapshot(snapshotKey, rawEntry);
+  }
+
+  const rawData = rawEntry.data;
+
   // Process the data (raw or incrementally updated) in parallel
   const processingStart = Date.now();
   const preferences = await processPreferencesInParallel(
     rawData.watched,
     rawData.rated,
-    rawData.history
+    rawData.history,
+    await fetchTasteCredits(rawData, type, headers)
   );
   const processingTime = Date.now() - processingStart;
 
@@ -678,8 +929,10 @@ async function fetchTraktWatchedAndRated(
     watched: rawData.watched,
     rated: rawData.rated,
     history: rawData.history,
+    watchlist: rawData.watchlist,
+    collection: rawData.collection,
     preferences,
-    lastUpdate: rawData.lastUpdate,
+    lastUpdate: rawEntry.lastUpdate,
     isIncrementalUpdate: isIncremental,
   };
 
@@ -698,124 +951,597 @@ async function fetchTraktWatchedAndRated(
   return result;
 }
 
-async function searchTMDB(title, type, year, tmdbKey, language = "en-US") {
-  const startTime = Date.now();
-  logger.debug("Starting TMDB search", { title, type, year });
-  const cacheKey = `${title}-${type}-${year}-${language}`;
+/**
+ * Key of a configuration in the Trakt token store. The tokens saved in a
+ * config never change, so its access token identifies it.
+ * @param {Object} configData - Decrypted addon configuration
+ * @returns {string}
+ */
+function getTraktTokenStoreKey(configData) {
+  return crypto
+    .createHash("sha256")
+    .update(configData.TraktAccessToken)
+    .digest("hex");
+}
 
-  if (tmdbCache.has(cacheKey)) {
-    const cached = tmdbCache.get(cacheKey);
-    logger.info("TMDB cache hit", {
-      cacheKey,
-      cachedAt: new Date(cached.timestamp).toISOString(),
-      age: `${Math.round((Date.now() - cached.timestamp) / 1000)}s`,
-      responseTime: `${Date.now() - startTime}ms`,
-      title,
-      type,
-      year,
-      language,
-      hasImdbId: !!cached.data?.imdb_id,
-      tmdbId: cached.data?.tmdb_id,
-    });
-    return cached.data;
+/**
+ * Returns the Trakt tokens of a configuration: the ones refreshed by the
+ * server if there are any, otherwise the ones saved in the config
+ * @param {Object} configData - Decrypted addon configuration
+ * @returns {{accessToken: string, refreshToken: string|null, reconnectRequired: boolean}}
+ */
+function getTraktTokens(configData) {
+  const key = getTraktTokenStoreKey(configData);
+  if (traktReconnectRequired.has(key)) {
+    return {
+      accessToken: configData.TraktAccessToken,
+      refreshToken: null,
+      reconnectRequired: true,
+    };
+  }
+  if (traktTokenStore.has(key)) {
+    try {
+      return JSON.parse(decryptConfig(traktTokenStore.get(key).data));
+    } catch (error) {
+      logger.error("Stored Trakt tokens can't be read", {
+        error: error.message,
+      });
+    }
   }
 
-  logger.info("TMDB cache miss", { cacheKey, title, type, year, language });
-
-  try {
-    const searchType = type === "movie" ? "movie" : "tv";
-    const searchParams = new URLSearchParams({
-      api_key: tmdbKey,
-      query: title,
-      year: year,
-      include_adult: false,
-      language: language,
-    });
+  return {
+    accessToken: configData.TraktAccessToken,
+    refreshToken: configData.TraktRefreshToken || null,
+    reconnectRequired: false,
+  };
+}
 
-    const searchUrl = `${TMDB_API_BASE}/search/${searchType}?${searchParams.toString()}`;
+const gzip = promisify(zlib.gzip);
+let traktTokenStoreWrite = Promise.resolve();
 
-    logger.info("Making TMDB API call", {
-      url: searchUrl.replace(tmdbKey, "***"),
-      params: {
-        type: searchType,
-        query: title,
-        year,
-        language,
-      },
+/**
+ * Writes the Trakt token store to disk. Writes are queued, each one saves the
+ * store as it is when it runs, through a temporary file so a crash can't
+ * leave a partial file.
+ * @returns {Promise<void>}
+ */
+function persistTraktTokenStore() {
+  traktTokenStoreWrite = traktTokenStoreWrite.then(async () => {
+    const tempFile = `${TRAKT_TOKEN_STORE_FILE}.${process.pid}.tmp`;
+    try {
+      const compressed = await gzip(
+        JSON.stringify(traktTokenStore.serialize())
+      );
+      await fs.promises.mkdir(path.dirname(TRAKT_TOKEN_STORE_FILE), {
+        recursive: true,
+      });
+      await fs.promises.writeFile(tempFile, compressed);
+      await fs.promises.rename(tempFile, TRAKT_TOKEN_STORE_FILE);
+    } catch (error) {
+      logger.error("Failed to save the Trakt token store", {
+        error: error.message,
+      });
+    }
+  });
+  return traktTokenStoreWrite;
+}
+
+function saveTraktTokens(configData, tokens) {
+  traktTokenStore.set(getTraktTokenStoreKey(configData), {
+    timestamp: Date.now(),
+    data: encryptConfig(JSON.stringify(tokens)),
+  });
+  return persistTraktTokenStore();
+}
+
+// The tokens of the configuration can't be refreshed anymore, so they are
+// dropped from the store until the user reconnects Trakt
+function markTraktReconnectRequired(configData) {
+  const key = getTraktTokenStoreKey(configData);
+  traktReconnectRequired.set(key, { timestamp: Date.now(), data: true });
+  if (traktTokenStore.has(key)) {
+    traktTokenStore.delete(key);
+    return persistTraktTokenStore();
+  }
+  return traktTokenStoreWrite;
+}
+
+// Refreshes in progress, by token store key
+const traktTokenRefreshes = new Map();
+
+/**
+ * Refreshes the Trakt tokens of a configuration after Trakt rejected its
+ * access token. Concurrent requests (the movie and series catalogs) share one
+ * refresh, because Trakt rotates the refresh token and a second refresh with
+ * the old one would fail.
+ * @param {Object} configData - Decrypted addon configuration
+ * @param {Object} tokens - The tokens that were rejected (see getTraktTokens)
+ * @returns {Promise<Object|null>} - The new tokens, or null when the refresh failed
+ */
+function refreshTraktTokensForConfig(configData, tokens) {
+  const key = getTraktTokenStoreKey(configData);
+  if (traktTokenRefreshes.has(key)) {
+    return traktTokenRefreshes.get(key);
+  }
+
+  const refresh = (async () => {
+    if (!tokens.refreshToken) {
+      logger.warn("Trakt access token rejected and no refresh token saved");
+      markTraktReconnectRequired(configData);
+      return null;
+    }
+
+    try {
+      const tokenData = await refreshTraktToken(tokens.refreshToken);
+      const refreshed = {
+        accessToken: tokenData.access_token,
+        refreshToken: tokenData.refresh_token,
+        reconnectRequired: false,
+      };
+      await saveTraktTokens(configData, refreshed);
+      logger.info("Trakt access token refreshed", {
+        expiresIn: tokenData.expires_in,
+      });
+      return refreshed;
+    } catch (error) {
+      logger.error("Trakt token refresh failed", {
+        error: error.message,
+        status: error.status,
+      });
+      // Network or Trakt outages are retried on the next request, a rejected
+      // refresh token never works again
+      if (error.isInvalidKey) {
+        markTraktReconnectRequired(configData);
+      }
+      return null;
+    }
+  })();
+
+  traktTokenRefreshes.set(key, refresh);
+  refresh.finally(() => traktTokenRefreshes.delete(key));
+  return refresh;
+}
+
+/**
+ * Fetches the user's Trakt data with the tokens of a configuration,
+ * refreshing them once when Trakt rejects the access token
+ * @param {Object} configData - Decrypted addon configuration
+ * @param {string} type - "movies" or "shows"
+ * @returns {Promise<Object|null>} - The Trakt data, or null when it isn't available
+ */
+async function fetchTraktDataForConfig(configData, type) {
+  let tokens = getTraktTokens(configData);
+  // Stays the same when the tokens are refreshed
+  const snapshotKey = `${getTraktTokenStoreKey(configData)}_${type}`;
+  if (tokens.reconnectRequired) {
+    logger.info("Trakt data skipped, the user has to reconnect Trakt", {
+      type,
     });
+    return null;
+  }
 
-    // Use withRetry for the search API call
-    const responseData = await withRetry(
-      async () => {
-        const searchResponse = await fetch(searchUrl);
-        if (!searchResponse.ok) {
-          const errorData = await searchResponse.json().catch(() => ({}));
-          let errorMessage;
-
-          // Handle specific error cases
-          if (searchResponse.status === 401) {
-            errorMessage = "Invalid TMDB API key";
-          } else if (searchResponse.status === 429) {
-            errorMessage = "TMDB API rate limit exceeded";
-          } else {
-            errorMessage = `TMDB API error: ${searchResponse.status} ${
-              errorData?.status_message || ""
-            }`;
-          }
+  try {
+    return await fetchTraktWatchedAndRated(
+      DEFAULT_TRAKT_CLIENT_ID,
+      tokens.accessToken,
+      type,
+      snapshotKey
+    );
+  } catch (error) {
+    if (!error.isInvalidKey) {
+      logger.error("Trakt data fetch failed", { error: error.message, type });
+      return null;
+    }
+    logger.info("Trakt rejected the access token, refreshing it", { type });
+  }
 
-          const error = new Error(errorMessage);
-          error.status = searchResponse.status;
-          error.isRateLimit = searchResponse.status === 429;
-          error.isInvalidKey = searchResponse.status === 401;
-          throw error;
+  tokens = await refreshTraktTokensForConfig(configData, tokens);
+  if (!tokens) {
+    return null;
+  }
+
+  try {
+    return await fetchTraktWatchedAndRated(
+      DEFAULT_TRAKT_CLIENT_ID,
+      tokens.accessToken,
+      type,
+      snapshotKey
+    );
+  } catch (error) {
+    logger.error("Trakt rejected the refreshed access token", { type });
+    return null;
+  }
+}
+
+/**
+ * Checks if Trakt is configured but its tokens can no longer be refreshed
+ * @param {Object} configData - Decrypted addon configuration
+ * @returns {boolean}
+ */
+function isTraktReconnectRequired(configData) {
+  return (
+    !!configData?.TraktAccessToken &&
+    getTraktTokens(configData).reconnectRequired
+  );
+}
+
+/**
+ * Language codes passed as include_video_language/include_image_language: the
+ * user's language first, then English and language-less media as a fallback
+ * @param {string} language - The TMDB language (e.g. "fr-FR")
+ * @returns {string}
+ */
+function getMediaLanguages(language) {
+  return [...new Set([language.split("-")[0], "en", "null"])].join(",");
+}
+
+/**
+ * Picks the YouTube trailers and teasers from a TMDB videos response,
+ * preferring the user's language, then trailers over teasers, then official ones
+ * @param {Object} videos - The TMDB videos response ({ results: [] })
+ * @param {string} language - The TMDB language (e.g. "fr-FR")
+ * @returns {Array<{ytId: string, name: string, type: string}>}
+ */
+function extractTmdbTrailers(videos, language) {
+  const preferredLanguage = language.split("-")[0];
+
+  return (videos?.results || [])
+    .filter(
+      (video) =>
+        video.site === "YouTube" &&
+        video.key &&
+        (video.type === "Trailer" || video.type === "Teaser")
+    )
+    .sort(
+      (a, b) =>
+        (b.iso_639_1 === preferredLanguage) -
+          (a.iso_639_1 === preferredLanguage) ||
+        (b.type === "Trailer") - (a.type === "Trailer") ||
+        (b.official === true) - (a.official === true)
+    )
+    .slice(0, 3)
+    .map((video) => ({ ytId: video.key, name: video.name, type: video.type }));
+}
+
+/**
+ * Turns trailers into the Stremio meta fields
+ * @param {Array} trailers - The result of extractTmdbTrailers
+ * @returns {{trailers: Array, trailerStreams: Array}}
+ */
+function toStremioTrailers(trailers = []) {
+  return {
+    trailers: trailers.map((trailer) => ({
+      source: trailer.ytId,
+      type: trailer.type,
+    })),
+    trailerStreams: trailers.map((trailer) => ({
+      title: trailer.name,
+      ytId: trailer.ytId,
+    })),
+  };
+}
+
+/**
+ * Calls the TMDB search API
+ * @param {string} searchType - The TMDB media type (movie/tv)
+ * @param {string} title - The title to search for
+ * @param {number|string|null} year - Optional release year filter
+ * @param {string} tmdbKey - The TMDB API key
+ * @param {string} language - The language for results
+ * @returns {Promise<Object>} - The raw search response
+ */
+async function fetchTmdbSearchResults(
+  searchType,
+  title,
+  year,
+  tmdbKey,
+  language
+) {
+  const startTime = Date.now();
+  const searchParams = new URLSearchParams({
+    api_key: tmdbKey,
+    query: title,
+    include_adult: false,
+    language: language,
+  });
+  if (year) {
+    searchParams.set("year", year);
+  }
+
+  const searchUrl = `${TMDB_API_BASE}/search/${searchType}?${searchParams.toString()}`;
+
+  logger.info("Making TMDB API call", {
+    url: searchUrl.replace(tmdbKey, "***"),
+    params: {
+      type: searchType,
+      query: title,
+      year,
+      language,
+    },
+  });
+
+  // Use withRetry for the search API call
+  const responseData = await withRetry(
+    async () => {
+      const searchResponse = await fetch(searchUrl);
+      if (!searchResponse.ok) {
+        const errorData = await searchResponse.json().catch(() => ({}));
+        let errorMessage;
+
+        // Handle specific error cases
+        if (searchResponse.status === 401) {
+          errorMessage = "Invalid TMDB API key";
+        } else if (searchResponse.status === 429) {
+          errorMessage = "TMDB API rate limit exceeded";
+        } else {
+          errorMessage = `TMDB API error: ${searchResponse.status} ${
+            errorData?.status_message || ""
+          }`;
         }
-        return searchResponse.json();
-      },
-      {
-        maxRetries: 3,
-        initialDelay: 1000,
-        maxDelay: 8000,
-        operationName: "TMDB search API call",
-        // Don't retry on invalid API key errors
-        shouldRetry: (error) =>
-          !error.isInvalidKey &&
-          (!error.status || error.status >= 500 || error.isRateLimit),
+
+        const error = new Error(errorMessage);
+        error.status = searchResponse.status;
+        error.isRateLimit = searchResponse.status === 429;
+        error.isInvalidKey = searchResponse.status === 401;
+        throw error;
+      }
+      return searchResponse.json();
+    },
+    {
+      maxRetries: 3,
+      initialDelay: 1000,
+      maxDelay: 8000,
+      operationName: "TMDB search API call",
+      // Don't retry on invalid API key errors
+      shouldRetry: (error) =>
+        !error.isInvalidKey &&
+        (!error.status || error.status >= 500 || error.isRateLimit),
+    }
+  );
+
+  // Log response with error status if applicable
+  if (responseData.status_code) {
+    logger.error("TMDB API error response", {
+      duration: `${Date.now() - startTime}ms`,
+      status_code: responseData.status_code,
+      status_message: responseData.status_message,
+      query: title,
+      year: year,
+    });
+  } else {
+    // Log successful response (even if no results found)
+    logger.info("TMDB API response", {
+      duration: `${Date.now() - startTime}ms`,
+      resultCount: responseData?.results?.length,
+      status: "success",
+      query: title,
+      year: year,
+      firstResult: responseData?.results?.[0]
+        ? {
+            id: responseData.results[0].id,
+            title:
+              responseData.results[0].title || responseData.results[0].name,
+            year:
+              responseData.results[0].release_date ||
+              responseData.results[0].first_air_date,
+          }
+        : null,
+    });
+  }
+
+  return responseData;
+}
+
+/**
+ * Fetches the TMDB details of a title with its external ids and videos, which
+ * give its IMDb id and trailers
+ * @param {string} searchType - "movie" or "tv"
+ * @param {number} tmdbId - The TMDB id
+ * @param {string} tmdbKey - The TMDB API key
+ * @param {string} language - The language for results
+ * @returns {Promise<Object>} - The TMDB details
+ */
+async function fetchTmdbDetails(searchType, tmdbId, tmdbKey, language) {
+  const startTime = Date.now();
+  const detailsCacheKey = `details_${searchType}_${tmdbId}_${language}`;
+
+  // Check if details are in cache (entries from before trailers were
+  // fetched have no videos and are refreshed)
+  if (
+    tmdbDetailsCache.has(detailsCacheKey) &&
+    tmdbDetailsCache.get(detailsCacheKey).data?.videos
+  ) {
+    const cachedDetails = tmdbDetailsCache.get(detailsCacheKey);
+    logger.info("TMDB details cache hit", {
+      cacheKey: detailsCacheKey,
+      tmdbId,
+      cachedAt: new Date(cachedDetails.timestamp).toISOString(),
+      age: `${Math.round((Date.now() - cachedDetails.timestamp) / 1000)}s`,
+      hasImdbId: !!(
+        cachedDetails.data?.imdb_id || cachedDetails.data?.external_ids?.imdb_id
+      ),
+    });
+    return cachedDetails.data;
+  }
+
+  // Not in cache, need to make API call
+  const videoLanguages = getMediaLanguages(language);
+  const detailsUrl = `${TMDB_API_BASE}/${searchType}/${tmdbId}?api_key=${tmdbKey}&append_to_response=external_ids,videos&include_video_language=${videoLanguages}&language=${language}`;
+
+  logger.info("TMDB details cache miss", {
+    cacheKey: detailsCacheKey,
+    tmdbId,
+  });
+
+  logger.info("Making TMDB details API call", {
+    url: detailsUrl.replace(tmdbKey, "***"),
+    movieId: tmdbId,
+    type: searchType,
+  });
+
+  // Use withRetry for the details API call
+  const detailsData = await withRetry(
+    async () => {
+      const detailsResponse = await fetch(detailsUrl);
+      if (!detailsResponse.ok) {
+        const errorData = await detailsResponse.json().catch(() => ({}));
+        const error = new Error(
+          `TMDB details API error: ${detailsResponse.status} ${
+            errorData?.status_message || ""
+          }`
+        );
+        error.status = detailsResponse.status;
+        throw error;
       }
+      return detailsResponse.json();
+    },
+    {
+      maxRetries: 3,
+      initialDelay: 1000,
+      maxDelay: 8000,
+      operationName: "TMDB details API call",
+    }
+  );
+
+  logger.info("TMDB details response", {
+    duration: `${Date.now() - startTime}ms`,
+    hasImdbId: !!(detailsData?.imdb_id || detailsData?.external_ids?.imdb_id),
+    tmdbId: detailsData?.id,
+    type: searchType,
+  });
+
+  // Cache the details response
+  tmdbDetailsCache.set(detailsCacheKey, {
+    timestamp: Date.now(),
+    data: detailsData,
+  });
+
+  logger.debug("TMDB details result cached", {
+    cacheKey: detailsCacheKey,
+    tmdbId,
+    hasImdbId: !!(detailsData?.imdb_id || detailsData?.external_ids?.imdb_id),
+  });
+
+  return detailsData;
+}
+
+/**
+ * Returns the TMDB data of a title already resolved to a TMDB id (by discover,
+ * credits, similar titles, collections or Trakt), in the format of
+ * searchTMDB. Fetching it by id avoids picking a namesake or missing a title
+ * whose name differs in the search language.
+ * @param {number} tmdbId - The TMDB id
+ * @param {string} type - The content type (movie/series)
+ * @param {string} tmdbKey - The TMDB API key
+ * @param {string} language - The language for results
+ * @returns {Promise<Object|null>} - The TMDB data, or null when it can't be fetched
+ */
+async function getTmdbDataById(tmdbId, type, tmdbKey, language = "en-US") {
+  const searchType = type === "movie" ? "movie" : "tv";
+  try {
+    const details = await fetchTmdbDetails(
+      searchType,
+      tmdbId,
+      tmdbKey,
+      language
     );
 
-    // Log response with error status if applicable
-    if (responseData.status_code) {
-      logger.error("TMDB API error response", {
-        duration: `${Date.now() - startTime}ms`,
-        status_code: responseData.status_code,
-        status_message: responseData.status_message,
-        query: title,
-        year: year,
-      });
-    } else {
-      // Log successful response (even if no results found)
-      logger.info("TMDB API response", {
-        duration: `${Date.now() - startTime}ms`,
-        resultCount: responseData?.results?.length,
-        status: "success",
+    return {
+      poster: details.poster_path
+        ? `https://image.tmdb.org/t/p/w500${details.poster_path}`
+        : null,
+      backdrop: details.backdrop_path
+        ? `https://image.tmdb.org/t/p/original${details.backdrop_path}`
+        : null,
+      tmdbRating: details.vote_average,
+      genres: (details.genres || []).map((genre) => genre.id),
+      overview: details.overview || "",
+      tmdb_id: details.id,
+      title: details.title || details.name,
+      release_date: details.release_date || details.first_air_date,
+      imdb_id: details.imdb_id || details.external_ids?.imdb_id,
+      trailers: extractTmdbTrailers(details.videos, language),
+    };
+  } catch (error) {
+    logger.error("TMDB details error", {
+      error: error.message,
+      status: error.status,
+      tmdbId,
+      type,
+    });
+    return null;
+  }
+}
+
+async function searchTMDB(title, type, year, tmdbKey, language = "en-US") {
+  const startTime = Date.now();
+  logger.debug("Starting TMDB search", { title, type, year });
+  const cacheKey = `${title}-${type}-${year}-${language}`;
+
+  if (tmdbCache.has(cacheKey)) {
+    const cached = tmdbCache.get(cacheKey);
+    logger.info("TMDB cache hit", {
+      cacheKey,
+      cachedAt: new Date(cached.timestamp).toISOString(),
+      age: `${Math.round((Date.now() - cached.timestamp) / 1000)}s`,
+      responseTime: `${Date.now() - startTime}ms`,
+      title,
+      type,
+      year,
+      language,
+      hasImdbId: !!cached.data?.imdb_id,
+      tmdbId: cached.data?.tmdb_id,
+      confidence: cached.confidence,
+    });
+    return cached.data;
+  }
+
+  logger.info("TMDB cache miss", { cacheKey, title, type, year, language });
+
+  try {
+    const searchType = type === "movie" ? "movie" : "tv";
+    let match = pickBestTmdbMatch(
+      (await fetchTmdbSearchResults(searchType, title, year, tmdbKey, language))
+        ?.results,
+      title,
+      year
+    );
+
+    // The AI's year is sometimes off, which either hides the right title behind
+    // the year filter or leaves only namesakes, so search again without it
+    if (year && (!match || match.confidence < TMDB_CONFIDENT_MATCH)) {
+      const retryMatch = pickBestTmdbMatch(
+        (
+          await fetchTmdbSearchResults(
+            searchType,
+            title,
+            null,
+            tmdbKey,
+            language
+          )
+        )?.results,
+        title,
+        year
+      );
+
+      if (retryMatch && (!match || retryMatch.confidence > match.confidence)) {
+        match = retryMatch;
+      }
+    }
+
+    if (match) {
+      logger.info("TMDB best match selected", {
         query: title,
-        year: year,
-        firstResult: responseData?.results?.[0]
-          ? {
-              id: responseData.results[0].id,
-              title:
-                responseData.results[0].title || responseData.results[0].name,
-              year:
-                responseData.results[0].release_date ||
-                responseData.results[0].first_air_date,
-              hasExternalIds: !!responseData.results[0].external_ids,
-            }
-          : null,
+        year,
+        tmdbId: match.result.id,
+        title: match.result.title || match.result.name,
+        releaseDate: match.result.release_date || match.result.first_air_date,
+        confidence: Number(match.confidence.toFixed(3)),
+        titleScore: Number(match.titleScore.toFixed(3)),
+        yearScore: match.yearScore,
       });
-    }
 
-    if (responseData?.results?.[0]) {
-      const result = responseData.results[0];
+      const result = match.result;
 
       const tmdbData = {
         poster: result.poster_path
@@ -830,98 +1556,23 @@ async function searchTMDB(title, type, year, tmdbKey, language = "en-US") {
         tmdb_id: result.id,
         title: result.title || result.name,
         release_date: result.release_date || result.first_air_date,
+        matchConfidence: Number(match.confidence.toFixed(3)),
       };
 
       // Only fetch details if we don't have an IMDB ID
       if (!tmdbData.imdb_id) {
-        const detailsCacheKey = `details_${searchType}_${result.id}_${language}`;
-        let detailsData;
-
-        // Check if details are in cache
-        if (tmdbDetailsCache.has(detailsCacheKey)) {
-          const cachedDetails = tmdbDetailsCache.get(detailsCacheKey);
-          logger.info("TMDB details cache hit", {
-            cacheKey: detailsCacheKey,
-            tmdbId: result.id,
-            cachedAt: new Date(cachedDetails.timestamp).toISOString(),
-            age: `${Math.round(
-              (Date.now() - cachedDetails.timestamp) / 1000
-            )}s`,
-            hasImdbId: !!(
-              cachedDetails.data?.imdb_id ||
-              cachedDetails.data?.external_ids?.imdb_id
-            ),
-          });
-          detailsData = cachedDetails.data;
-        } else {
-          // Not in cache, need to make API call
-          const detailsUrl = `${TMDB_API_BASE}/${searchType}/${result.id}?api_key=${tmdbKey}&append_to_response=external_ids&language=${language}`;
-
-          logger.info("TMDB details cache miss", {
-            cacheKey: detailsCacheKey,
-            tmdbId: result.id,
-          });
-
-          logger.info("Making TMDB details API call", {
-            url: detailsUrl.replace(tmdbKey, "***"),
-            movieId: result.id,
-            type: searchType,
-          });
-
-          // Use withRetry for the details API call
-          detailsData = await withRetry(
-            async () => {
-              const detailsResponse = await fetch(detailsUrl);
-              if (!detailsResponse.ok) {
-                const errorData = await detailsResponse
-                  .json()
-                  .catch(() => ({}));
-                const error = new Error(
-                  `TMDB details API error: ${detailsResponse.status} ${
-                    errorData?.status_message || ""
-                  }`
-                );
-                error.status = detailsResponse.status;
-                throw error;
-              }
-              return detailsResponse.json();
-            },
-            {
-              maxRetries: 3,
-              initialDelay: 1000,
-              maxDelay: 8000,
-              operationName: "TMDB details API call",
-            }
-          );
-
-          logger.info("TMDB details response", {
-            duration: `${Date.now() - startTime}ms`,
-            hasImdbId: !!(
-              detailsData?.imdb_id || detailsData?.external_ids?.imdb_id
-            ),
-            tmdbId: detailsData?.id,
-            type: searchType,
-          });
-
-          // Cache the details response
-          tmdbDetailsCache.set(detailsCacheKey, {
-            timestamp: Date.now(),
-            data: detailsData,
-          });
-
-          logger.debug("TMDB details result cached", {
-            cacheKey: detailsCacheKey,
-            tmdbId: result.id,
-            hasImdbId: !!(
-              detailsData?.imdb_id || detailsData?.external_ids?.imdb_id
-            ),
-          });
-        }
+        const detailsData = await fetchTmdbDetails(
+          searchType,
+          result.id,
+          tmdbKey,
+          language
+        );
 
         // Extract IMDb ID from details data
         if (detailsData) {
           tmdbData.imdb_id =
             detailsData.imdb_id || detailsData.external_ids?.imdb_id;
+          tmdbData.trailers = extractTmdbTrailers(detailsData.videos, language);
 
           logger.debug("IMDB ID extraction result", {
             title,
@@ -936,6 +1587,7 @@ async function searchTMDB(title, type, year, tmdbKey, language = "en-US") {
       tmdbCache.set(cacheKey, {
         timestamp: Date.now(),
         data: tmdbData,
+        confidence: tmdbData.matchConfidence,
       });
 
       logger.debug("TMDB result cached", {
@@ -992,14 +1644,14 @@ const manifest = {
       type: "movie",
       id: "top",
       name: "AI Movie Search",
-      extra: [{ name: "search", isRequired: true }],
+      extra: [{ name: "search", isRequired: true }, { name: "skip" }],
       isSearch: true,
     },
     {
       type: "series",
       id: "top",
       name: "AI Series Search",
-      extra: [{ name: "search", isRequired: true }],
+      extra: [{ name: "search", isRequired: true }, { name: "skip" }],
       isSearch: true,
     },
   ],
@@ -1138,6 +1790,57 @@ function determineIntentFromKeywords(query) {
   }
 }
 
+/**
+ * Returns how searches that look like they are for the other content type are handled:
+ * "strict" (the default) only shows the type the search is for, "dominant"
+ * only shows the top matches of the other type and "both" shows full lists
+ * for both types. Stremio shows the catalog rows in a fixed order, so the
+ * other type can't be moved below, only shortened.
+ * @param {Object} config - Decrypted addon configuration
+ * @returns {"strict"|"dominant"|"both"}
+ */
+function getIntentPolicy(config) {
+  return INTENT_POLICIES.includes(config?.IntentPolicy)
+    ? config.IntentPolicy
+    : INTENT_POLICIES[0];
+}
+
+/**
+ * Returns how titles on the user's Trakt watchlist are handled: "include"
+ * treats them like any other title, "exclude" leaves them out of results and
+ * "boost" recommends them first for "recommend" queries
+ * @param {Object} config - Decrypted addon configuration
+ * @returns {"include"|"exclude"|"boost"}
+ */
+function getTraktWatchlistMode(config) {
+  return TRAKT_WATCHLIST_MODES.includes(config?.TraktWatchlistMode)
+    ? config.TraktWatchlistMode
+    : TRAKT_WATCHLIST_MODES[0];
+}
+
+/**
+ * Applies the intent policy to a catalog request whose detected intent may
+ * differ from the catalog type
+ * @param {string} intent - The detected intent (movie/series/ambiguous)
+ * @param {string} type - The catalog type (movie/series)
+ * @param {number} numResults - The configured number of results
+ * @param {Object} config - Decrypted addon configuration
+ * @returns {number} - How many results to show, 0 to return an empty catalog
+ */
+function getResultCountForIntent(intent, type, numResults, config) {
+  if (intent === "ambiguous" || intent === type) {
+    return numResults;
+  }
+
+  const policy = getIntentPolicy(config);
+  if (policy === "strict") {
+    return 0;
+  }
+  return policy === "dominant"
+    ? Math.max(1, Math.round(numResults * SECONDARY_TYPE_RESULTS_RATIO))
+    : numResults;
+}
+
 function extractGenreCriteria(query) {
   const q = query.toLowerCase();
 
@@ -1289,96 +1992,174 @@ function isRecommendationQuery(query) {
 }
 
 /**
- * Checks if an item is in the user's watch history or rated items
- * @param {Object} item - The item to check
- * @param {Array} watchHistory - The user's watch history from Trakt
- * @param {Array} ratedItems - The user's rated items from Trakt
+ * Detects queries about the user's own Trakt lists, like "something from my
+ * watchlist for tonight" or "a comedy from my collection"
+ * @param {string} query - The search query
+ * @returns {"watchlist"|"collection"|null}
+ */
+function getTraktListForQuery(query) {
+  const match = query.match(TRAKT_LIST_QUERY_PATTERN);
+  if (!match) return null;
+  return match[1].toLowerCase() === "collection" ? "collection" : "watchlist";
+}
+
+// Id indexes of the user's Trakt lists, built once per Trakt fetch
+const traktIndexes = new WeakMap();
+
+function getTraktIndex(traktData, name) {
+  if (!traktIndexes.has(traktData)) {
+    traktIndexes.set(traktData, {
+      watched: buildTraktIdIndex(
+        traktData.watched,
+        traktData.history,
+        traktData.rated
+      ),
+      watchlist: buildTraktIdIndex(traktData.watchlist),
+    });
+  }
+  return traktIndexes.get(traktData)[name];
+}
+
+/**
+ * Checks if a title is in the user's watch history or rated items, by the ids
+ * it resolved to on TMDB, so localised titles and remakes are told apart
+ * @param {Object} ids - { type, imdbId, tmdbId } of the title
+ * @param {Object} traktData - The user's Trakt data
  * @returns {boolean} - True if the item is in the watch history or rated items
  */
-function isItemWatchedOrRated(item, watchHistory, ratedItems) {
-  if (!item) {
+function isItemWatchedOrRated(ids, traktData) {
+  if (!traktData) {
     return false;
   }
 
-  // Normalize the item name for comparison
-  const normalizedName = item.name.toLowerCase().trim();
-  const itemYear = parseInt(item.year);
-
-  // Debug logging for specific items (uncomment for troubleshooting)
-  // if (normalizedName.includes("specific movie title")) {
-  //   logger.debug("Checking specific item", {
-  //     item: { name: item.name, year: item.year },
-  //     watchHistoryCount: watchHistory?.length || 0,
-  //     ratedItemsCount: ratedItems?.length || 0
-  //   });
-  // }
-
-  // Check if the item exists in watch history
-  const isWatched =
-    watchHistory &&
-    watchHistory.length > 0 &&
-    watchHistory.some((historyItem) => {
-      const media = historyItem.movie || historyItem.show;
-      if (!media) return false;
-
-      const historyName = media.title.toLowerCase().trim();
-      const historyYear = parseInt(media.year);
-
-      const isMatch =
-        normalizedName === historyName &&
-        (!itemYear || !historyYear || itemYear === historyYear);
-
-      // Debug logging for specific items (uncomment for troubleshooting)
-      // if (normalizedName.includes("specific movie title") && isMatch) {
-      //   logger.debug("Found match in watch history", {
-      //     recommendation: { name: item.name, year: item.year },
-      //     watchedItem: { title: media.title, year: media.year }
-      //   });
-      // }
-
-      return isMatch;
-    });
+  return hasTraktId(getTraktIndex(traktData, "watched"), ids);
+}
+
+/**
+ * Checks if a title is on the user's Trakt watchlist, by its resolved ids
+ * @param {Object} ids - { type, imdbId, tmdbId } of the title
+ * @param {Object} traktData - The user's Trakt data
+ * @returns {boolean}
+ */
+function isItemOnWatchlist(ids, traktData) {
+  if (!traktData) {
+    return false;
+  }
 
-  // Check if the item exists in rated items
-  const isRated =
-    ratedItems &&
-    ratedItems.length > 0 &&
-    ratedItems.some((ratedItem) => {
-      const media = ratedItem.movie || ratedItem.show;
-      if (!media) return false;
-
-      const ratedName = media.title.toLowerCase().trim();
-      const ratedYear = parseInt(media.year);
-
-      const isMatch =
-        normalizedName === ratedName &&
-        (!itemYear || !ratedYear || itemYear === ratedYear);
-
-      // Debug logging for specific items (uncomment for troubleshooting)
-      // if (normalizedName.includes("specific movie title") && isMatch) {
-      //   logger.debug("Found match in rated items", {
-      //     recommendation: { name: item.name, year: item.year },
-      //     ratedItem: { title: media.title, year: media.year, rating: ratedItem.rating }
-      //   });
-      // }
-
-      return isMatch;
+  return hasTraktId(getTraktIndex(traktData, "watchlist"), ids);
+}
+
+/**
+ * Checks if a title should be left out of the user's recommendations: it was
+ * watched or rated, or it is on the watchlist with the "exclude" watchlist mode
+ * @param {Object} ids - { type, imdbId, tmdbId } of the title
+ * @param {Object} traktData - The user's Trakt data
+ * @param {Object} config - Decrypted addon configuration
+ * @returns {boolean}
+ */
+function isItemExcludedByTrakt(ids, traktData, config) {
+  return (
+    isItemWatchedOrRated(ids, traktData) ||
+    (getTraktWatchlistMode(config) === "exclude" &&
+      isItemOnWatchlist(ids, traktData))
+  );
+}
+
+/**
+ * JSON schema of the AI recommendation list
+ * @param {string|string[]} types - The content type(s) the list may contain (movie/series)
+ * @returns {Object}
+ */
+function getRecommendationSchema(types) {
+  return {
+    type: "object",
+    properties: {
+      recommendations: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: [].concat(types) },
+            name: { type: "string", minLength: 1 },
+            year: {
+              type: "integer",
+              minimum: 1870,
+              maximum: new Date().getFullYear() + 5,
+            },
+          },
+          required: ["type", "name", "year"],
+        },
+      },
+    },
+    required: ["recommendations"],
+  };
+}
+
+/**
+ * Asks the AI for recommendations and turns the validated JSON into items.
+ * If the answer is still invalid after the repair attempt, the entries that do
+ * match the schema are kept and the rest are reported as invalid items.
+ * @param {Object} aiProvider - The AI provider created by createAIProvider
+ * @param {string} promptText - The recommendation prompt
+ * @param {string|string[]} types - The content type(s) to ask for (movie/series)
+ * @returns {Promise<{movies: Array|undefined, series: Array|undefined}>}
+ */
+async function requestAIRecommendations(aiProvider, promptText, types) {
+  const operationName = "Recommendations API call";
+  const requestedTypes = [].concat(types);
+  const schema = getRecommendationSchema(requestedTypes);
+  let items;
+
+  try {
+    const data = await aiProvider.generateJSON(promptText, schema, {
+      operationName,
     });
+    items = data.recommendations;
+  } catch (error) {
+    if (!error.isParseError || !Array.isArray(error.data?.recommendations)) {
+      throw error;
+    }
+    items = error.data.recommendations;
+  }
+
+  const validItems = filterValidItems(
+    items,
+    schema.properties.recommendations.items,
+    operationName
+  );
+
+  const recommendations = {
+    movies: requestedTypes.includes("movie") ? [] : undefined,
+    series: requestedTypes.includes("series") ? [] : undefined,
+  };
+
+  for (const { type, name, year } of validItems) {
+    const item = {
+      name: name.trim(),
+      year,
+      type,
+      id: `ai_${type}_${name.toLowerCase().replace(/[^a-z0-9]+/g, "_")}`,
+    };
+
+    if (type === "movie") recommendations.movies.push(item);
+    else if (type === "series") recommendations.series.push(item);
+  }
 
-  return isWatched || isRated;
+  logger.info("Recommendation processing complete", {
+    validRecommendations: validItems.length,
+    invalidItems: items.length - validItems.length,
+    totalProcessed: items.length,
+  });
+
+  return recommendations;
 }
 
-async function getAIRecommendations(query, type, geminiKey, config) {
+async function getAIRecommendations(query, type, aiProvider, config) {
   const startTime = Date.now();
   const currentYear = new Date().getFullYear();
-  // Limit numResults to a maximum of 25
-  let numResults = config?.numResults || 20;
-  if (numResults > 25) {
-    numResults = MAX_AI_RECOMMENDATIONS;
-  }
+  let numResults = Math.min(config?.numResults || 20, MAX_AI_RECOMMENDATIONS);
   const enableAiCache =
     config?.EnableAiCache !== undefined ? config.EnableAiCache : true;
-  const geminiModel = config?.GeminiModel || DEFAULT_GEMINI_MODEL;
   const language = config?.TmdbLanguage || "en-US";
   const traktClientId = DEFAULT_TRAKT_CLIENT_ID;
   const traktAccessToken = config?.TraktAccessToken;
@@ -1388,7 +2169,8 @@ async function getAIRecommendations(query, type, geminiKey, config) {
     type,
     requestedResults: numResults,
     cacheEnabled: enableAiCache,
-    model: geminiModel,
+    provider: aiProvider.name,
+    model: aiProvider.model,
     hasTraktConfig: !!(traktClientId && traktAccessToken),
   });
 
@@ -1402,11 +2184,7 @@ async function getAIRecommendations(query, type, geminiKey, config) {
   // For recommendation queries, use the new workflow with type and genre discovery
   if (isRecommendation) {
     // First, make the genre and type discovery API call
-    const discoveryResult = await discoverTypeAndGenres(
-      query,
-      geminiKey,
-      geminiModel
-    );
+    const discoveryResult = await discoverTypeAndGenres(query, aiProvider);
     discoveredType = discoveryResult.type;
     discoveredGenres = discoveryResult.genres;
 
@@ -1418,8 +2196,14 @@ async function getAIRecommendations(query, type, geminiKey, config) {
     });
 
     // If the discovered type is specific (not ambiguous) and doesn't match the requested type,
-    // return empty results, similar to how regular searches handle intent mismatches
-    if (discoveredType !== "ambiguous" && discoveredType !== type) {
+    // the intent policy decides, similar to how regular searches handle intent mismatches
+    const intentResults = getResultCountForIntent(
+      discoveredType,
+      type,
+      numResults,
+      config
+    );
+    if (intentResults === 0) {
       logger.debug("Recommendation intent mismatch - returning empty results", {
         discoveredType,
         requestedType: type,
@@ -1434,6 +2218,7 @@ async function getAIRecommendations(query, type, geminiKey, config) {
         fromCache: false,
       };
     }
+    numResults = intentResults;
 
     // If Trakt is configured, get user data ONLY for recommendation queries
     if (traktClientId && traktAccessToken) {
@@ -1450,7 +2235,7 @@ async function getAIRecommendations(query, type, geminiKey, config) {
         traktClientId,
         traktAccessToken,
         type === "movie" ? "movies" : "shows"
-      );
+      ).catch(() => null);
 
       // Filter Trakt data based on discovered genres
       if (traktData && discoveredGenres.length > 0) {
@@ -1485,7 +2270,7 @@ async function getAIRecommendations(query, type, geminiKey, config) {
       cacheKey,
       query,
       type,
-      model: geminiModel,
+      model: aiProvider.model,
       cachedAt: new Date(cached.timestamp).toISOString(),
       age: `${Math.round((Date.now() - cached.timestamp) / 1000)}s`,
       responseTime: `${Date.now() - startTime}ms`,
@@ -1534,8 +2319,6 @@ async function getAIRecommendations(query, type, geminiKey, config) {
   }
 
   try {
-    const genAI = new GoogleGenerativeAI(geminiKey);
-    const model = genAI.getGenerativeModel({ model: geminiModel });
     const genreCriteria = extractGenreCriteria(query);
 
     let promptText = [
@@ -1566,10 +2349,10 @@ async function getAIRecommendations(query, type, geminiKey, config) {
           filteredTraktData || {
             recentlyWatched: traktData.watched?.slice(0, 25) || [],
             highlyRated: (traktData.rated || [])
-              .filter((item) => item.rating >= 4)
+              .filter((item) => isLikedRating(item.rating))
               .slice(0, 25),
             lowRated: (traktData.rated || [])
-              .filter((item) => item.rating <= 2)
+              .filter((item) => isDislikedRating(item.rating))
               .slice(0, 15),
           };
 
@@ -1636,12 +2419,12 @@ async function getAIRecommendations(query, type, geminiKey, config) {
 
         if (highlyRated.length > 0) {
           promptText.push(
-            "Highly rated (4-5 stars) in these genres:",
+            "Highly rated (7-10 out of 10) in these genres:",
             highlyRated
               .slice(0, 25)
               .map((item) => {
                 const media = item.movie || item.show;
-                return `- ${media.title} (${item.rating}/5) - ${
+                return `- ${media.title} (${item.rating}/10) - ${
                   media.genres?.join(", ") || "N/A"
                 }`;
               })
@@ -1652,12 +2435,12 @@ async function getAIRecommendations(query, type, geminiKey, config) {
 
         if (lowRated.length > 0) {
           promptText.push(
-            "Low rated (1-2 stars) in these genres:",
+            "Low rated (1-4 out of 10) in these genres:",
             lowRated
               .slice(0, 15)
               .map((item) => {
                 const media = item.movie || item.show;
-                return `- ${media.title} (${item.rating}/5) - ${
+                return `- ${media.title} (${item.rating}/10) - ${
                   media.genres?.join(", ") || "N/A"
                 }`;
               })
@@ -1692,12 +2475,21 @@ async function getAIRecommendations(query, type, geminiKey, config) {
             ? `User tends to watch content from ${preferences.yearRange.start} to ${preferences.yearRange.end}, with a preference for ${preferences.yearRange.preferred}`
             : "",
           "",
+          ...(preferences.taste
+            ? [
+                "TASTE PROFILE (1-10 ratings, recent and rewatched titles weigh more, negative scores are dislikes):",
+                ...formatTasteProfile(preferences.taste, {
+                  includeGenres: discoveredGenres.length === 0,
+                }),
+              ]
+            : []),
+          "",
           "RECOMMENDATION STRATEGY:",
           genreRecommendationStrategy ||
             "Balance user preferences with query requirements",
           "1. Focus on the specific requirements from the query (genres, time period, mood)",
           "2. Use user's preferences to refine choices within those requirements",
-          "3. Consider their rating patterns to gauge quality preferences",
+          "3. Consider their rating patterns to gauge quality preferences and avoid what they dislike",
           "4. Prioritize movies with preferred actors/directors when relevant",
           "5. Include some variety while staying within the requested criteria",
           "6. For genre-specific queries, prioritize acclaimed or popular movies in that genre that the user hasn't seen",
@@ -1729,19 +2521,10 @@ async function getAIRecommendations(query, type, geminiKey, config) {
       `- Prioritize quality over exact matching - it's better to recommend a great movie that's somewhat related than a mediocre movie that perfectly matches all criteria.`,
       `- If the user has watched many movies in the requested genre, consider recommending lesser-known gems, international films, or recent releases they might have missed.`,
       "",
-      "FORMAT:",
-      "type|name|year",
-      "OR",
-      "type|name (year)",
-      "",
-      "EXAMPLES:",
-      `${type}|The Matrix|1999`,
-      `${type}|The Matrix (1999)`,
-      "",
       "RULES:",
-      "- Use | separator",
-      "- Year: YYYY format (either as separate field or in parentheses)",
-      `- Type: Hardcode to "${type}"`,
+      `- "type": always "${type}"`,
+      '- "name": the title only, without the year',
+      '- "year": the release year (first air year for series) as a number',
       "- Only best matches that strictly match ALL query requirements",
       "- If specific genres/time periods are requested, ALL recommendations must match those criteria",
     ]);
@@ -1764,8 +2547,9 @@ async function getAIRecommendations(query, type, geminiKey, config) {
 
     promptText = promptText.join("\n");
 
-    logger.info("Making Gemini API call", {
-      model: geminiModel,
+    logger.info("Making AI API call", {
+      provider: aiProvider.name,
+      model: aiProvider.model,
       query,
       type,
       prompt: promptText,
@@ -1773,149 +2557,18 @@ async function getAIRecommendations(query, type, geminiKey, config) {
       numResults,
     });
 
-    // Use withRetry for the Gemini API call
-    const text = await withRetry(
-      async () => {
-        try {
-          const aiResult = await model.generateContent(promptText);
-          const response = await aiResult.response;
-          const responseText = response.text().trim();
-
-          // Log successful response
-          logger.info("Gemini API response", {
-            duration: `${Date.now() - startTime}ms`,
-            promptTokens: aiResult.promptFeedback?.tokenCount,
-            candidates: aiResult.candidates?.length,
-            safetyRatings: aiResult.candidates?.[0]?.safetyRatings,
-            responseTextLength: responseText.length,
-            responseTextSample:
-              responseText.substring(0, 100) +
-              (responseText.length > 100 ? "..." : ""),
-          });
-
-          return responseText;
-        } catch (error) {
-          // Enhance error with status for retry logic
-          logger.error("Gemini API call failed", {
-            error: error.message,
-            status: error.httpStatus || 500,
-            stack: error.stack,
-          });
-          error.status = error.httpStatus || 500;
-          throw error;
-        }
-      },
-      {
-        maxRetries: 3,
-        initialDelay: 2000,
-        maxDelay: 10000,
-        // Don't retry 400 errors (bad requests)
-        shouldRetry: (error) => !error.status || error.status !== 400,
-        operationName: "Gemini API call",
-      }
+    const recommendations = await requestAIRecommendations(
+      aiProvider,
+      promptText,
+      type
     );
 
-    // Process the response text
-    const lines = text
-      .split("\n")
-      .map((line) => line.trim())
-      .filter((line) => line && !line.startsWith("type|"));
-
-    logger.debug("Parsed recommendation lines", {
-      totalLines: text.split("\n").length,
-      validLines: lines.length,
-    });
-
-    const recommendations = {
-      movies: type === "movie" ? [] : undefined,
-      series: type === "series" ? [] : undefined,
-    };
-
-    let validRecommendations = 0;
-    let invalidLines = 0;
-
-    for (const line of lines) {
-      try {
-        const parts = line.split("|");
-
-        let lineType, name, year;
-
-        if (parts.length === 3) {
-          [lineType, name, year] = parts.map((s) => s.trim());
-        } else if (parts.length === 2) {
-          lineType = parts[0].trim();
-          const nameWithYear = parts[1].trim();
-
-          const yearMatch = nameWithYear.match(/\((\d{4})\)$/);
-          if (yearMatch) {
-            year = yearMatch[1];
-            name = nameWithYear
-              .substring(0, nameWithYear.lastIndexOf("("))
-              .trim();
-          } else {
-            const anyYearMatch = nameWithYear.match(/\b(19\d{2}|20\d{2})\b/);
-            if (anyYearMatch) {
-              year = anyYearMatch[1];
-              name = nameWithYear.replace(anyYearMatch[0], "").trim();
-            } else {
-              logger.debug("Missing year in recommendation", { nameWithYear });
-              invalidLines++;
-              continue;
-            }
-          }
-        } else {
-          logger.debug("Invalid recommendation format", { line });
-          invalidLines++;
-          continue;
-        }
-
-        const yearNum = parseInt(year);
-
-        if (!lineType || !name || isNaN(yearNum)) {
-          logger.debug("Invalid recommendation data", {
-            lineType,
-            name,
-            year,
-            isValidYear: !isNaN(yearNum),
-          });
-          invalidLines++;
-          continue;
-        }
-
-        if (lineType === type && name && yearNum) {
-          const item = {
-            name,
-            year: yearNum,
-            type,
-            id: `ai_${type}_${name.toLowerCase().replace(/[^a-z0-9]+/g, "_")}`,
-          };
-
-          if (type === "movie") recommendations.movies.push(item);
-          else if (type === "series") recommendations.series.push(item);
-
-          validRecommendations++;
-        }
-      } catch (error) {
-        logger.error("Error processing recommendation line", {
-          line,
-          error: error.message,
-        });
-        invalidLines++;
-      }
-    }
-
-    logger.info("Recommendation processing complete", {
-      validRecommendations,
-      invalidLines,
-      totalProcessed: lines.length,
-    });
-
     const finalResult = {
       recommendations,
       fromCache: false,
     };
 
-    // Filter out watched items if we have Trakt data and this is a recommendation query
+    // Watched and rated titles are dropped by id once the recommendations are resolved
     if (traktData && isRecommendation) {
       const watchHistory = traktData.watched.concat(traktData.history || []);
 
@@ -1945,78 +2598,6 @@ async function getAIRecommendations(query, type, geminiKey, config) {
         watchedSample: watchedSummary,
         ratedSample: ratedSummary,
       });
-
-      // Filter out watched and rated items from recommendations
-      if (finalResult.recommendations.movies) {
-        // Get the list of movies before filtering
-        const allMovies = [...finalResult.recommendations.movies];
-
-        const unwatchedMovies = finalResult.recommendations.movies.filter(
-          (movie) => !isItemWatchedOrRated(movie, watchHistory, traktData.rated)
-        );
-
-        // Find which movies were filtered out
-        const filteredMovies = allMovies.filter(
-          (movie) =>
-            !unwatchedMovies.some(
-              (unwatched) =>
-                unwatched.name === movie.name && unwatched.year === movie.year
-            )
-        );
-
-        logger.info(
-          "Filtered out watched and rated movies from recommendations",
-          {
-            totalRecommendations: finalResult.recommendations.movies.length,
-            unwatchedCount: unwatchedMovies.length,
-            filteredCount:
-              finalResult.recommendations.movies.length -
-              unwatchedMovies.length,
-            filteredMovies: filteredMovies.map((movie) => ({
-              title: movie.name,
-              year: movie.year,
-            })),
-          }
-        );
-
-        finalResult.recommendations.movies = unwatchedMovies;
-      }
-
-      if (finalResult.recommendations.series) {
-        // Get the list of series before filtering
-        const allSeries = [...finalResult.recommendations.series];
-
-        const unwatchedSeries = finalResult.recommendations.series.filter(
-          (series) =>
-            !isItemWatchedOrRated(series, watchHistory, traktData.rated)
-        );
-
-        // Find which series were filtered out
-        const filteredSeries = allSeries.filter(
-          (series) =>
-            !unwatchedSeries.some(
-              (unwatched) =>
-                unwatched.name === series.name && unwatched.year === series.year
-            )
-        );
-
-        logger.info(
-          "Filtered out watched and rated series from recommendations",
-          {
-            totalRecommendations: finalResult.recommendations.series.length,
-            unwatchedCount: unwatchedSeries.length,
-            filteredCount:
-              finalResult.recommendations.series.length -
-              unwatchedSeries.length,
-            filteredSeries: filteredSeries.map((series) => ({
-              title: series.name,
-              year: series.year,
-            })),
-          }
-        );
-
-        finalResult.recommendations.series = unwatchedSeries;
-      }
     }
 
     // Only cache if there's no Trakt data (not user-specific)
@@ -2062,10 +2643,11 @@ async function getAIRecommendations(query, type, geminiKey, config) {
 
     return finalResult;
   } catch (error) {
-    logger.error("Gemini API Error:", {
+    logger.error("AI API Error:", {
       error: error.message,
       stack: error.stack,
-      params: { query, type, geminiKeyLength: geminiKey?.length },
+      provider: aiProvider.name,
+      params: { query, type },
     });
     return {
       recommendations: {
@@ -2228,13 +2810,10 @@ async function toStremioMeta(
   const userTier = usingUserKey ? getRpdbTierFromApiKey(userRpdbKey) : -1;
   const isTier0User = (usingUserKey && userTier === 0) || usingDefaultKey;
 
-  const tmdbData = await searchTMDB(
-    item.name,
-    type,
-    item.year,
-    tmdbKey,
-    language
-  );
+  // Candidates from TMDB or Trakt already know their TMDB id
+  const tmdbData = item.tmdb_id
+    ? await getTmdbDataById(item.tmdb_id, type, tmdbKey, language)
+    : await searchTMDB(item.name, type, item.year, tmdbKey, language);
 
   if (!tmdbData || !tmdbData.imdb_id) {
     return null;
@@ -2310,6 +2889,8 @@ async function toStremioMeta(
   const meta = {
     id: tmdbData.imdb_id,
     type: type,
+    moviedb_id: tmdbData.tmdb_id,
+    trakt_id: item.trakt_id,
     name: tmdbData.title || tmdbData.name,
     description:
       platform === "android-tv"
@@ -2323,6 +2904,7 @@ async function toStremioMeta(
     background: tmdbData.backdrop,
     posterShape: "regular",
     posterSource,
+    ...toStremioTrailers(tmdbData.trailers),
   };
 
   if (tmdbData.genres && tmdbData.genres.length > 0) {
@@ -2334,6 +2916,218 @@ async function toStremioMeta(
   return meta;
 }
 
+function getRecommendationKey(item) {
+  return `${item.name.toLowerCase().replace(/[^a-z0-9]+/g, "")}_${item.year}`;
+}
+
+// Requests both catalogs of one search need: the query analysis and the
+// combined movie+series AI recommendations
+const sharedSearchRequests = new Map();
+
+/**
+ * Runs a request once per search and config. Stremio requests the movie and
+ * series catalogs in parallel, so the catalog that comes second reuses the
+ * request (or the result) of the first one.
+ * @param {string} key - Identifies the search, the config and the request
+ * @param {Function} request - Starts the request
+ * @returns {Promise<{result: *, shared: boolean}>}
+ */
+function runSharedSearchRequest(key, request) {
+  if (sharedSearchRequests.has(key)) {
+    return sharedSearchRequests
+      .get(key)
+      .then((result) => ({ result, shared: true }));
+  }
+
+  const promise = request();
+  sharedSearchRequests.set(key, promise);
+  promise.then(
+    () => {
+      setTimeout(
+        () => sharedSearchRequests.delete(key),
+        SHARED_SEARCH_WINDOW
+      ).unref();
+    },
+    () => sharedSearchRequests.delete(key)
+  );
+
+  return promise.then((result) => ({ result, shared: false }));
+}
+
+/**
+ * Converts AI recommendations to metas, verifying each title against TMDB.
+ * Titles that can't be resolved (hallucinated, no IMDb id, no poster) are
+ * replaced by asking the AI for more, excluding everything it already
+ * suggested, until numResults is reached or the round budget runs out.
+ * @param {Array} items - The AI recommendations
+ * @param {Object} options
+ * @param {Object} options.aiProvider - The AI provider created by createAIProvider
+ * @param {string} options.promptText - The prompt that produced the items
+ * @param {string} options.type - The content type (movie/series)
+ * @param {number} options.numResults - How many metas we want
+ * @param {Function} options.convert - Turns an item into a meta (or null)
+ * @param {Function} [options.isExcluded] - Rejects replacement items, e.g. already watched
+ * @param {Function} [options.isSeen] - Rejects resolved metas the user has already watched, rated or saved
+ * @param {Function} [options.isAvailable] - Async check on a meta, e.g. on the user's streaming services
+ * @returns {Promise<{metas: Array, items: Array}>} - The metas and the items that produced them
+ */
+async function resolveRecommendations(items, options) {
+  const {
+    aiProvider,
+    promptText,
+    type,
+    numResults,
+    convert,
+    isExcluded,
+    isSeen,
+    isAvailable,
+  } = options;
+  const metas = [];
+  const resolvedItems = [];
+  const seenMetaIds = new Set();
+  const suggested = new Map();
+  const unresolved = [];
+  const unavailable = [];
+  const seen = [];
+
+  const convertBatch = async (batch) => {
+    const batchMetas = await Promise.all(batch.map((item) => convert(item)));
+    const availability = await Promise.all(
+      batchMetas.map((meta) => (meta && isAvailable ? isAvailable(meta) : true))
+    );
+    batchMetas.forEach((meta, index) => {
+      if (!meta) {
+        unresolved.push(batch[index]);
+      } else if (isSeen && isSeen(meta)) {
+        seen.push(batch[index]);
+      } else if (!availability[index]) {
+        unavailable.push(batch[index]);
+      } else if (!seenMetaIds.has(meta.id)) {
+        seenMetaIds.add(meta.id);
+        metas.push(meta);
+        resolvedItems.push(batch[index]);
+      }
+    });
+  };
+
+  items.forEach((item) => suggested.set(getRecommendationKey(item), item));
+  await convertBatch(items);
+
+  let round = 0;
+  while (metas.length < numResults && round < MAX_BACKFILL_ROUNDS) {
+    round++;
+    const missing = numResults - metas.length;
+
+    logger.info("Backfilling unresolved AI recommendations", {
+      type,
+      round,
+      resolved: metas.length,
+      missing,
+      unresolved: unresolved.map((item) => `${item.name} (${item.year})`),
+    });
+
+    const backfillPrompt = [
+      promptText,
+      "",
+      "ALREADY SUGGESTED (do not repeat any of these):",
+      ...[...suggested.values()].map((item) => `- ${item.name} (${item.year})`),
+      "",
+      ...(unresolved.length > 0
+        ? [
+            "These titles could not be found on TMDB, so check that titles and years are exact:",
+            ...unresolved.map((item) => `- ${item.name} (${item.year})`),
+            "",
+          ]
+        : []),
+      ...(seen.length > 0
+        ? [
+            "The user has already watched, rated or saved these, so suggest other titles:",
+            ...seen.map((item) => `- ${item.name} (${item.year})`),
+            "",
+          ]
+        : []),
+      ...(unavailable.length > 0
+        ? [
+            "These titles are not available on the user's streaming services, so suggest titles that are likely to be:",
+            ...unavailable.map((item) => `- ${item.name} (${item.year})`),
+            "",
+          ]
+        : []),
+      `Now return ${missing} NEW ${type} recommendations instead of the number requested above.`,
+    ].join("\n");
+
+    let replacements;
+    try {
+      const recommendations = await requestAIRecommendations(
+        aiProvider,
+        backfillPrompt,
+        type
+      );
+      replacements =
+        (type === "movie" ? recommendations.movies : recommendations.series) ||
+        [];
+    } catch (error) {
+      logger.error("Backfill AI call failed", {
+        error: error.message,
+        round,
+        type,
+      });
+      break;
+    }
+
+    const newItems = replacements
+      .filter((item) => !suggested.has(getRecommendationKey(item)))
+      .filter((item) => !isExcluded || !isExcluded(item))
+      .slice(0, missing);
+
+    if (newItems.length === 0) {
+      logger.info("Backfill returned no new recommendations", { round, type });
+      break;
+    }
+
+    newItems.forEach((item) => suggested.set(getRecommendationKey(item), item));
+    await convertBatch(newItems);
+  }
+
+  logger.info("Recommendation verification complete", {
+    type,
+    requested: numResults,
+    resolved: metas.length,
+    unresolved: unresolved.length,
+    unavailable: unavailable.length,
+    seen: seen.length,
+    backfillRounds: round,
+  });
+
+  return {
+    metas: metas.slice(0, numResults),
+    items: resolvedItems.slice(0, numResults),
+  };
+}
+
+/**
+ * Converts TMDB or Trakt candidates to metas, dropping the titles that don't
+ * resolve, that the user has seen (isSeen) or that aren't on their streaming
+ * services (isAvailable)
+ * @param {Array} items - The candidates
+ * @param {Object} options
+ * @param {Function} options.convert - Turns an item into a meta (or null)
+ * @param {Function} [options.isSeen] - Check on a meta, e.g. watched on Trakt
+ * @param {Function} [options.isAvailable] - Async check on a meta, e.g. on the user's streaming services
+ * @returns {Promise<Array>} - The metas, in the order of the items
+ */
+async function convertCandidates(items, options) {
+  const { convert, isSeen, isAvailable } = options;
+  const metas = await Promise.all(
+    items.map(async (item) => {
+      const meta = await convert(item);
+      if (!meta || (isSeen && isSeen(meta))) return null;
+      return !isAvailable || (await isAvailable(meta)) ? meta : null;
+    })
+  );
+  return metas.filter(Boolean);
+}
+
 function detectPlatform(extra = {}) {
   if (extra.headers?.["stremio-platform"]) {
     return extra.headers["stremio-platform"];
@@ -2372,98 +3166,421 @@ function detectPlatform(extra = {}) {
   return "unknown";
 }
 
-const catalogHandler = async function (args, req) {
-  const startTime = Date.now();
-  const { type, extra } = args;
+/**
+ * Seeds the order of shuffled results. The same search by the same user gets
+ * the same order for the whole day, so refreshes, later pages and cache hits
+ * line up; a query asking to shuffle gets a new order on every request.
+ * @param {string} searchQuery - The search query
+ * @param {string} encryptedConfig - Identifies the user's installation
+ * @returns {string} - The seed, logged so a result order can be reproduced
+ */
+function getResultSeed(searchQuery, encryptedConfig) {
+  if (SHUFFLE_QUERY_PATTERN.test(searchQuery)) {
+    return `shuffle_${Date.now()}`;
+  }
 
-  try {
-    const encryptedConfig = req.stremioConfig;
+  const day = new Date().toISOString().substring(0, 10);
+  const queryHash = hashSeed(
+    `${searchQuery.toLowerCase().trim()}_${encryptedConfig}`
+  ).toString(36);
+  return `${queryHash}_${day}`;
+}
 
-    if (!encryptedConfig) {
-      logger.error("Missing configuration - Please configure the addon first");
-      logger.emptyCatalog("Missing configuration", { type, extra });
-      return {
-        metas: [],
-        error: "Please configure the addon with valid API keys first",
-      };
-    }
+/**
+ * Reads the skip extra of a catalog request
+ * @param {Object|string} extra - The parsed extra, or the raw "search=...&skip=..." string
+ * @returns {number} - How many items Stremio already has
+ */
+function getSkipFromExtra(extra) {
+  const skip =
+    typeof extra === "string"
+      ? new URLSearchParams(extra).get("skip")
+      : extra?.skip;
+  return Math.max(0, parseInt(skip) || 0);
+}
 
-    const decryptedConfigStr = decryptConfig(encryptedConfig);
-    if (!decryptedConfigStr) {
-      logger.error("Invalid configuration - Please reconfigure the addon");
-      logger.emptyCatalog("Invalid configuration", { type, extra });
-      return {
-        metas: [],
-        error: "Invalid configuration detected. Please reconfigure the addon.",
-      };
+/**
+ * Reads the search extra of a catalog request
+ * @param {Object|string} extra - The parsed extra, or the raw "search=...&skip=..." string
+ * @returns {string} - The search query, empty when there is none
+ */
+function getSearchFromExtra(extra) {
+  if (typeof extra === "string" && extra.includes("search=")) {
+    return decodeURIComponent(extra.split("search=")[1].split("&")[0]);
+  }
+  return extra?.search || "";
+}
+
+/**
+ * Remembers the first page of a search and how to continue it
+ * @param {string} key - The pagination key of the search
+ * @param {Array} metas - The metas served
+ * @param {Object} [continuation] - How to load more items:
+ *   {source: "list", items} serves the remaining items,
+ *   {source: "discover", params, seed, offset, items} serves the remaining
+ *   items, if any, then fetches more TMDB discover results,
+ *   {source: "ai", query, promptText, recommended} asks the AI for more.
+ *   With excludeSeen, titles the user has seen on Trakt are left out.
+ *   Without a source the result set is complete.
+ */
+function savePaginationState(key, metas, continuation = {}) {
+  paginationCache.set(key, {
+    timestamp: Date.now(),
+    data: {
+      ...continuation,
+      metas: [...metas],
+      exhausted: !continuation.source,
+    },
+  });
+}
+
+/**
+ * Loads the next items of a paginated search
+ * @param {Object} state - The pagination state, updated in place
+ * @param {number} count - How many items to load
+ * @param {Object} context
+ * @param {string} context.type - The content type (movie/series)
+ * @param {Object} context.aiProvider - The AI provider created by createAIProvider
+ * @param {string} context.tmdbKey - The TMDB API key
+ * @param {string} context.language - The language for results
+ * @param {Function} context.convert - Turns an item into a meta (or null)
+ * @param {Function} [context.isAvailable] - Async check on a meta, e.g. on the user's streaming services
+ * @param {Function} [context.getSeenCheck] - Resolves to a check if the user has seen a meta, or null
+ * @returns {Promise<Array>} - The new metas
+ */
+async function loadMorePaginatedMetas(state, count, context) {
+  const { type, aiProvider, tmdbKey, language, convert, isAvailable } = context;
+  const isSeen =
+    state.excludeSeen && context.getSeenCheck
+      ? await context.getSeenCheck()
+      : null;
+
+  if (state.source === "list") {
+    const batch = state.items.splice(0, count);
+    if (state.items.length === 0) {
+      state.exhausted = true;
     }
+    return convertCandidates(batch, { convert, isSeen, isAvailable });
+  }
 
-    const configData = JSON.parse(decryptedConfigStr);
+  // The discover params already hold the user's services when filtering
+  if (state.source === "discover") {
+    if (state.items?.length > 0) {
+      return convertCandidates(state.items.splice(0, count), {
+        convert,
+        isSeen,
+      });
+    }
 
-    // Log the Trakt configuration
-    logger.info("Trakt configuration", {
+    const results = await fetchTmdbDiscover(
+      state.params,
+      type,
+      tmdbKey,
+      language,
+      count,
+      { seed: state.seed, offset: state.offset }
+    );
+    state.offset += count;
+    if (results.length < count) {
+      state.exhausted = true;
+    }
+    return convertCandidates(results, { convert, isSeen });
+  }
+
+  // AI searches continue with a follow-up request that excludes everything
+  // recommended so far
+  const recommended = new Map(
+    state.recommended.map((item) => [getRecommendationKey(item), item])
+  );
+  const promptText = [
+    state.promptText ||
+      `You are a ${type} recommendation expert. Analyze this query: "${state.query}"`,
+    "",
+    "ALREADY RECOMMENDED (do not repeat any of these):",
+    ...[...recommended.values()].map((item) => `- ${item.name} (${item.year})`),
+    "",
+    `The user wants more results. Now return ${count} NEW ${type} recommendations instead of the number requested above.`,
+  ].join("\n");
+
+  const recommendations = await requestAIRecommendations(
+    aiProvider,
+    promptText,
+    type
+  );
+  const items = (
+    (type === "movie" ? recommendations.movies : recommendations.series) || []
+  ).filter((item) => !recommended.has(getRecommendationKey(item)));
+
+  if (items.length === 0) {
+    return [];
+  }
+
+  const { metas, items: resolvedItems } = await resolveRecommendations(items, {
+    aiProvider,
+    promptText,
+    type,
+    numResults: count,
+    convert,
+    isExcluded: (item) => recommended.has(getRecommendationKey(item)),
+    isSeen,
+    isAvailable,
+  });
+
+  items
+    .concat(resolvedItems)
+    .forEach((item) => recommended.set(getRecommendationKey(item), item));
+  state.recommended = [...recommended.values()];
+
+  return metas;
+}
+
+// The pending page request of each search, so scrolling quickly loads the
+// pages one after the other instead of extending the same state twice
+const paginationRequests = new Map();
+
+/**
+ * Serves a later page of a search from its pagination state, loading more
+ * items when the ones already fetched don't cover it. Requests for the same
+ * search run one at a time.
+ * @param {string} key - The pagination key of the search
+ * @param {number} skip - How many items Stremio already has
+ * @param {number} pageSize - How many items to return
+ * @param {Object} context - See loadMorePaginatedMetas
+ * @returns {Promise<Object>} - The catalog response
+ */
+function getPaginatedResults(key, skip, pageSize, context) {
+  const previous = paginationRequests.get(key) || Promise.resolve();
+  const request = previous
+    .catch(() => {})
+    .then(() => servePaginatedResults(key, skip, pageSize, context));
+
+  paginationRequests.set(key, request);
+  const cleanUp = () => {
+    if (paginationRequests.get(key) === request) {
+      paginationRequests.delete(key);
+    }
+  };
+  request.then(cleanUp, cleanUp);
+
+  return request;
+}
+
+async function servePaginatedResults(key, skip, pageSize, context) {
+  if (!paginationCache.has(key)) {
+    // Expired or never served by this instance, the row simply ends
+    logger.info("No pagination state for search, ending the catalog", {
+      type: context.type,
+      skip,
+    });
+    return { metas: [] };
+  }
+
+  // Changed on a copy, the cached state stays intact if loading fails
+  const cached = paginationCache.get(key);
+  const state = {
+    ...cached.data,
+    metas: [...cached.data.metas],
+    ...(cached.data.items && { items: [...cached.data.items] }),
+  };
+
+  // Each load may take an AI call, so a request with a large skip (or a
+  // source that keeps returning titles already served) can't loop for long
+  let loads = 0;
+  while (
+    !state.exhausted &&
+    loads < MAX_PAGINATION_LOADS_PER_REQUEST &&
+    state.metas.length < Math.min(skip + pageSize, MAX_PAGINATED_RESULTS)
+  ) {
+    loads++;
+    let newMetas;
+    try {
+      newMetas = await loadMorePaginatedMetas(state, pageSize, context);
+    } catch (error) {
+      logger.error("Loading more search results failed", {
+        error: error.message,
+        source: state.source,
+        type: context.type,
+        skip,
+      });
+      break;
+    }
+
+    const servedIds = new Set(state.metas.map((meta) => meta.id));
+    const freshMetas = newMetas.filter((meta) => !servedIds.has(meta.id));
+    state.metas.push(...freshMetas);
+
+    // The AI ran out of new titles
+    if (freshMetas.length === 0 && state.source === "ai") {
+      state.exhausted = true;
+    }
+    if (state.metas.length >= MAX_PAGINATED_RESULTS) {
+      state.exhausted = true;
+    }
+  }
+
+  paginationCache.set(key, { timestamp: cached.timestamp, data: state });
+
+  const metas = state.metas.slice(
+    skip,
+    Math.min(skip + pageSize, MAX_PAGINATED_RESULTS)
+  );
+
+  logger.info("Serving next page of search results", {
+    type: context.type,
+    source: state.source,
+    skip,
+    loads,
+    metasCount: metas.length,
+    totalServed: state.metas.length,
+    exhausted: state.exhausted,
+  });
+
+  return { metas };
+}
+
+/**
+ * Builds the catalog response for an error or an empty result. Unless the
+ * user turned them off, it contains placeholder items explaining the problem,
+ * because Stremio doesn't display the error field.
+ * @param {string} kind - The placeholder kind (see utils/placeholders)
+ * @param {Object} options
+ * @param {string} options.type - The catalog type (movie/series)
+ * @param {Object} [options.config] - Decrypted addon configuration, if available
+ * @param {string} [options.encryptedConfig] - Used to link to the prefilled configuration page
+ * @param {string} [options.query] - The search query
+ * @param {string} [options.error] - The error message for the error field
+ * @returns {Object} - The catalog response
+ */
+function createPlaceholderCatalog(kind, options) {
+  const { type, config, encryptedConfig, query, error } = options;
+  const response = { metas: [], ...(error && { error }) };
+
+  if (config?.ShowErrorItems === false) {
+    return response;
+  }
+
+  const baseUrl = `${HOST}${BASE_PATH}`;
+  response.metas = createPlaceholderMetas(kind, {
+    type,
+    language: config?.TmdbLanguage,
+    baseUrl,
+    configureUrl:
+      config && encryptedConfig
+        ? `${baseUrl}/${encryptedConfig}/configure`
+        : `${baseUrl}/configure`,
+    query,
+    provider: config ? getAIProviderName(config) : undefined,
+  });
+  // Don't let Stremio hold on to an error once it's fixed
+  response.cacheAge = 60;
+  response.staleAge = 60;
+
+  return response;
+}
+
+const searchCatalog = async function (args, req) {
+  const startTime = Date.now();
+  const { type, extra } = args;
+  const encryptedConfig = req?.stremioConfig;
+  let configData = null;
+
+  try {
+    if (!encryptedConfig) {
+      logger.error("Missing configuration - Please configure the addon first");
+      logger.emptyCatalog("Missing configuration", { type, extra });
+      return createPlaceholderCatalog("missing_config", {
+        type,
+        error: "Please configure the addon with valid API keys first",
+      });
+    }
+
+    const decryptedConfigStr = decryptConfig(encryptedConfig);
+    if (!decryptedConfigStr) {
+      logger.error("Invalid configuration - Please reconfigure the addon");
+      logger.emptyCatalog("Invalid configuration", { type, extra });
+      return createPlaceholderCatalog("invalid_config", {
+        type,
+        error: "Invalid configuration detected. Please reconfigure the addon.",
+      });
+    }
+
+    configData = JSON.parse(decryptedConfigStr);
+
+    // Log the Trakt configuration
+    logger.info("Trakt configuration", {
       hasTraktClientId: !!DEFAULT_TRAKT_CLIENT_ID,
       traktClientIdLength: DEFAULT_TRAKT_CLIENT_ID?.length || 0,
       hasTraktAccessToken: !!configData.TraktAccessToken,
       traktAccessTokenLength: configData.TraktAccessToken?.length || 0,
     });
 
-    const geminiKey = configData.GeminiApiKey;
     const tmdbKey = configData.TmdbApiKey;
-    const geminiModel = configData.GeminiModel || DEFAULT_GEMINI_MODEL;
     const language = configData.TmdbLanguage || "en-US";
 
-    if (!geminiKey || geminiKey.length < 10) {
-      logger.error("Invalid or missing Gemini API key");
-      return {
-        metas: [],
-        error:
-          "Invalid Gemini API key. Please reconfigure the addon with a valid key.",
-      };
+    const aiConfigError = validateAIProviderConfig(configData);
+    if (aiConfigError) {
+      logger.error("Invalid or missing AI provider configuration", {
+        provider: configData.AiProvider || "gemini",
+      });
+      return createPlaceholderCatalog("invalid_ai_key", {
+        type,
+        config: configData,
+        encryptedConfig,
+        error: aiConfigError,
+      });
     }
+    const aiProvider = createAIProvider(configData);
 
     if (!tmdbKey || tmdbKey.length < 10) {
       logger.error("Invalid or missing TMDB API key");
-      return {
-        metas: [],
+      return createPlaceholderCatalog("invalid_tmdb_key", {
+        type,
+        config: configData,
+        encryptedConfig,
         error:
           "Invalid TMDB API key. Please reconfigure the addon with a valid key.",
-      };
+      });
     }
 
     const rpdbKey = configData.RpdbApiKey || DEFAULT_RPDB_KEY;
     const rpdbPosterType = configData.RpdbPosterType || "poster-default";
-    let numResults = parseInt(configData.NumResults) || 20;
-    // Limit numResults to a maximum of 25
-    if (numResults > 25) {
-      numResults = MAX_AI_RECOMMENDATIONS;
-    }
+    let numResults = Math.min(
+      parseInt(configData.NumResults) || 20,
+      MAX_AI_RECOMMENDATIONS
+    );
     const enableAiCache =
       configData.EnableAiCache !== undefined ? configData.EnableAiCache : true;
     // NEW: Read the EnableRpdb flag
     const enableRpdb =
       configData.EnableRpdb !== undefined ? configData.EnableRpdb : false;
+    const watchRegion = getWatchRegion(configData);
+    const subscribedProviderIds = getSubscribedProviderIds(configData);
+    const filterWatchProviders =
+      !!configData.FilterWatchProviders && subscribedProviderIds.length > 0;
 
     if (ENABLE_LOGGING) {
       logger.debug("Catalog handler config", {
         numResults,
         rawNumResults: configData.NumResults,
         type,
-        hasGeminiKey: !!geminiKey,
+        aiProvider: aiProvider.name,
         hasTmdbKey: !!tmdbKey,
         hasRpdbKey: !!rpdbKey,
         isDefaultRpdbKey: rpdbKey === DEFAULT_RPDB_KEY,
         rpdbPosterType: rpdbPosterType,
         enableAiCache: enableAiCache,
         enableRpdb: enableRpdb, // Log the new flag
-        geminiModel: geminiModel,
+        watchRegion,
+        subscribedProviderIds,
+        filterWatchProviders,
+        aiModel: aiProvider.model,
         language: language,
         hasTraktClientId: !!DEFAULT_TRAKT_CLIENT_ID,
         hasTraktAccessToken: !!configData.TraktAccessToken,
       });
     }
 
-    if (!geminiKey || !tmdbKey) {
+    if (!tmdbKey) {
       logger.error("Missing API keys in catalog handler");
       logger.emptyCatalog("Missing API keys", { type, extra });
       return { metas: [] };
@@ -2472,12 +3589,7 @@ const catalogHandler = async function (args, req) {
     const platform = detectPlatform(extra);
     logger.debug("Platform detected", { platform, extra });
 
-    let searchQuery = "";
-    if (typeof extra === "string" && extra.includes("search=")) {
-      searchQuery = decodeURIComponent(extra.split("search=")[1]);
-    } else if (extra?.search) {
-      searchQuery = extra.search;
-    }
+    const searchQuery = getSearchFromExtra(extra);
 
     if (!searchQuery) {
       logger.error("No search query provided");
@@ -2485,10 +3597,14 @@ const catalogHandler = async function (args, req) {
       return { metas: [] };
     }
 
-    // Only increment the counter and log for initial search queries, not for clicks on individual items
+    // Scrolling a row asks for the next page with skip set to the items loaded so far
+    const skip = getSkipFromExtra(extra);
+
+    // Only increment the counter and log for initial search queries, not for clicks on individual items or later pages
     const isSearchRequest =
-      (typeof extra === "string" && extra.includes("search=")) ||
-      !!extra?.search;
+      ((typeof extra === "string" && extra.includes("search=")) ||
+        !!extra?.search) &&
+      skip === 0;
     if (isSearchRequest) {
       logger.query(searchQuery);
       logger.info("Processing search query", { searchQuery, type });
@@ -2496,34 +3612,351 @@ const catalogHandler = async function (args, req) {
 
     // First, determine the intent for ALL queries
     const intent = determineIntentFromKeywords(searchQuery);
+    const configuredNumResults = numResults;
 
     // If the intent is specific (not ambiguous) and doesn't match the requested type,
-    // return empty results regardless of whether it's a recommendation or search
+    // the intent policy decides between empty, shorter or full results
     if (intent !== "ambiguous" && intent !== type) {
-      logger.debug("Intent mismatch - returning empty results", {
+      const intentResults = getResultCountForIntent(
+        intent,
+        type,
+        numResults,
+        configData
+      );
+
+      if (intentResults === 0) {
+        if (skip > 0) {
+          return { metas: [] };
+        }
+        logger.debug("Intent mismatch - returning empty results", {
+          intent,
+          type,
+          searchQuery,
+          message: `This ${
+            isRecommendationQuery(searchQuery) ? "recommendation" : "search"
+          } appears to be for ${intent}, not ${type}`,
+        });
+        return createPlaceholderCatalog("intent_mismatch", {
+          type,
+          config: configData,
+          encryptedConfig,
+          query: searchQuery,
+        });
+      }
+
+      logger.info("Intent mismatch - serving results per intent policy", {
         intent,
         type,
         searchQuery,
-        message: `This ${
-          isRecommendationQuery(searchQuery) ? "recommendation" : "search"
-        } appears to be for ${intent}, not ${type}`,
+        intentPolicy: getIntentPolicy(configData),
+        numResults: intentResults,
+      });
+      numResults = intentResults;
+    }
+
+    const convertToMeta = (item) =>
+      toStremioMeta(
+        item,
+        platform,
+        tmdbKey,
+        rpdbKey,
+        rpdbPosterType,
+        language,
+        configData // Pass the whole config down
+      );
+    // Every result path keeps only titles on the user's services when asked to
+    const isAvailable = filterWatchProviders
+      ? (meta) =>
+          isAvailableOnProviders(
+            meta,
+            subscribedProviderIds,
+            watchRegion,
+            tmdbKey
+          )
+      : null;
+
+    // The query analysis doesn't depend on the catalog type, so the movie and
+    // series catalogs of a search run it once
+    const shareWithOtherCatalog = (step, request) =>
+      runSharedSearchRequest(
+        `${encryptedConfig}_${searchQuery}_${step}`,
+        request
+      ).then(({ result }) => result);
+
+    // Later pages continue the result set served for the first one
+    const paginationKey = `${encryptedConfig}_${type}_${searchQuery}`;
+    const resultSeed = getResultSeed(searchQuery, encryptedConfig);
+    logger.debug("Result order seed", { searchQuery, type, resultSeed });
+    if (skip > 0) {
+      return await getPaginatedResults(paginationKey, skip, numResults, {
+        type,
+        aiProvider,
+        tmdbKey,
+        language,
+        convert: convertToMeta,
+        isAvailable,
+        // Titles the user has seen stay out of later pages as well
+        getSeenCheck: async () => {
+          const seenTraktData = configData.TraktAccessToken
+            ? await fetchTraktDataForConfig(
+                configData,
+                type === "movie" ? "movies" : "shows"
+              )
+            : null;
+          return seenTraktData
+            ? (meta) =>
+                isItemExcludedByTrakt(
+                  { type: meta.type, imdbId: meta.id },
+                  seenTraktData,
+                  configData
+                )
+            : null;
+        },
       });
-      return { metas: [] };
     }
 
-    // Check if this is a new/latest content query that we can handle directly with TMDB discover
-    if (!isRecommendationQuery(searchQuery) && isNewContentQuery(searchQuery)) {
-      logger.info("Using TMDB discover for new/latest content query", {
+    // "Something from my watchlist for tonight": the AI ranks the user's own
+    // Trakt watchlist (or collection) against the query
+    const traktList = getTraktListForQuery(searchQuery);
+    if (traktList && configData.TraktAccessToken) {
+      const listData = await fetchTraktDataForConfig(
+        configData,
+        type === "movie" ? "movies" : "shows"
+      );
+      const listCandidates = (listData?.[traktList] || [])
+        .map((item) => toTraktCandidate(item, type))
+        .filter(Boolean)
+        .slice(0, MAX_TRAKT_LIST_CANDIDATES);
+
+      logger.info("Trakt list query", {
         searchQuery,
         type,
+        list: traktList,
+        hasTraktData: !!listData,
+        candidatesCount: listCandidates.length,
       });
 
-      // Get discover parameters
-      const discoverParams = await analyzeQueryForDiscover(
+      if (listCandidates.length === 0) {
+        return createPlaceholderCatalog("no_results", {
+          type,
+          config: configData,
+          encryptedConfig,
+          query: searchQuery,
+        });
+      }
+
+      const ranked = await rankCandidatesWithAI(
+        searchQuery,
+        type,
+        listCandidates,
+        aiProvider,
+        numResults
+      );
+
+      const metas = await convertCandidates(ranked, {
+        convert: convertToMeta,
+        isAvailable,
+      });
+
+      if (metas.length === 0) {
+        return createPlaceholderCatalog("no_results", {
+          type,
+          config: configData,
+          encryptedConfig,
+          query: searchQuery,
+        });
+      }
+
+      if (isSearchRequest) {
+        incrementQueryCounter();
+      }
+      // Later pages show the rest of the list, in the user's own order
+      savePaginationState(paginationKey, metas, {
+        source: "list",
+        items: listCandidates.filter((item) => !ranked.includes(item)),
+      });
+      return { metas };
+    }
+
+    // Franchise queries return every entry of the TMDB collection, in release
+    // order or, when asked for, in-universe order. Only movies have collections.
+    const collection =
+      type === "movie" &&
+      !isRecommendationQuery(searchQuery) &&
+      hasFranchiseIntent(searchQuery)
+        ? await findTmdbCollection(searchQuery, tmdbKey, language).catch(
+            (error) => {
+              logger.error("TMDB collection lookup error", {
+                error: error.message,
+                searchQuery,
+              });
+              return null;
+            }
+          )
+        : null;
+
+    if (collection && collection.parts.length > 0) {
+      let entries = collection.parts
+        .filter((part) => part.release_date)
+        .sort((a, b) => a.release_date.localeCompare(b.release_date))
+        .map((part) => toTmdbCandidate(part, type));
+
+      const inUniverseOrder = wantsInUniverseOrder(searchQuery);
+      if (inUniverseOrder) {
+        entries = await orderCollectionInUniverse(
+          collection,
+          entries,
+          aiProvider
+        );
+      }
+
+      logger.info("Franchise query resolved to TMDB collection", {
+        searchQuery,
+        collection: collection.name,
+        entriesCount: entries.length,
+        order: inUniverseOrder ? "in-universe" : "release",
+      });
+
+      const metas = await convertCandidates(entries, {
+        convert: convertToMeta,
+        isAvailable,
+      });
+
+      if (metas.length > 0) {
+        if (isSearchRequest) {
+          incrementQueryCounter();
+        }
+        // The whole collection is served at once
+        savePaginationState(paginationKey, metas);
+        return { metas };
+      }
+    }
+
+    // Person-centric and "like X" queries build their candidates from real
+    // TMDB data, the AI only ranks and filters them
+    let candidates = [];
+    if (!isRecommendationQuery(searchQuery)) {
+      const peopleQuery = await shareWithOtherCatalog("people", () =>
+        analyzeQueryForPeople(searchQuery, aiProvider)
+      );
+
+      if (peopleQuery) {
+        candidates = await fetchPersonCandidates(
+          peopleQuery,
+          type,
+          tmdbKey,
+          language
+        );
+
+        logger.info("Person query candidates", {
+          searchQuery,
+          type,
+          people: peopleQuery.people.map((entry) => entry.name),
+          match: peopleQuery.match,
+          candidatesCount: candidates.length,
+        });
+      } else {
+        const similarityQuery = await shareWithOtherCatalog("similarity", () =>
+          analyzeQueryForSimilarity(searchQuery, aiProvider)
+        );
+
+        if (similarityQuery) {
+          const similar = await fetchSimilarCandidates(
+            similarityQuery,
+            type,
+            tmdbKey,
+            language
+          );
+          candidates = similar.candidates;
+
+          logger.info("Similarity query candidates", {
+            searchQuery,
+            type,
+            seeds: similar.seeds.map((seed) => ({
+              title: seed.title,
+              tmdbId: seed.tmdb.tmdb_id,
+            })),
+            candidatesCount: candidates.length,
+          });
+        }
+      }
+    }
+
+    // Like the AI recommendations, leave out what the user has seen
+    if (candidates.length > 0 && configData.TraktAccessToken) {
+      const candidateTraktData = await fetchTraktDataForConfig(
+        configData,
+        type === "movie" ? "movies" : "shows"
+      );
+      if (candidateTraktData) {
+        const unseen = candidates.filter(
+          (candidate) =>
+            !isItemExcludedByTrakt(
+              { type, tmdbId: candidate.tmdb_id },
+              candidateTraktData,
+              configData
+            )
+        );
+        logger.info("Filtered out watched/rated candidates", {
+          searchQuery,
+          type,
+          originalCount: candidates.length,
+          removedCount: candidates.length - unseen.length,
+        });
+        candidates = unseen;
+      }
+    }
+
+    if (candidates.length > 0) {
+      const ranked = await rankCandidatesWithAI(
+        searchQuery,
+        type,
+        candidates,
+        aiProvider,
+        numResults
+      );
+
+      const metas = await convertCandidates(ranked, {
+        convert: convertToMeta,
+        isAvailable,
+      });
+
+      if (metas.length > 0) {
+        if (isSearchRequest) {
+          incrementQueryCounter();
+        }
+        // Later pages show the candidates the AI didn't pick, most voted first
+        savePaginationState(paginationKey, metas, {
+          source: "list",
+          items: candidates.filter((candidate) => !ranked.includes(candidate)),
+        });
+        return { metas };
+      }
+
+      logger.info(
+        "No usable TMDB candidates, falling back to AI recommendations",
+        {
+          searchQuery,
+          type,
+        }
+      );
+    }
+
+    // Check if this is a new/latest content query, or one with runtime/language/country/rating
+    // constraints, that we can handle directly with TMDB discover
+    if (
+      !isRecommendationQuery(searchQuery) &&
+      (isNewContentQuery(searchQuery) || hasDiscoverFilters(searchQuery))
+    ) {
+      logger.info("Using TMDB discover for new/latest or filtered query", {
         searchQuery,
         type,
-        geminiKey,
-        geminiModel
+      });
+
+      // Get discover parameters
+      const discoverParams = applyWatchProviderSettings(
+        await analyzeQueryForDiscover(searchQuery, type, aiProvider, tmdbKey),
+        configData
       );
 
       if (discoverParams) {
@@ -2533,7 +3966,8 @@ const catalogHandler = async function (args, req) {
           type,
           tmdbKey,
           language,
-          numResults
+          numResults,
+          { seed: resultSeed }
         );
 
         if (results && results.length > 0) {
@@ -2562,6 +3996,12 @@ const catalogHandler = async function (args, req) {
               metasCount: metas.length,
               firstMeta: metas[0],
             });
+            savePaginationState(paginationKey, metas, {
+              source: "discover",
+              params: discoverParams,
+              seed: resultSeed,
+              offset: numResults,
+            });
             return { metas };
           }
         }
@@ -2578,35 +4018,111 @@ const catalogHandler = async function (args, req) {
 
     // Now check if it's a recommendation query
     const isRecommendation = isRecommendationQuery(searchQuery);
-    let discoveredType = type;
+    let discoveredType = intent;
     let discoveredGenres = [];
     let traktData = null;
+    let promptTraktData = null;
     let filteredTraktData = null;
 
-    // For recommendation queries, use the new workflow with genre discovery
+    // For recommendation queries, the AI discovers the type and genres first
     if (isRecommendation) {
-      // Check if this is also a new/latest content query
-      if (isNewContentQuery(searchQuery)) {
-        logger.info(
-          "Recommendation query also contains new/latest content criteria",
-          {
-            searchQuery,
-            type,
-          }
-        );
+      const discoveryResult = await shareWithOtherCatalog("genres", () =>
+        discoverTypeAndGenres(searchQuery, aiProvider)
+      );
+      discoveredGenres = discoveryResult.genres;
 
-        // Use analyzeQueryForDiscover to get the full set of parameters
-        // This ensures we use the AI for all parameter extraction
-        const discoverParams = await analyzeQueryForDiscover(
-          searchQuery,
+      // Log if we couldn't discover any genres for a recommendation query
+      if (discoveredGenres.length === 0) {
+        logger.emptyCatalog("No genres discovered for recommendation query", {
           type,
-          geminiKey,
-          geminiModel
-        );
-
-        logger.info("Using discovered parameters for TMDB discover", {
-          discoverParams,
-          method: discoverParams?._method || "unknown", // This will show if it was direct extraction or AI
+          searchQuery,
+          isRecommendation: true,
+        });
+      }
+
+      // The keywords decide when they can, otherwise the discovered type
+      // goes through the intent policy like any other search
+      if (intent === "ambiguous") {
+        discoveredType = discoveryResult.type;
+      }
+
+      logger.info("Genre and type discovery results", {
+        query: searchQuery,
+        discoveredType,
+        discoveredGenres,
+        originalType: type,
+      });
+
+      if (discoveredType !== "ambiguous" && discoveredType !== type) {
+        const intentResults = getResultCountForIntent(
+          discoveredType,
+          type,
+          configuredNumResults,
+          configData
+        );
+
+        if (intentResults === 0) {
+          logger.debug(
+            "Recommendation intent mismatch - returning empty results",
+            {
+              discoveredType,
+              requestedType: type,
+              searchQuery,
+              message: `This recommendation appears to be for ${discoveredType}, not ${type}`,
+            }
+          );
+          return createPlaceholderCatalog("intent_mismatch", {
+            type,
+            config: configData,
+            encryptedConfig,
+            query: searchQuery,
+          });
+        }
+        numResults = intentResults;
+      }
+    }
+
+    // Searches that both catalogs show results for get one AI call for both
+    // types. That prompt is the same whichever catalog asks first, so it's
+    // personalized with the Trakt data of the type the search is mostly for.
+    const promptTypes = ["movie", "series"].filter(
+      (promptType) =>
+        getResultCountForIntent(
+          discoveredType,
+          promptType,
+          configuredNumResults,
+          configData
+        ) > 0
+    );
+    const combineTypes = promptTypes.length > 1;
+    const promptTraktType = !combineTypes
+      ? type
+      : discoveredType === "ambiguous"
+      ? "movie"
+      : discoveredType;
+
+    // For recommendation queries, use the new workflow with the discovered genres
+    if (isRecommendation) {
+      // Check if this is also a new/latest content query
+      if (isNewContentQuery(searchQuery)) {
+        logger.info(
+          "Recommendation query also contains new/latest content criteria",
+          {
+            searchQuery,
+            type,
+          }
+        );
+
+        // Use analyzeQueryForDiscover to get the full set of parameters
+        // This ensures we use the AI for all parameter extraction
+        const discoverParams = applyWatchProviderSettings(
+          await analyzeQueryForDiscover(searchQuery, type, aiProvider, tmdbKey),
+          configData
+        );
+
+        logger.info("Using discovered parameters for TMDB discover", {
+          discoverParams,
+          method: discoverParams?._method || "unknown", // This will show if it was direct extraction or AI
         });
 
         if (discoverParams) {
@@ -2625,9 +4141,8 @@ const catalogHandler = async function (args, req) {
               accessTokenLength: configData.TraktAccessToken?.length,
             });
 
-            traktData = await fetchTraktWatchedAndRated(
-              DEFAULT_TRAKT_CLIENT_ID,
-              configData.TraktAccessToken,
+            traktData = await fetchTraktDataForConfig(
+              configData,
               type === "movie" ? "movies" : "shows"
             );
 
@@ -2703,15 +4218,15 @@ const catalogHandler = async function (args, req) {
                 .filter(matchGenreById)
                 .slice(0, 25);
 
-              // Filter highly rated items (4-5 stars)
+              // Filter highly rated items (7-10 out of 10)
               const highlyRated = (traktData.rated || [])
-                .filter((item) => item.rating >= 4)
+                .filter((item) => isLikedRating(item.rating))
                 .filter(matchGenreById)
                 .slice(0, 25);
 
-              // Filter low rated items (1-2 stars)
+              // Filter low rated items (1-4 out of 10)
               const lowRated = (traktData.rated || [])
-                .filter((item) => item.rating <= 2)
+                .filter((item) => isDislikedRating(item.rating))
                 .filter(matchGenreById)
                 .slice(0, 15);
 
@@ -2736,7 +4251,8 @@ const catalogHandler = async function (args, req) {
             type,
             tmdbKey,
             language,
-            numResults
+            numResults,
+            { seed: resultSeed }
           );
 
           if (results && results.length > 0) {
@@ -2753,12 +4269,13 @@ const catalogHandler = async function (args, req) {
             // Filter out watched items if we have Trakt data
             let filteredResults = results;
             if (traktData) {
-              const watchHistory = traktData.watched.concat(
-                traktData.history || []
-              );
               filteredResults = results.filter(
                 (item) =>
-                  !isItemWatchedOrRated(item, watchHistory, traktData.rated)
+                  !isItemExcludedByTrakt(
+                    { type, tmdbId: item.tmdb_id },
+                    traktData,
+                    configData
+                  )
               );
 
               logger.info("Filtered out watched/rated items", {
@@ -2770,11 +4287,22 @@ const catalogHandler = async function (args, req) {
 
             // If we have enough results after filtering, use those
             if (filteredResults.length > 0) {
-              // Randomly select 25 items from filtered results for diversity
-              const shuffled = [...filteredResults].sort(
-                () => 0.5 - Math.random()
+              // Select 25 items from filtered results for diversity, in the seeded order
+              let shuffled = seededShuffle(filteredResults, resultSeed);
+              // With the "boost" watchlist mode, watchlist titles go first
+              if (traktData && getTraktWatchlistMode(configData) === "boost") {
+                const isWatchlisted = (item) =>
+                  isItemOnWatchlist({ type, tmdbId: item.tmdb_id }, traktData);
+                shuffled = [
+                  ...shuffled.filter(isWatchlisted),
+                  ...shuffled.filter((item) => !isWatchlisted(item)),
+                ];
+              }
+              // Enough candidates for the AI to fill a page
+              const selectedResults = shuffled.slice(
+                0,
+                Math.max(25, numResults)
               );
-              const selectedResults = shuffled.slice(0, 25);
 
               // Build AI prompt
               let promptText = [
@@ -2811,7 +4339,7 @@ const catalogHandler = async function (args, req) {
                   filteredTraktData.highlyRated.slice(0, 5).forEach((item) => {
                     const media = item.movie || item.show;
                     promptText.push(
-                      `- ${media.title} (${media.year}) - ${item.rating}/5`
+                      `- ${media.title} (${media.year}) - ${item.rating}/10`
                     );
                   });
                   promptText.push("");
@@ -2822,7 +4350,7 @@ const catalogHandler = async function (args, req) {
                   filteredTraktData.lowRated.slice(0, 5).forEach((item) => {
                     const media = item.movie || item.show;
                     promptText.push(
-                      `- ${media.title} (${media.year}) - ${item.rating}/5`
+                      `- ${media.title} (${media.year}) - ${item.rating}/10`
                     );
                   });
                   promptText.push("");
@@ -2839,11 +4367,11 @@ const catalogHandler = async function (args, req) {
                 }
 
                 if (traktData.rated) {
-                  const highlyRated = traktData.rated.filter(
-                    (item) => item.rating >= 4
+                  const highlyRated = traktData.rated.filter((item) =>
+                    isLikedRating(item.rating)
                   );
-                  const lowRated = traktData.rated.filter(
-                    (item) => item.rating <= 2
+                  const lowRated = traktData.rated.filter((item) =>
+                    isDislikedRating(item.rating)
                   );
 
                   if (highlyRated.length > 0) {
@@ -2851,7 +4379,7 @@ const catalogHandler = async function (args, req) {
                     highlyRated.slice(0, 5).forEach((item) => {
                       const media = item.movie || item.show;
                       promptText.push(
-                        `- ${media.title} (${media.year}) - ${item.rating}/5`
+                        `- ${media.title} (${media.year}) - ${item.rating}/10`
                       );
                     });
                     promptText.push("");
@@ -2862,7 +4390,7 @@ const catalogHandler = async function (args, req) {
                     lowRated.slice(0, 5).forEach((item) => {
                       const media = item.movie || item.show;
                       promptText.push(
-                        `- ${media.title} (${media.year}) - ${item.rating}/5`
+                        `- ${media.title} (${media.year}) - ${item.rating}/10`
                       );
                     });
                     promptText.push("");
@@ -2874,34 +4402,54 @@ const catalogHandler = async function (args, req) {
                 "TASK:",
                 "1. Analyze the available content and user preferences",
                 "2. Select the most relevant items that match the query and user taste",
-                "3. Return ONLY the numbers (1-25) of the selected items, comma-separated",
-                "",
-                "RESPONSE FORMAT:",
-                "1,4,7,12,15",
-                ""
+                `3. Return the numbers (1-${selectedResults.length}) of the selected items in "selected", best match first`
               );
 
-              try {
-                const genAI = new GoogleGenerativeAI(geminiKey);
-                const model = genAI.getGenerativeModel({ model: geminiModel });
+              const candidateSchema = {
+                type: "object",
+                properties: {
+                  selected: {
+                    type: "array",
+                    items: {
+                      type: "integer",
+                      minimum: 1,
+                      maximum: selectedResults.length,
+                    },
+                  },
+                },
+                required: ["selected"],
+              };
 
-                const aiResult = await model.generateContent(
-                  promptText.join("\n")
-                );
-                const response = await aiResult.response;
-                const selectedIndices = response
-                  .text()
-                  .trim()
-                  .split(",")
-                  .map((num) => parseInt(num.trim()) - 1)
-                  .filter(
-                    (index) => index >= 0 && index < selectedResults.length
+              try {
+                let selectedNumbers;
+                try {
+                  const data = await aiProvider.generateJSON(
+                    promptText.join("\n"),
+                    candidateSchema,
+                    { operationName: "Candidate selection API call" }
+                  );
+                  selectedNumbers = data.selected;
+                } catch (error) {
+                  if (
+                    !error.isParseError ||
+                    !Array.isArray(error.data?.selected)
+                  ) {
+                    throw error;
+                  }
+                  selectedNumbers = filterValidItems(
+                    error.data.selected,
+                    candidateSchema.properties.selected.items,
+                    "Candidate selection API call"
                   );
+                }
+                const selectedIndices = [...new Set(selectedNumbers)].map(
+                  (num) => num - 1
+                );
 
                 // Get the AI-selected items
-                const aiSelectedResults = selectedIndices.map(
-                  (index) => selectedResults[index]
-                );
+                const aiSelectedResults = selectedIndices
+                  .slice(0, numResults)
+                  .map((index) => selectedResults[index]);
 
                 logger.debug("AI filtered results", {
                   originalCount: results.length,
@@ -2925,6 +4473,17 @@ const catalogHandler = async function (args, req) {
                 const metas = (await Promise.all(metaPromises)).filter(Boolean);
 
                 if (metas.length > 0) {
+                  // Later pages start with the titles the AI didn't pick
+                  savePaginationState(paginationKey, metas, {
+                    source: "discover",
+                    params: discoverParams,
+                    seed: resultSeed,
+                    offset: numResults,
+                    items: filteredResults.filter(
+                      (item) => !aiSelectedResults.includes(item)
+                    ),
+                    excludeSeen: !!traktData,
+                  });
                   return { metas };
                 }
               } catch (error) {
@@ -2945,7 +4504,7 @@ const catalogHandler = async function (args, req) {
               originalQuery: searchQuery,
             });
 
-            const metaPromises = results.slice(0, 20).map((item) =>
+            const metaPromises = results.slice(0, numResults).map((item) =>
               toStremioMeta(
                 item,
                 platform,
@@ -2967,6 +4526,14 @@ const catalogHandler = async function (args, req) {
                   firstMeta: metas[0],
                 }
               );
+              savePaginationState(paginationKey, metas, {
+                source: "discover",
+                params: discoverParams,
+                seed: resultSeed,
+                offset: numResults,
+                items: results.slice(numResults),
+                excludeSeen: !!traktData,
+              });
               return { metas };
             }
           }
@@ -2981,29 +4548,6 @@ const catalogHandler = async function (args, req) {
         );
       }
 
-      // Make the genre discovery API call
-      const discoveryResult = await discoverTypeAndGenres(
-        searchQuery,
-        geminiKey,
-        geminiModel
-      );
-      discoveredGenres = discoveryResult.genres;
-
-      // Log if we couldn't discover any genres for a recommendation query
-      if (discoveredGenres.length === 0) {
-        logger.emptyCatalog("No genres discovered for recommendation query", {
-          type,
-          searchQuery,
-          isRecommendation: true,
-        });
-      }
-
-      logger.info("Genre discovery results", {
-        query: searchQuery,
-        discoveredGenres,
-        originalType: type,
-      });
-
       // If Trakt is configured, get user data ONLY for recommendation queries
       if (DEFAULT_TRAKT_CLIENT_ID && configData.TraktAccessToken) {
         logger.info("Fetching Trakt data for recommendation query", {
@@ -3015,17 +4559,23 @@ const catalogHandler = async function (args, req) {
           query: searchQuery,
         });
 
-        traktData = await fetchTraktWatchedAndRated(
-          DEFAULT_TRAKT_CLIENT_ID,
-          configData.TraktAccessToken,
+        traktData = await fetchTraktDataForConfig(
+          configData,
           type === "movie" ? "movies" : "shows"
         );
+        promptTraktData =
+          promptTraktType === type
+            ? traktData
+            : await fetchTraktDataForConfig(
+                configData,
+                promptTraktType === "movie" ? "movies" : "shows"
+              );
 
         // Filter Trakt data based on discovered genres if we have any
-        if (traktData) {
+        if (promptTraktData) {
           if (discoveredGenres.length > 0) {
             filteredTraktData = filterTraktDataByGenres(
-              traktData,
+              promptTraktData,
               discoveredGenres
             );
 
@@ -3046,27 +4596,27 @@ const catalogHandler = async function (args, req) {
                 type,
                 searchQuery,
                 discoveredGenres,
-                totalWatched: traktData.watched.length,
-                totalRated: traktData.rated.length,
+                totalWatched: promptTraktData.watched.length,
+                totalRated: promptTraktData.rated.length,
               });
             }
           } else {
             // When no genres are discovered, use all Trakt data
             filteredTraktData = {
-              recentlyWatched: traktData.watched?.slice(0, 25) || [],
-              highlyRated: (traktData.rated || [])
-                .filter((item) => item.rating >= 4)
+              recentlyWatched: promptTraktData.watched?.slice(0, 25) || [],
+              highlyRated: (promptTraktData.rated || [])
+                .filter((item) => isLikedRating(item.rating))
                 .slice(0, 25),
-              lowRated: (traktData.rated || [])
-                .filter((item) => item.rating <= 2)
+              lowRated: (promptTraktData.rated || [])
+                .filter((item) => isDislikedRating(item.rating))
                 .slice(0, 15),
             };
 
             logger.info(
               "Using all Trakt data (no specific genres discovered)",
               {
-                totalWatched: traktData.watched?.length || 0,
-                totalRated: traktData.rated?.length || 0,
+                totalWatched: promptTraktData.watched?.length || 0,
+                totalRated: promptTraktData.rated?.length || 0,
                 recentlyWatchedCount: filteredTraktData.recentlyWatched.length,
                 highlyRatedCount: filteredTraktData.highlyRated.length,
                 lowRatedCount: filteredTraktData.lowRated.length,
@@ -3077,8 +4627,13 @@ const catalogHandler = async function (args, req) {
       }
     }
 
+    // Results filtered to the user's services only fit users with the same services
     const cacheKey = `${searchQuery}_${type}_${
       traktData ? "trakt" : "no_trakt"
+    }${
+      filterWatchProviders
+        ? `_${watchRegion}_${subscribedProviderIds.join("-")}`
+        : ""
     }`;
 
     // Only check cache if there's no Trakt data or if it's not a recommendation query
@@ -3089,7 +4644,7 @@ const catalogHandler = async function (args, req) {
         cacheKey,
         query: searchQuery,
         type,
-        model: geminiModel,
+        model: aiProvider.model,
         cachedAt: new Date(cached.timestamp).toISOString(),
         age: `${Math.round((Date.now() - cached.timestamp) / 1000)}s`,
         responseTime: `${Date.now() - startTime}ms`,
@@ -3117,10 +4672,11 @@ const catalogHandler = async function (args, req) {
         aiRecommendationsCache.delete(cacheKey);
       } else {
         // Convert cached recommendations to Stremio meta objects
-        const selectedRecommendations =
+        const selectedRecommendations = (
           type === "movie"
             ? cached.data.recommendations.movies || []
-            : cached.data.recommendations.series || [];
+            : cached.data.recommendations.series || []
+        ).slice(0, numResults);
 
         logger.debug("Converting cached recommendations to meta objects", {
           recommendationsCount: selectedRecommendations.length,
@@ -3158,6 +4714,11 @@ const catalogHandler = async function (args, req) {
           );
         }
 
+        savePaginationState(paginationKey, metas, {
+          source: "ai",
+          query: searchQuery,
+          recommended: selectedRecommendations,
+        });
         return { metas };
       }
     }
@@ -3184,13 +4745,13 @@ const catalogHandler = async function (args, req) {
     }
 
     try {
-      const genAI = new GoogleGenerativeAI(geminiKey);
-      const model = genAI.getGenerativeModel({ model: geminiModel });
       const genreCriteria = extractGenreCriteria(searchQuery);
       const currentYear = new Date().getFullYear();
 
       let promptText = [
-        `You are a ${type} recommendation expert. Analyze this query: "${searchQuery}"`,
+        `You are a ${promptTypes.join(
+          " and "
+        )} recommendation expert. Analyze this query: "${searchQuery}"`,
         "",
         "QUERY ANALYSIS:",
       ];
@@ -3208,8 +4769,8 @@ const catalogHandler = async function (args, req) {
       }
       promptText.push("");
 
-      if (traktData) {
-        const { preferences } = traktData;
+      if (promptTraktData) {
+        const { preferences } = promptTraktData;
 
         // For recommendation queries, use the filtered Trakt data if available,
         // otherwise use all Trakt data when no specific genres are discovered
@@ -3218,12 +4779,12 @@ const catalogHandler = async function (args, req) {
           // Otherwise, use all Trakt data (when no specific genres are discovered)
           const { recentlyWatched, highlyRated, lowRated } =
             filteredTraktData || {
-              recentlyWatched: traktData.watched?.slice(0, 25) || [],
-              highlyRated: (traktData.rated || [])
-                .filter((item) => item.rating >= 4)
+              recentlyWatched: promptTraktData.watched?.slice(0, 25) || [],
+              highlyRated: (promptTraktData.rated || [])
+                .filter((item) => isLikedRating(item.rating))
                 .slice(0, 25),
-              lowRated: (traktData.rated || [])
-                .filter((item) => item.rating <= 2)
+              lowRated: (promptTraktData.rated || [])
+                .filter((item) => isDislikedRating(item.rating))
                 .slice(0, 15),
             };
 
@@ -3290,12 +4851,12 @@ const catalogHandler = async function (args, req) {
 
           if (highlyRated.length > 0) {
             promptText.push(
-              "Highly rated (4-5 stars) in these genres:",
+              "Highly rated (7-10 out of 10) in these genres:",
               highlyRated
                 .slice(0, 25)
                 .map((item) => {
                   const media = item.movie || item.show;
-                  return `- ${media.title} (${item.rating}/5) - ${
+                  return `- ${media.title} (${item.rating}/10) - ${
                     media.genres?.join(", ") || "N/A"
                   }`;
                 })
@@ -3306,12 +4867,12 @@ const catalogHandler = async function (args, req) {
 
           if (lowRated.length > 0) {
             promptText.push(
-              "Low rated (1-2 stars) in these genres:",
+              "Low rated (1-4 out of 10) in these genres:",
               lowRated
                 .slice(0, 15)
                 .map((item) => {
                   const media = item.movie || item.show;
-                  return `- ${media.title} (${item.rating}/5) - ${
+                  return `- ${media.title} (${item.rating}/10) - ${
                     media.genres?.join(", ") || "N/A"
                   }`;
                 })
@@ -3346,12 +4907,34 @@ const catalogHandler = async function (args, req) {
               ? `User tends to watch content from ${preferences.yearRange.start} to ${preferences.yearRange.end}, with a preference for ${preferences.yearRange.preferred}`
               : "",
             "",
+            ...(preferences.taste
+              ? [
+                  "TASTE PROFILE (1-10 ratings, recent and rewatched titles weigh more, negative scores are dislikes):",
+                  ...formatTasteProfile(preferences.taste, {
+                    includeGenres: discoveredGenres.length === 0,
+                  }),
+                ]
+              : []),
+            "",
+            ...(getTraktWatchlistMode(configData) === "boost" &&
+            promptTraktData.watchlist?.length > 0
+              ? [
+                  "ON THE USER'S WATCHLIST (they want to watch these, recommend the ones that fit the query first):",
+                  ...promptTraktData.watchlist
+                    .slice(0, MAX_WATCHLIST_PROMPT_ITEMS)
+                    .map((item) => {
+                      const media = item.movie || item.show;
+                      return `- ${media.title} (${media.year})`;
+                    }),
+                  "",
+                ]
+              : []),
             "RECOMMENDATION STRATEGY:",
             genreRecommendationStrategy ||
               "Balance user preferences with query requirements",
             "1. Focus on the specific requirements from the query (genres, time period, mood)",
             "2. Use user's preferences to refine choices within those requirements",
-            "3. Consider their rating patterns to gauge quality preferences",
+            "3. Consider their rating patterns to gauge quality preferences and avoid what they dislike",
             "4. Prioritize movies with preferred actors/directors when relevant",
             "5. Include some variety while staying within the requested criteria",
             "6. For genre-specific queries, prioritize acclaimed or popular movies in that genre that the user hasn't seen",
@@ -3381,23 +4964,28 @@ const catalogHandler = async function (args, req) {
         "CRITICAL REQUIREMENTS:",
         `- DO NOT recommend any movies that appear in the user's watch history or ratings above.`,
         `- Recommend movies that are SIMILAR to the user's highly rated movies but NOT THE SAME ones.`,
-        `- You MUST return exactly ${numResults} ${type} recommendations. If you can't find enough perfect matches, broaden your criteria while staying within the genre/theme requirements.`,
+        `- You MUST return exactly ${promptTypes
+          .map(
+            (promptType) =>
+              `${getResultCountForIntent(
+                discoveredType,
+                promptType,
+                configuredNumResults,
+                configData
+              )} ${promptType}`
+          )
+          .join(
+            " and "
+          )} recommendations. If you can't find enough perfect matches, broaden your criteria while staying within the genre/theme requirements.`,
         `- Prioritize quality over exact matching - it's better to recommend a great movie that's somewhat related than a mediocre movie that perfectly matches all criteria.`,
         `- If the user has watched many movies in the requested genre, consider recommending lesser-known gems, international films, or recent releases they might have missed.`,
         "",
-        "FORMAT:",
-        "type|name|year",
-        "OR",
-        "type|name (year)",
-        "",
-        "EXAMPLES:",
-        `${type}|The Matrix|1999`,
-        `${type}|The Matrix (1999)`,
-        "",
         "RULES:",
-        "- Use | separator",
-        "- Year: YYYY format (either as separate field or in parentheses)",
-        `- Type: Hardcode to "${type}"`,
+        `- "type": ${promptTypes
+          .map((promptType) => `"${promptType}"`)
+          .join(" or ")}`,
+        '- "name": the title only, without the year',
+        '- "year": the release year (first air year for series) as a number',
         "- Only best matches that strictly match ALL query requirements",
         "- If specific genres/time periods are requested, ALL recommendations must match those criteria",
       ]);
@@ -3422,160 +5010,47 @@ const catalogHandler = async function (args, req) {
 
       promptText = promptText.join("\n");
 
-      logger.info("Making Gemini API call", {
-        model: geminiModel,
+      logger.info("Making AI API call", {
+        provider: aiProvider.name,
+        model: aiProvider.model,
         query: searchQuery,
         type,
+        promptTypes,
         prompt: promptText,
         genreCriteria,
         numResults,
       });
 
-      // Use withRetry for the Gemini API call
-      const text = await withRetry(
-        async () => {
-          try {
-            const aiResult = await model.generateContent(promptText);
-            const response = await aiResult.response;
-            const responseText = response.text().trim();
-
-            logger.info("Gemini API response", {
-              duration: `${Date.now() - startTime}ms`,
-              promptTokens: aiResult.promptFeedback?.tokenCount,
-              candidates: aiResult.candidates?.length,
-              safetyRatings: aiResult.candidates?.[0]?.safetyRatings,
-              responseTextLength: responseText.length,
-              responseTextSample:
-                responseText.substring(0, 100) +
-                (responseText.length > 100 ? "..." : ""),
-            });
-
-            return responseText;
-          } catch (error) {
-            logger.error("Gemini API call failed", {
-              error: error.message,
-              status: error.httpStatus || 500,
-              stack: error.stack,
-            });
-            error.status = error.httpStatus || 500;
-            throw error;
-          }
-        },
-        {
-          maxRetries: 3,
-          initialDelay: 2000,
-          maxDelay: 10000,
-          // Don't retry 400 errors (bad requests)
-          shouldRetry: (error) => !error.status || error.status !== 400,
-          operationName: "Gemini API call",
-        }
-      );
-
-      // Process the response text
-      const lines = text
-        .split("\n")
-        .map((line) => line.trim())
-        .filter((line) => line && !line.startsWith("type|"));
-
-      logger.debug("Parsed recommendation lines", {
-        totalLines: text.split("\n").length,
-        validLines: lines.length,
-      });
-
-      const recommendations = {
-        movies: type === "movie" ? [] : undefined,
-        series: type === "series" ? [] : undefined,
-      };
-
-      let validRecommendations = 0;
-      let invalidLines = 0;
-
-      for (const line of lines) {
-        try {
-          const parts = line.split("|");
-
-          let lineType, name, year;
-
-          if (parts.length === 3) {
-            [lineType, name, year] = parts.map((s) => s.trim());
-          } else if (parts.length === 2) {
-            lineType = parts[0].trim();
-            const nameWithYear = parts[1].trim();
-
-            const yearMatch = nameWithYear.match(/\((\d{4})\)$/);
-            if (yearMatch) {
-              year = yearMatch[1];
-              name = nameWithYear
-                .substring(0, nameWithYear.lastIndexOf("("))
-                .trim();
-            } else {
-              const anyYearMatch = nameWithYear.match(/\b(19\d{2}|20\d{2})\b/);
-              if (anyYearMatch) {
-                year = anyYearMatch[0];
-                name = nameWithYear.replace(anyYearMatch[0], "").trim();
-              } else {
-                logger.debug("Missing year in recommendation", {
-                  nameWithYear,
-                });
-                invalidLines++;
-                continue;
-              }
-            }
-          } else {
-            logger.debug("Invalid recommendation format", { line });
-            invalidLines++;
-            continue;
-          }
-
-          const yearNum = parseInt(year);
-
-          if (!lineType || !name || isNaN(yearNum)) {
-            logger.debug("Invalid recommendation data", {
-              lineType,
-              name,
-              year,
-              isValidYear: !isNaN(yearNum),
-            });
-            invalidLines++;
-            continue;
-          }
-
-          if (lineType === type && name && yearNum) {
-            const item = {
-              name,
-              year: yearNum,
+      let recommendations;
+      if (combineTypes) {
+        const { result, shared } = await runSharedSearchRequest(
+          `${encryptedConfig}_${searchQuery}_recommendations`,
+          () => requestAIRecommendations(aiProvider, promptText, promptTypes)
+        );
+        if (shared) {
+          logger.info(
+            "Reusing the combined AI recommendations of this search",
+            {
+              query: searchQuery,
               type,
-              id: `ai_${type}_${name
-                .toLowerCase()
-                .replace(/[^a-z0-9]+/g, "_")}`,
-            };
-
-            if (type === "movie") recommendations.movies.push(item);
-            else if (type === "series") recommendations.series.push(item);
-
-            validRecommendations++;
-          }
-        } catch (error) {
-          logger.error("Error processing recommendation line", {
-            line,
-            error: error.message,
-          });
-          invalidLines++;
+            }
+          );
         }
+        recommendations = { ...result };
+      } else {
+        recommendations = await requestAIRecommendations(
+          aiProvider,
+          promptText,
+          type
+        );
       }
 
-      logger.info("Recommendation processing complete", {
-        validRecommendations,
-        invalidLines,
-        totalProcessed: lines.length,
-      });
-
       const finalResult = {
         recommendations,
         fromCache: false,
       };
 
-      // Filter out watched items if we have Trakt data and this is a recommendation query
+      // Watched and rated titles are dropped by id once the recommendations are resolved
       if (traktData && isRecommendation) {
         const watchHistory = traktData.watched.concat(traktData.history || []);
 
@@ -3605,80 +5080,6 @@ const catalogHandler = async function (args, req) {
           watchedSample: watchedSummary,
           ratedSample: ratedSummary,
         });
-
-        // Filter out watched and rated items from recommendations
-        if (finalResult.recommendations.movies) {
-          // Get the list of movies before filtering
-          const allMovies = [...finalResult.recommendations.movies];
-
-          const unwatchedMovies = finalResult.recommendations.movies.filter(
-            (movie) =>
-              !isItemWatchedOrRated(movie, watchHistory, traktData.rated)
-          );
-
-          // Find which movies were filtered out
-          const filteredMovies = allMovies.filter(
-            (movie) =>
-              !unwatchedMovies.some(
-                (unwatched) =>
-                  unwatched.name === movie.name && unwatched.year === movie.year
-              )
-          );
-
-          logger.info(
-            "Filtered out watched and rated movies from recommendations",
-            {
-              totalRecommendations: finalResult.recommendations.movies.length,
-              unwatchedCount: unwatchedMovies.length,
-              filteredCount:
-                finalResult.recommendations.movies.length -
-                unwatchedMovies.length,
-              filteredMovies: filteredMovies.map((movie) => ({
-                title: movie.name,
-                year: movie.year,
-              })),
-            }
-          );
-
-          finalResult.recommendations.movies = unwatchedMovies;
-        }
-
-        if (finalResult.recommendations.series) {
-          // Get the list of series before filtering
-          const allSeries = [...finalResult.recommendations.series];
-
-          const unwatchedSeries = finalResult.recommendations.series.filter(
-            (series) =>
-              !isItemWatchedOrRated(series, watchHistory, traktData.rated)
-          );
-
-          // Find which series were filtered out
-          const filteredSeries = allSeries.filter(
-            (series) =>
-              !unwatchedSeries.some(
-                (unwatched) =>
-                  unwatched.name === series.name &&
-                  unwatched.year === series.year
-              )
-          );
-
-          logger.info(
-            "Filtered out watched and rated series from recommendations",
-            {
-              totalRecommendations: finalResult.recommendations.series.length,
-              unwatchedCount: unwatchedSeries.length,
-              filteredCount:
-                finalResult.recommendations.series.length -
-                unwatchedSeries.length,
-              filteredSeries: filteredSeries.map((series) => ({
-                title: series.name,
-                year: series.year,
-              })),
-            }
-          );
-
-          finalResult.recommendations.series = unwatchedSeries;
-        }
       }
 
       // Only cache if there's no Trakt data (not user-specific)
@@ -3740,19 +5141,31 @@ const catalogHandler = async function (args, req) {
         })),
       });
 
-      const metaPromises = selectedRecommendations.map((item) =>
-        toStremioMeta(
-          item,
-          platform,
-          tmdbKey,
-          rpdbKey,
-          rpdbPosterType,
-          language,
-          configData // Pass the whole config down
-        )
-      );
+      const { metas, items: verifiedRecommendations } =
+        await resolveRecommendations(selectedRecommendations, {
+          aiProvider,
+          promptText,
+          type,
+          numResults,
+          convert: convertToMeta,
+          isSeen:
+            traktData && isRecommendation
+              ? (meta) =>
+                  isItemExcludedByTrakt(
+                    { type: meta.type, imdbId: meta.id },
+                    traktData,
+                    configData
+                  )
+              : null,
+          isAvailable,
+        });
 
-      const metas = (await Promise.all(metaPromises)).filter(Boolean);
+      // The cache entry holds finalResult, so later hits reuse the verified list
+      if (type === "movie") {
+        finalResult.recommendations.movies = verifiedRecommendations;
+      } else {
+        finalResult.recommendations.series = verifiedRecommendations;
+      }
 
       // Log detailed results
       logger.debug("Meta conversion results", {
@@ -3760,7 +5173,9 @@ const catalogHandler = async function (args, req) {
         type,
         totalRecommendations: selectedRecommendations.length,
         successfulConversions: metas.length,
-        failedConversions: selectedRecommendations.length - metas.length,
+        backfilledCount: verifiedRecommendations.filter(
+          (item) => !selectedRecommendations.includes(item)
+        ).length,
         recommendations: selectedRecommendations.map((r) => ({
           name: r.name,
           year: r.year,
@@ -3791,23 +5206,45 @@ const catalogHandler = async function (args, req) {
         });
       }
 
+      if (metas.length === 0) {
+        return createPlaceholderCatalog("no_results", {
+          type,
+          config: configData,
+          encryptedConfig,
+          query: searchQuery,
+        });
+      }
+
+      // Unresolved suggestions are excluded from later pages too
+      savePaginationState(paginationKey, metas, {
+        source: "ai",
+        query: searchQuery,
+        promptText,
+        recommended: selectedRecommendations.concat(verifiedRecommendations),
+        excludeSeen: !!traktData && isRecommendation,
+      });
       return { metas };
     } catch (error) {
-      logger.error("Gemini API Error:", {
+      logger.error("AI API Error:", {
         error: error.message,
         stack: error.stack,
+        provider: aiProvider.name,
         params: {
           query: searchQuery,
           type,
-          geminiKeyLength: geminiKey?.length,
         },
       });
-      logger.emptyCatalog("Gemini API Error", {
+      logger.emptyCatalog("AI API Error", {
         type,
         searchQuery,
         error: error.message,
       });
-      return { metas: [] };
+      return createPlaceholderCatalog(getPlaceholderKindForError(error), {
+        type,
+        config: configData,
+        encryptedConfig,
+        query: searchQuery,
+      });
     }
   } catch (error) {
     logger.error("Catalog processing error", {
@@ -3818,92 +5255,809 @@ const catalogHandler = async function (args, req) {
       type,
       error: error.message,
     });
-    return { metas: [] };
+    return createPlaceholderCatalog(
+      configData ? getPlaceholderKindForError(error) : "invalid_config",
+      {
+        type,
+        config: configData,
+        encryptedConfig,
+      }
+    );
   }
 };
 
-builder.defineCatalogHandler(catalogHandler);
-
-builder.defineMetaHandler(async function (args) {
-  const { type, id, config } = args;
+/**
+ * Puts a "reconnect Trakt" item in front of the first page of results when
+ * the user's Trakt tokens expired and could not be refreshed
+ * @param {Object} response - The catalog response
+ * @param {Object} args - The catalog request arguments
+ * @param {string} encryptedConfig - The encrypted addon configuration
+ * @returns {Object} - The catalog response
+ */
+function addTraktReconnectPrompt(response, args, encryptedConfig, configData) {
+  if (!response?.metas || getSkipFromExtra(args.extra) > 0) {
+    return response;
+  }
 
-  try {
-    const decryptedConfigStr = decryptConfig(config);
-    if (!decryptedConfigStr) {
-      throw new Error("Failed to decrypt config data");
-    }
+  if (
+    !configData ||
+    configData.ShowErrorItems === false ||
+    !isTraktReconnectRequired(configData)
+  ) {
+    return response;
+  }
 
-    const configData = JSON.parse(decryptedConfigStr);
+  const baseUrl = `${HOST}${BASE_PATH}`;
+  return {
+    ...response,
+    metas: [
+      createPlaceholderMeta("trakt_reconnect", {
+        type: args.type,
+        language: configData.TmdbLanguage,
+        baseUrl,
+        configureUrl: `${baseUrl}/${encryptedConfig}/configure`,
+      }),
+      ...response.metas,
+    ],
+  };
+}
 
-    const tmdbKey = configData.TmdbApiKey;
-    const rpdbKey = configData.RpdbApiKey || DEFAULT_RPDB_KEY;
-    const rpdbPosterType = configData.RpdbPosterType || "poster-default";
-    const language = configData.TmdbLanguage || "en-US";
-    const usingUserKey = !!configData.RpdbApiKey;
-    const usingDefaultKey = !configData.RpdbApiKey && !!DEFAULT_RPDB_KEY;
-    const userTier = usingUserKey
-      ? getRpdbTierFromApiKey(configData.RpdbApiKey)
-      : -1;
-    const isTier0User = (usingUserKey && userTier === 0) || usingDefaultKey;
+/**
+ * Adds a "Save results to Trakt" link to the results of a search, which saves
+ * the titles of the page to a private Trakt list (see saveResultsToTraktList).
+ * The link carries their ids, so it keeps working after a restart, and is
+ * only added to the first result of the page. It's also remembered for a
+ * while per title, for the meta handler.
+ * @param {Object} response - The catalog response
+ * @param {Object} args - The catalog request arguments
+ * @param {string} encryptedConfig - The encrypted configuration
+ * @param {Object} configData - Decrypted addon configuration
+ * @returns {Object} - The catalog response
+ */
+function addTraktListLink(response, args, encryptedConfig, configData) {
+  const searchQuery = getSearchFromExtra(args.extra);
+  if (
+    !response?.metas ||
+    !searchQuery ||
+    !configData?.TraktAccessToken ||
+    isTraktReconnectRequired(configData)
+  ) {
+    return response;
+  }
 
-    if (!tmdbKey) {
-      throw new Error("Missing TMDB API key in config");
-    }
+  const metas = response.metas.filter((meta) => !parsePlaceholderId(meta.id));
+  const items = formatTraktListItems(metas);
+  if (!items) {
+    return response;
+  }
 
-    const tmdbData = await searchTMDB(id, type, null, tmdbKey, language);
-    if (tmdbData) {
-      let poster = tmdbData.poster;
-      if (rpdbKey && tmdbData.imdb_id) {
-        const rpdbPoster = await fetchRpdbPoster(
-          tmdbData.imdb_id,
-          rpdbKey,
-          rpdbPosterType,
-          isTier0User
-        );
-        if (rpdbPoster) {
-          poster = rpdbPoster;
-        }
-      }
+  const link = {
+    name: "Save results to Trakt",
+    category: "Trakt",
+    url: `${HOST}${BASE_PATH}/${encryptedConfig}/trakt/list/${
+      args.type
+    }?search=${encodeURIComponent(searchQuery)}&items=${items}`,
+  };
+  metas.forEach((meta) =>
+    traktListLinks.set(`${encryptedConfig}_${args.type}_${meta.id}`, {
+      timestamp: Date.now(),
+      data: link,
+    })
+  );
 
-      const meta = {
-        id: tmdbData.imdb_id,
-        type: type,
-        name: tmdbData.title || tmdbData.name,
-        description: tmdbData.overview,
-        year: parseInt(tmdbData.release_date || tmdbData.first_air_date) || 0,
-        poster: poster,
-        background: tmdbData.backdrop,
-        posterShape: "regular",
-      };
+  return {
+    ...response,
+    metas: response.metas.map((meta) =>
+      meta === metas[0]
+        ? { ...meta, links: [...(meta.links || []), link] }
+        : meta
+    ),
+  };
+}
 
-      if (tmdbData.genres && tmdbData.genres.length > 0) {
-        meta.genres = tmdbData.genres
-          .map((id) =>
-            type === "series" ? TMDB_TV_GENRES[id] : TMDB_GENRES[id]
-          )
-          .filter(Boolean);
-      }
+const catalogHandler = async function (args, req) {
+  const response = await searchCatalog(args, req);
+  const encryptedConfig = req?.stremioConfig;
 
-      return { meta };
-    }
+  let configData = null;
+  try {
+    configData = JSON.parse(decryptConfig(encryptedConfig));
   } catch (error) {
-    logger.error("Meta Error:", error);
+    return response;
   }
 
-  return { meta: null };
-});
+  return addTraktListLink(
+    addTraktReconnectPrompt(response, args, encryptedConfig, configData),
+    args,
+    encryptedConfig,
+    configData
+  );
+};
 
-const TMDB_GENRES = {
-  28: "Action",
-  12: "Adventure",
-  16: "Animation",
-  35: "Comedy",
-  80: "Crime",
-  99: "Documentary",
-  18: "Drama",
-  10751: "Family",
-  14: "Fantasy",
-  36: "History",
+/**
+ * Saves search results to a private Trakt list named after the query. The
+ * titles are identified by the ids they resolved to when they were verified
+ * (IMDb and TMDB, and Trakt for titles from the user's Trakt lists), so Trakt
+ * doesn't have to match titles again.
+ * @param {string} encryptedConfig - The encrypted configuration
+ * @param {string} type - The content type (movie/series)
+ * @param {string} query - The search query
+ * @param {Array<Object>} items - The ids of each title, see parseTraktListItems
+ * @returns {Promise<Object>} - The saved list, see saveToTraktList
+ * @throws {Error} - With status 400 without Trakt or titles, 401 when Trakt
+ *   has to be reconnected, or from Trakt
+ */
+async function saveResultsToTraktList(encryptedConfig, type, query, items) {
+  const configData = JSON.parse(decryptConfig(encryptedConfig));
+  if (!configData?.TraktAccessToken) {
+    const error = new Error("Trakt is not connected in this configuration");
+    error.status = 400;
+    throw error;
+  }
+
+  if (items.length === 0) {
+    const error = new Error("This link doesn't contain any titles to save");
+    error.status = 400;
+    throw error;
+  }
+
+  const options = {
+    name: `${TRAKT_LIST_NAME_PREFIX}${query}`.slice(
+      0,
+      MAX_TRAKT_LIST_NAME_LENGTH
+    ),
+    description: `Saved from the AI Search results for "${query}"`,
+    type,
+    items,
+  };
+
+  const reconnectError = () => {
+    const error = new Error(
+      "Your Trakt login expired, log in with Trakt.tv again on the configuration page"
+    );
+    error.status = 401;
+    error.isInvalidKey = true;
+    return error;
+  };
+
+  let tokens = getTraktTokens(configData);
+  if (tokens.reconnectRequired) {
+    throw reconnectError();
+  }
+
+  try {
+    return await saveToTraktList(tokens.accessToken, options);
+  } catch (error) {
+    if (!error.isInvalidKey) throw error;
+    logger.info("Trakt rejected the access token, refreshing it", { type });
+  }
+
+  tokens = await refreshTraktTokensForConfig(configData, tokens);
+  if (!tokens) {
+    throw reconnectError();
+  }
+  return saveToTraktList(tokens.accessToken, options);
+}
+
+builder.defineCatalogHandler(catalogHandler);
+
+/**
+ * Fetches a TMDB API url with the usual retry and error handling
+ * @param {string} url - The full API url, including the api_key
+ * @param {string} operationName - Name used for logging
+ * @returns {Promise<Object>} - The parsed response
+ */
+async function fetchTmdbJson(url, operationName) {
+  return withRetry(
+    async () => {
+      const response = await fetch(url);
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        let errorMessage;
+
+        if (response.status === 401) {
+          errorMessage = "Invalid TMDB API key";
+        } else if (response.status === 429) {
+          errorMessage = "TMDB API rate limit exceeded";
+        } else {
+          errorMessage = `TMDB API error: ${response.status} ${
+            errorData?.status_message || ""
+          }`;
+        }
+
+        const error = new Error(errorMessage);
+        error.status = response.status;
+        error.isRateLimit = response.status === 429;
+        error.isInvalidKey = response.status === 401;
+        throw error;
+      }
+      return response.json();
+    },
+    {
+      maxRetries: 3,
+      initialDelay: 1000,
+      maxDelay: 8000,
+      operationName,
+      // Don't retry on invalid API key errors or missing items
+      shouldRetry: (error) =>
+        !error.isInvalidKey &&
+        (!error.status || error.status >= 500 || error.isRateLimit),
+    }
+  );
+}
+
+/**
+ * Resolves an IMDb id to a TMDB id using TMDB's find-by-external-id endpoint
+ * @param {string} imdbId - The IMDb id (tt...)
+ * @param {string} type - The content type (movie/series)
+ * @param {string} tmdbKey - The TMDB API key
+ * @returns {Promise<number|null>} - The TMDB id
+ */
+async function findTmdbIdByImdbId(imdbId, type, tmdbKey) {
+  const cacheKey = `find_${imdbId}`;
+
+  if (tmdbDetailsCache.has(cacheKey)) {
+    const cached = tmdbDetailsCache.get(cacheKey);
+    logger.debug("TMDB find cache hit", { cacheKey, imdbId });
+    return type === "movie" ? cached.data.movieId : cached.data.tvId;
+  }
+
+  const url = `${TMDB_API_BASE}/find/${imdbId}?api_key=${tmdbKey}&external_source=imdb_id`;
+
+  logger.info("Making TMDB find API call", {
+    url: url.replace(tmdbKey, "***"),
+    imdbId,
+  });
+
+  const data = await fetchTmdbJson(url, "TMDB find API call");
+  const ids = {
+    movieId: data?.movie_results?.[0]?.id || null,
+    tvId: data?.tv_results?.[0]?.id || null,
+  };
+
+  tmdbDetailsCache.set(cacheKey, {
+    timestamp: Date.now(),
+    data: ids,
+  });
+
+  return type === "movie" ? ids.movieId : ids.tvId;
+}
+
+/**
+ * Fetches where a title can be watched, for every region
+ * @param {string} type - The content type (movie/series)
+ * @param {number} tmdbId - The TMDB id
+ * @param {string} tmdbKey - The TMDB API key
+ * @returns {Promise<Object>} - TMDB watch provider results keyed by region
+ */
+async function fetchTmdbWatchProviders(type, tmdbId, tmdbKey) {
+  const searchType = type === "movie" ? "movie" : "tv";
+  const cacheKey = `watch_providers_${searchType}_${tmdbId}`;
+
+  // Catalogs change more often than the rest of the details
+  if (tmdbDetailsCache.has(cacheKey)) {
+    const cached = tmdbDetailsCache.get(cacheKey);
+    if (Date.now() - cached.timestamp < WATCH_PROVIDERS_CACHE_DURATION) {
+      logger.debug("TMDB watch providers cache hit", { cacheKey });
+      return cached.data;
+    }
+  }
+
+  const url = `${TMDB_API_BASE}/${searchType}/${tmdbId}/watch/providers?api_key=${tmdbKey}`;
+
+  logger.info("Making TMDB watch providers API call", {
+    url: url.replace(tmdbKey, "***"),
+    tmdbId,
+    type,
+  });
+
+  const data = await fetchTmdbJson(url, "TMDB watch providers API call");
+  const results = data?.results || {};
+
+  tmdbDetailsCache.set(cacheKey, {
+    timestamp: Date.now(),
+    data: results,
+  });
+
+  return results;
+}
+
+/**
+ * Checks if a title is included in one of the given streaming services
+ * (subscription, free or with ads) in a region
+ * @param {Object} meta - The Stremio meta (id is the IMDb id)
+ * @param {number[]} providerIds - TMDB watch provider ids
+ * @param {string} region - ISO 3166-1 country code
+ * @param {string} tmdbKey - The TMDB API key
+ * @returns {Promise<boolean>}
+ */
+async function isAvailableOnProviders(meta, providerIds, region, tmdbKey) {
+  try {
+    const tmdbId = await findTmdbIdByImdbId(meta.id, meta.type, tmdbKey);
+    if (!tmdbId) return false;
+
+    const regionProviders =
+      (await fetchTmdbWatchProviders(meta.type, tmdbId, tmdbKey))[region] || {};
+
+    return ["flatrate", "free", "ads"].some((monetization) =>
+      (regionProviders[monetization] || []).some((provider) =>
+        providerIds.includes(provider.provider_id)
+      )
+    );
+  } catch (error) {
+    // Don't hide a title because TMDB is having a bad moment
+    logger.error("Watch provider availability check failed", {
+      imdbId: meta.id,
+      error: error.message,
+    });
+    return true;
+  }
+}
+
+/**
+ * Adds where a title can be watched in the region to a meta: a link per
+ * service and a compact line at the end of the description
+ * @param {Object} meta - The Stremio meta
+ * @param {Object} providerResults - TMDB watch provider results keyed by region
+ * @param {string} region - ISO 3166-1 country code
+ * @returns {Object} - A copy of the meta with the provider info
+ */
+function addWatchProviderInfo(meta, providerResults, region) {
+  const regionProviders = providerResults?.[region];
+  if (!regionProviders) return meta;
+
+  const groups = [
+    {
+      label: "Stream",
+      providers: [
+        ...(regionProviders.flatrate || []),
+        ...(regionProviders.free || []),
+        ...(regionProviders.ads || []),
+      ],
+    },
+    { label: "Rent", providers: regionProviders.rent || [] },
+    { label: "Buy", providers: regionProviders.buy || [] },
+  ];
+
+  const summary = [];
+  const links = [];
+  for (const { label, providers } of groups) {
+    const names = [
+      ...new Set(providers.map((provider) => provider.provider_name)),
+    ];
+    if (names.length === 0) continue;
+
+    summary.push(`${label}: ${names.slice(0, 3).join(", ")}`);
+    links.push(
+      ...names.map((name) => ({
+        name,
+        category: `${label} (${region})`,
+        url: regionProviders.link,
+      }))
+    );
+  }
+
+  if (summary.length === 0) return meta;
+
+  return {
+    ...meta,
+    description: [meta.description, summary.join(" | ")]
+      .filter(Boolean)
+      .join("\n\n"),
+    links: [...(meta.links || []), ...links],
+  };
+}
+
+/**
+ * Fetches the full TMDB details used to build a meta: credits, release dates
+ * or content ratings, external ids and logos
+ * @param {string} type - The content type (movie/series)
+ * @param {number} tmdbId - The TMDB id
+ * @param {string} tmdbKey - The TMDB API key
+ * @param {string} language - The language for results
+ * @returns {Promise<Object>} - The TMDB details
+ */
+async function fetchTmdbMetaDetails(type, tmdbId, tmdbKey, language) {
+  const searchType = type === "movie" ? "movie" : "tv";
+  const cacheKey = `meta_${searchType}_${tmdbId}_${language}`;
+  const cached = tmdbDetailsCache.get(cacheKey);
+
+  if (cached && !isStaleAiringEntry(cached, cached.data?.in_production)) {
+    logger.info("TMDB meta details cache hit", {
+      cacheKey,
+      tmdbId,
+      cachedAt: new Date(cached.timestamp).toISOString(),
+    });
+    return cached.data;
+  }
+
+  const appendToResponse = [
+    "external_ids",
+    "credits",
+    "images",
+    "videos",
+    searchType === "movie" ? "release_dates" : "content_ratings",
+  ].join(",");
+  // Logos and trailers are often untranslated, so accept fallbacks as well
+  const mediaLanguages = getMediaLanguages(language);
+  const url = `${TMDB_API_BASE}/${searchType}/${tmdbId}?api_key=${tmdbKey}&language=${language}&append_to_response=${appendToResponse}&include_image_language=${mediaLanguages}&include_video_language=${mediaLanguages}`;
+
+  logger.info("TMDB meta details cache miss", { cacheKey, tmdbId });
+
+  const data = await fetchTmdbJson(url, "TMDB meta details API call");
+
+  tmdbDetailsCache.set(cacheKey, {
+    timestamp: Date.now(),
+    data,
+  });
+
+  return data;
+}
+
+/**
+ * Checks if a cached TMDB entry of a show that is still airing is older than
+ * TMDB_AIRING_CACHE_DURATION, as new episodes and seasons get added to it
+ * @param {Object} entry - The cache entry ({timestamp, data})
+ * @param {boolean} airing - Whether the entry belongs to an airing show
+ * @returns {boolean}
+ */
+function isStaleAiringEntry(entry, airing) {
+  return !!airing && Date.now() - entry.timestamp > TMDB_AIRING_CACHE_DURATION;
+}
+
+/**
+ * Fetches the seasons of a series with their episodes, cached per season.
+ * Missing seasons are appended to tv details calls, TMDB_MAX_APPENDED_SEASONS
+ * at a time, one call after the other.
+ * @param {Object} details - The TMDB tv details (with the seasons list)
+ * @param {string} tmdbKey - The TMDB API key
+ * @param {string} language - The language for results
+ * @returns {Promise<Array>} - The seasons that could be fetched
+ */
+async function fetchTmdbSeasons(details, tmdbKey, language) {
+  const seasonNumbers = (details.seasons || []).map(
+    (season) => season.season_number
+  );
+  // Only the latest season of an airing show still gets new episodes
+  const airingSeason = details.in_production
+    ? Math.max(...seasonNumbers)
+    : null;
+  const getCacheKey = (seasonNumber) =>
+    `season_${details.id}_${seasonNumber}_${language}`;
+
+  const seasons = new Map();
+  const missing = [];
+  seasonNumbers.forEach((seasonNumber) => {
+    const cached = tmdbDetailsCache.get(getCacheKey(seasonNumber));
+    if (cached && !isStaleAiringEntry(cached, seasonNumber === airingSeason)) {
+      seasons.set(seasonNumber, cached.data);
+    } else {
+      missing.push(seasonNumber);
+    }
+  });
+
+  logger.debug("TMDB seasons cache lookup", {
+    tvId: details.id,
+    cached: seasons.size,
+    missing: missing.length,
+  });
+
+  for (let i = 0; i < missing.length; i += TMDB_MAX_APPENDED_SEASONS) {
+    const chunk = missing.slice(i, i + TMDB_MAX_APPENDED_SEASONS);
+    const appendToResponse = chunk
+      .map((seasonNumber) => `season/${seasonNumber}`)
+      .join(",");
+    const url = `${TMDB_API_BASE}/tv/${details.id}?api_key=${tmdbKey}&language=${language}&append_to_response=${appendToResponse}`;
+
+    try {
+      const data = await fetchTmdbJson(url, "TMDB seasons API call");
+
+      chunk.forEach((seasonNumber) => {
+        const season = data[`season/${seasonNumber}`];
+        if (!season) return;
+        tmdbDetailsCache.set(getCacheKey(seasonNumber), {
+          timestamp: Date.now(),
+          data: season,
+        });
+        seasons.set(seasonNumber, season);
+      });
+    } catch (error) {
+      logger.error("TMDB seasons fetch failed", {
+        tvId: details.id,
+        seasons: chunk,
+        error: error.message,
+      });
+    }
+  }
+
+  return Array.from(seasons.values());
+}
+
+/**
+ * Builds the Stremio videos list of a series from its TMDB seasons.
+ * Video ids follow the Stremio convention imdbId:season:episode.
+ * @param {Object} details - The TMDB tv details (with the seasons list)
+ * @param {string} imdbId - The IMDb id of the series
+ * @param {string} tmdbKey - The TMDB API key
+ * @param {string} language - The language for results
+ * @returns {Promise<Array>} - The videos, ordered by season and episode
+ */
+async function fetchSeriesVideos(details, imdbId, tmdbKey, language) {
+  const seasons = await fetchTmdbSeasons(details, tmdbKey, language);
+
+  const videos = [];
+  for (const season of seasons) {
+    for (const episode of season.episodes || []) {
+      videos.push({
+        id: `${imdbId}:${episode.season_number}:${episode.episode_number}`,
+        title: episode.name || `Episode ${episode.episode_number}`,
+        season: episode.season_number,
+        episode: episode.episode_number,
+        released: episode.air_date
+          ? new Date(episode.air_date).toISOString()
+          : null,
+        thumbnail: episode.still_path
+          ? `https://image.tmdb.org/t/p/w300${episode.still_path}`
+          : null,
+        overview: episode.overview || "",
+      });
+    }
+  }
+
+  return videos.sort((a, b) => a.season - b.season || a.episode - b.episode);
+}
+
+/**
+ * Builds a complete Stremio meta object from TMDB details
+ * @param {Object} details - The result of fetchTmdbMetaDetails
+ * @param {string} type - The content type (movie/series)
+ * @param {string} imdbId - The IMDb id used as the meta id
+ * @param {string} language - The language of the details
+ * @returns {Object} - The Stremio meta
+ */
+function buildMetaFromTmdbDetails(details, type, imdbId, language) {
+  const isMovie = type === "movie";
+  const releaseDate = isMovie ? details.release_date : details.first_air_date;
+  const year = parseInt(releaseDate) || 0;
+
+  let releaseInfo = year ? `${year}` : "";
+  if (!isMovie && year) {
+    const lastYear = parseInt(details.last_air_date);
+    releaseInfo =
+      details.in_production || !lastYear
+        ? `${year}-`
+        : lastYear !== year
+        ? `${year}-${lastYear}`
+        : `${year}`;
+  }
+
+  const cast = (details.credits?.cast || [])
+    .slice(0, 10)
+    .map((person) => person.name);
+  const crew = details.credits?.crew || [];
+  const director = [
+    ...new Set(
+      isMovie
+        ? crew
+            .filter((person) => person.job === "Director")
+            .map((person) => person.name)
+        : (details.created_by || []).map((person) => person.name)
+    ),
+  ];
+  const writer = [
+    ...new Set(
+      crew
+        .filter((person) => person.department === "Writing")
+        .map((person) => person.name)
+    ),
+  ].slice(0, 5);
+  const genres = (details.genres || []).map((genre) => genre.name);
+
+  const runtime = isMovie
+    ? details.runtime
+    : details.episode_run_time?.[0] || details.last_episode_to_air?.runtime;
+
+  const logo =
+    (details.images?.logos || []).find(
+      (image) => image.iso_639_1 === language.split("-")[0]
+    ) || details.images?.logos?.[0];
+
+  const searchLink = (name, category) => ({
+    name,
+    category,
+    url: `stremio:///search?search=${encodeURIComponent(name)}`,
+  });
+
+  const links = [
+    ...genres.map((genre) => searchLink(genre, "Genres")),
+    ...cast.map((name) => searchLink(name, "Cast")),
+    ...director.map((name) =>
+      searchLink(name, isMovie ? "Directors" : "Creators")
+    ),
+    ...writer.map((name) => searchLink(name, "Writers")),
+    {
+      name: "IMDb",
+      category: "imdb",
+      url: `https://imdb.com/title/${imdbId}`,
+    },
+  ];
+
+  const meta = {
+    id: imdbId,
+    type,
+    name: details.title || details.name,
+    description: details.overview || "",
+    year,
+    releaseInfo,
+    released: releaseDate ? new Date(releaseDate).toISOString() : undefined,
+    poster: details.poster_path
+      ? `https://image.tmdb.org/t/p/w500${details.poster_path}`
+      : null,
+    background: details.backdrop_path
+      ? `https://image.tmdb.org/t/p/original${details.backdrop_path}`
+      : null,
+    logo: logo ? `https://image.tmdb.org/t/p/original${logo.file_path}` : null,
+    posterShape: "regular",
+    genres,
+    cast,
+    director,
+    writer,
+    runtime: runtime ? `${runtime} min` : undefined,
+    language: details.original_language,
+    country: (details.production_countries || details.origin_country || [])
+      .map((country) => country.iso_3166_1 || country)
+      .join(", "),
+    website: details.homepage || undefined,
+    links,
+    ...toStremioTrailers(extractTmdbTrailers(details.videos, language)),
+    behaviorHints: {
+      defaultVideoId: isMovie ? imdbId : null,
+      hasScheduledVideos: !isMovie && !!details.in_production,
+    },
+  };
+
+  return meta;
+}
+
+builder.defineMetaHandler(async function (args) {
+  const { type, id, config } = args;
+
+  // Placeholder items from createPlaceholderCatalog open as themselves, even
+  // when the configuration they complain about can't be read
+  const placeholder = parsePlaceholderId(id);
+  if (placeholder) {
+    let configData = null;
+    try {
+      configData = JSON.parse(decryptConfig(config));
+    } catch (error) {
+      configData = null;
+    }
+
+    const baseUrl = `${HOST}${BASE_PATH}`;
+    return {
+      meta: createPlaceholderMeta(placeholder.kind, {
+        type,
+        query: placeholder.query,
+        language: configData?.TmdbLanguage,
+        baseUrl,
+        configureUrl: configData
+          ? `${baseUrl}/${config}/configure`
+          : `${baseUrl}/configure`,
+        provider: configData ? getAIProviderName(configData) : undefined,
+      }),
+    };
+  }
+
+  try {
+    const decryptedConfigStr = decryptConfig(config);
+    if (!decryptedConfigStr) {
+      throw new Error("Failed to decrypt config data");
+    }
+
+    const configData = JSON.parse(decryptedConfigStr);
+
+    const tmdbKey = configData.TmdbApiKey;
+    const rpdbPosterType = configData.RpdbPosterType || "poster-default";
+    const language = configData.TmdbLanguage || "en-US";
+
+    const enableRpdb =
+      configData.EnableRpdb !== undefined ? configData.EnableRpdb : false;
+    const rpdbKey = configData.RpdbApiKey || DEFAULT_RPDB_KEY;
+    const usingUserKey = !!configData.RpdbApiKey;
+    const usingDefaultKey = !configData.RpdbApiKey && !!DEFAULT_RPDB_KEY;
+    const userTier = usingUserKey
+      ? getRpdbTierFromApiKey(configData.RpdbApiKey)
+      : -1;
+    const isTier0User = (usingUserKey && userTier === 0) || usingDefaultKey;
+
+    if (!tmdbKey) {
+      throw new Error("Missing TMDB API key in config");
+    }
+
+    // We only serve metas for the IMDb ids our catalogs return
+    const imdbId = id.split(":")[0];
+    if (!/^tt\d+$/.test(imdbId)) {
+      return { meta: null };
+    }
+
+    const tmdbId = await findTmdbIdByImdbId(imdbId, type, tmdbKey);
+    if (!tmdbId) {
+      logger.info("No TMDB match for IMDb id", { imdbId, type });
+      return { meta: null };
+    }
+
+    const details = await fetchTmdbMetaDetails(type, tmdbId, tmdbKey, language);
+    let meta = buildMetaFromTmdbDetails(details, type, imdbId, language);
+
+    if (type === "series") {
+      meta.videos = await fetchSeriesVideos(details, imdbId, tmdbKey, language);
+    }
+
+    try {
+      meta = addWatchProviderInfo(
+        meta,
+        await fetchTmdbWatchProviders(type, tmdbId, tmdbKey),
+        getWatchRegion(configData)
+      );
+    } catch (error) {
+      logger.debug("Watch providers unavailable for meta", {
+        imdbId,
+        error: error.message,
+      });
+    }
+
+    if (enableRpdb && rpdbKey) {
+      const rpdbPoster = await fetchRpdbPoster(
+        imdbId,
+        rpdbKey,
+        rpdbPosterType,
+        isTier0User
+      );
+      if (rpdbPoster) {
+        meta.poster = rpdbPoster;
+      }
+    }
+
+    // Opened from search results, the title offers to save them as well
+    const traktListLink = configData.TraktAccessToken
+      ? traktListLinks.get(`${config}_${type}_${imdbId}`)
+      : null;
+    if (traktListLink) {
+      meta.links = [...(meta.links || []), traktListLink.data];
+    }
+
+    logger.info("Meta resolved", {
+      imdbId,
+      tmdbId,
+      type,
+      name: meta.name,
+      videoCount: meta.videos?.length,
+    });
+
+    return { meta };
+  } catch (error) {
+    logger.error("Meta Error:", {
+      error: error.message,
+      stack: error.stack,
+      type,
+      id,
+    });
+  }
+
+  return { meta: null };
+});
+
+const TMDB_GENRES = {
+  28: "Action",
+  12: "Adventure",
+  16: "Animation",
+  35: "Comedy",
+  80: "Crime",
+  99: "Documentary",
+  18: "Drama",
+  10751: "Family",
+  14: "Fantasy",
+  36: "History",
   27: "Horror",
   10402: "Music",
   9648: "Mystery",
@@ -4148,6 +6302,12 @@ function getCacheStats() {
         ((queryAnalysisCache.size / queryAnalysisCache.max) * 100).toFixed(2) +
         "%",
     },
+    paginationCache: {
+      size: paginationCache.size,
+      maxSize: paginationCache.max,
+      usagePercentage:
+        ((paginationCache.size / paginationCache.max) * 100).toFixed(2) + "%",
+    },
   };
 }
 
@@ -4211,234 +6371,1094 @@ function deserializeAllCaches(data) {
     results.traktRawDataCache = traktRawDataCache.deserialize(
       data.traktRawDataCache
     );
-  }
+  }
+
+  // Saved by persistTraktTokenStore, but loaded with the other cache files
+  if (data.traktTokenStore) {
+    results.traktTokenStore = traktTokenStore.deserialize(data.traktTokenStore);
+  }
+
+  if (data.queryAnalysisCache) {
+    results.queryAnalysisCache = queryAnalysisCache.deserialize(
+      data.queryAnalysisCache
+    );
+  }
+
+  // Restore the query counter if available
+  if (data.stats && typeof data.stats.queryCounter === "number") {
+    queryCounter = data.stats.queryCounter;
+    logger.info("Query counter restored from cache", {
+      totalQueries: queryCounter,
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Makes an AI call to determine the content type and genres for a recommendation query
+ * @param {string} query - The user's search query
+ * @param {Object} aiProvider - The AI provider created by createAIProvider
+ * @returns {Promise<{type: string, genres: string[]}>} - The discovered type and genres
+ */
+async function discoverTypeAndGenres(query, aiProvider) {
+  const promptText = `
+Analyze this recommendation query: "${query}"
+
+Determine:
+1. What type of content is being requested (movie, series, or ambiguous)
+2. What genres are relevant to this query (be specific and use standard genre names)
+
+Where:
+- type is one of: movie, series, ambiguous
+- genres is a list of lowercase genre names, or an empty list if no specific genres are discovered in the query
+
+Examples:
+{"type": "movie", "genres": ["action", "thriller", "sci-fi"]}
+{"type": "series", "genres": ["comedy", "drama"]}
+{"type": "ambiguous", "genres": []}
+`;
+
+  const schema = {
+    type: "object",
+    properties: {
+      type: { type: "string", enum: ["movie", "series", "ambiguous"] },
+      genres: { type: "array", items: { type: "string" } },
+    },
+    required: ["type", "genres"],
+  };
+
+  try {
+    logger.info("Making genre discovery API call", {
+      query,
+      provider: aiProvider.name,
+      model: aiProvider.model,
+    });
+
+    const result = await aiProvider.generateJSON(promptText, schema, {
+      operationName: "Genre discovery API call",
+    });
+
+    const genres = result.genres
+      .map((g) => g.trim())
+      .filter(
+        (g) =>
+          g.length > 0 &&
+          g.toLowerCase() !== "ambiguous" &&
+          g.toLowerCase() !== "all"
+      );
+
+    if (genres.length === 0) {
+      logger.info(
+        "No specific genres found, will use all genres for recommendations",
+        {
+          query,
+          type: result.type,
+        }
+      );
+    }
+
+    logger.info("Successfully parsed genre discovery response", {
+      type: result.type,
+      genresCount: genres.length,
+      genres: genres,
+    });
+
+    return {
+      type: result.type,
+      genres: genres,
+    };
+  } catch (error) {
+    logger.error("Genre discovery API error", {
+      error: error.message,
+      validationErrors: error.validationErrors,
+      stack: error.stack,
+    });
+    return { type: "ambiguous", genres: [] };
+  }
+}
+
+/**
+ * Filters Trakt data based on specified genres
+ * @param {Object} traktData - The complete Trakt data
+ * @param {string[]} genres - The genres to filter by
+ * @returns {Object} - The filtered Trakt data
+ */
+function filterTraktDataByGenres(traktData, genres) {
+  if (!traktData || !genres || genres.length === 0) {
+    return {
+      recentlyWatched: [],
+      highlyRated: [],
+      lowRated: [],
+    };
+  }
+
+  const { watched, rated } = traktData;
+  const genreSet = new Set(genres.map((g) => g.toLowerCase()));
+
+  // Helper function to check if an item has any of the specified genres
+  const hasMatchingGenre = (item) => {
+    const media = item.movie || item.show;
+    if (!media || !media.genres || media.genres.length === 0) return false;
+
+    return media.genres.some((g) => genreSet.has(g.toLowerCase()));
+  };
+
+  // Filter watched items by genre
+  const recentlyWatched = (watched || []).filter(hasMatchingGenre).slice(0, 25); // Last 25 watched in these genres
+
+  // Filter highly rated items (7-10 out of 10)
+  const highlyRated = (rated || [])
+    .filter((item) => isLikedRating(item.rating))
+    .filter(hasMatchingGenre)
+    .slice(0, 25); // Top 25 highly rated
+
+  // Filter low rated items (1-4 out of 10)
+  const lowRated = (rated || [])
+    .filter((item) => isDislikedRating(item.rating))
+    .filter(hasMatchingGenre)
+    .slice(0, 15); // Top 15 low rated
+
+  return {
+    recentlyWatched,
+    highlyRated,
+    lowRated,
+  };
+}
+
+// Function to increment and get the query counter
+function incrementQueryCounter() {
+  queryCounter++;
+  logger.info("Query counter incremented", { totalQueries: queryCounter });
+  return queryCounter;
+}
+
+// Function to get the current query count
+function getQueryCount() {
+  return queryCounter;
+}
+
+/**
+ * Cheap check run before asking the AI to look for people in a query, so
+ * queries without any hint of a person don't pay for an extra AI call
+ * @param {string} query - The search query
+ * @returns {boolean}
+ */
+function mightMentionPerson(query) {
+  const patterns = [
+    /\b(starring|featuring|feat\.|(directed|written|produced|created|scored) by)\b/i,
+    /\b(movies|films|shows|series|documentaries) by\b/i,
+    /\b(actor|actress|director|filmmaker|screenwriter|showrunner|filmography)\b/i,
+    /\b\w+'s\s+(movies|films|series|shows|work)\b/i,
+    // A capitalized full name after "with"/"by" or before "movies", like
+    // "comedies with Jim Carrey" or "Tom Hanks movies"
+    /\b(with|by)\s+[A-Z][a-z]+(\s+[A-Z][a-z'-]+)+/,
+    /\b[A-Z][a-z]+\s+[A-Z][a-z'-]+\s+(movies|films|shows|series)\b/,
+  ];
+
+  return patterns.some((pattern) => pattern.test(query));
+}
+
+/**
+ * Uses the AI provider to find the people a query is about
+ * @param {string} query - The search query
+ * @param {Object} aiProvider - The AI provider created by createAIProvider
+ * @returns {Promise<{people: Array<{name: string, role: string, job?: string}>, match: string}|null>}
+ *   null when the query isn't about specific people
+ */
+async function analyzeQueryForPeople(query, aiProvider) {
+  if (!mightMentionPerson(query)) {
+    return null;
+  }
+
+  const cacheKey = `people_${query.toLowerCase().trim()}`;
+  if (queryAnalysisCache.has(cacheKey)) {
+    logger.info("People analysis cache hit", { cacheKey, query });
+    return queryAnalysisCache.get(cacheKey).data;
+  }
+
+  const promptText = `Analyze this search query for movies or TV shows: "${query}"
+
+Find the real people (actors, directors, writers, composers...) the query is about.
+
+Where:
+- people lists each person by full name, with role "cast" for actors and "crew" for everyone else
+- job is the crew job as TMDB names it (Director, Screenplay, Writer, Producer, Original Music Composer...), only for crew
+- match is "all" when results must involve every person together (e.g. "movies with X and Y"), "any" otherwise
+- people is an empty list when the query is not about specific people (titles, characters and franchises are not people)
+
+Examples:
+"Underrated movies by Christopher Nolan": {"people": [{"name": "Christopher Nolan", "role": "crew", "job": "Director"}], "match": "any"}
+"Movies with Ryan Gosling and Emma Stone": {"people": [{"name": "Ryan Gosling", "role": "cast"}, {"name": "Emma Stone", "role": "cast"}], "match": "all"}
+"Movies like The Matrix": {"people": [], "match": "any"}`;
+
+  const schema = {
+    type: "object",
+    properties: {
+      people: {
+        type: "array",
+        maxItems: 5,
+        items: {
+          type: "object",
+          properties: {
+            name: { type: "string", minLength: 2 },
+            role: { type: "string", enum: ["cast", "crew"] },
+            job: { type: "string" },
+          },
+          required: ["name", "role"],
+        },
+      },
+      match: { type: "string", enum: ["all", "any"] },
+    },
+    required: ["people", "match"],
+  };
+
+  try {
+    const result = await aiProvider.generateJSON(promptText, schema, {
+      operationName: "People analysis API call",
+    });
+
+    const analysis = result.people.length > 0 ? result : null;
+
+    logger.info("People analysis complete", {
+      query,
+      people: result.people,
+      match: result.match,
+    });
+
+    queryAnalysisCache.set(cacheKey, {
+      timestamp: Date.now(),
+      data: analysis,
+    });
+
+    return analysis;
+  } catch (error) {
+    logger.error("People analysis error", {
+      error: error.message,
+      query,
+    });
+    return null;
+  }
+}
+
+/**
+ * Resolves a person's name to their TMDB person record
+ * @param {string} name - The person's name
+ * @param {string} role - "cast" or "crew", used to break ties between namesakes
+ * @param {string} tmdbKey - The TMDB API key
+ * @returns {Promise<{id: number, name: string}|null>}
+ */
+async function searchTmdbPerson(name, role, tmdbKey) {
+  const cacheKey = `person_${normalizeTitle(name)}_${role}`;
+
+  if (tmdbCache.has(cacheKey)) {
+    logger.debug("TMDB person cache hit", { cacheKey });
+    return tmdbCache.get(cacheKey).data;
+  }
+
+  const params = new URLSearchParams({
+    api_key: tmdbKey,
+    query: name,
+    include_adult: false,
+  });
+  const url = `${TMDB_API_BASE}/search/person?${params.toString()}`;
+
+  logger.info("Making TMDB person search API call", {
+    url: url.replace(tmdbKey, "***"),
+    name,
+  });
+
+  const data = await fetchTmdbJson(url, "TMDB person search API call");
+
+  // Only accept close name matches, then prefer people known for the
+  // requested role, then the most popular namesake
+  const candidates = (data?.results || [])
+    .map((person) => ({
+      person,
+      similarity: titleSimilarity(name, person.name),
+      roleMatches:
+        role === "cast"
+          ? person.known_for_department === "Acting"
+          : person.known_for_department !== "Acting",
+    }))
+    .filter((candidate) => candidate.similarity >= 0.8)
+    .sort(
+      (a, b) =>
+        b.roleMatches - a.roleMatches ||
+        (b.person.popularity || 0) - (a.person.popularity || 0)
+    );
+
+  const person = candidates[0]
+    ? { id: candidates[0].person.id, name: candidates[0].person.name }
+    : null;
+
+  tmdbCache.set(cacheKey, {
+    timestamp: Date.now(),
+    data: person,
+  });
+
+  logger.info("TMDB person resolved", { name, role, person });
+
+  return person;
+}
+
+/**
+ * Fetches a person's movie or TV credits
+ * @param {number} personId - The TMDB person id
+ * @param {string} type - The content type (movie/series)
+ * @param {string} tmdbKey - The TMDB API key
+ * @param {string} language - The language for results
+ * @returns {Promise<{cast: Array, crew: Array}>}
+ */
+async function fetchTmdbPersonCredits(personId, type, tmdbKey, language) {
+  const creditsType = type === "movie" ? "movie_credits" : "tv_credits";
+  const cacheKey = `${creditsType}_${personId}_${language}`;
+
+  if (tmdbDetailsCache.has(cacheKey)) {
+    logger.debug("TMDB person credits cache hit", { cacheKey });
+    return tmdbDetailsCache.get(cacheKey).data;
+  }
+
+  const url = `${TMDB_API_BASE}/person/${personId}/${creditsType}?api_key=${tmdbKey}&language=${language}`;
+  const data = await fetchTmdbJson(url, "TMDB person credits API call");
+  const credits = { cast: data?.cast || [], crew: data?.crew || [] };
+
+  tmdbDetailsCache.set(cacheKey, {
+    timestamp: Date.now(),
+    data: credits,
+  });
+
+  return credits;
+}
+
+/**
+ * Turns a TMDB movie/tv result into the candidate format used by the catalog
+ * @param {Object} item - A TMDB result
+ * @param {string} type - The content type (movie/series)
+ * @returns {Object}
+ */
+function toTmdbCandidate(item, type) {
+  return {
+    name: item.title || item.name,
+    year: new Date(item.release_date || item.first_air_date).getFullYear(),
+    type,
+    id: `tmdb_${type}_${item.id}`,
+    tmdb_id: item.id,
+    overview: item.overview,
+    vote_average: item.vote_average,
+    vote_count: item.vote_count,
+    genres: item.genre_ids,
+  };
+}
+
+/**
+ * Turns a Trakt list item (watchlist, collection...) into the candidate format
+ * used by the catalog
+ * @param {Object} item - A Trakt list item with a movie or show
+ * @param {string} type - The content type (movie/series)
+ * @returns {Object|null}
+ */
+function toTraktCandidate(item, type) {
+  const media = item.movie || item.show;
+  if (!media?.title) return null;
+
+  return {
+    name: media.title,
+    year: media.year,
+    type,
+    id: media.ids?.tmdb
+      ? `tmdb_${type}_${media.ids.tmdb}`
+      : `trakt_${type}_${media.ids?.trakt}`,
+    tmdb_id: media.ids?.tmdb,
+    trakt_id: media.ids?.trakt,
+    overview: media.overview,
+    vote_average: media.rating,
+    vote_count: media.votes,
+    genres: media.genres,
+  };
+}
+
+/**
+ * Builds the candidate set for a person-centric query from real TMDB credits.
+ * Movies involving several people together use discover with_cast/with_crew,
+ * otherwise the people's credits are intersected ("all") or merged ("any").
+ * @param {Object} peopleQuery - The result of analyzeQueryForPeople
+ * @param {string} type - The content type (movie/series)
+ * @param {string} tmdbKey - The TMDB API key
+ * @param {string} language - The language for results
+ * @returns {Promise<Array>} - Released titles, most voted first
+ */
+async function fetchPersonCandidates(peopleQuery, type, tmdbKey, language) {
+  const resolved = (
+    await Promise.all(
+      peopleQuery.people.map(async (entry) => ({
+        ...entry,
+        person: await searchTmdbPerson(entry.name, entry.role, tmdbKey),
+      }))
+    )
+  ).filter((entry) => entry.person);
+
+  if (resolved.length === 0) {
+    return [];
+  }
+
+  const today = new Date().toISOString().split("T")[0];
+  const isReleased = (item) => {
+    const date = item.release_date || item.first_air_date;
+    return !!date && date <= today;
+  };
+
+  let candidates;
+
+  if (peopleQuery.match === "all" && resolved.length > 1 && type === "movie") {
+    const castIds = resolved
+      .filter((entry) => entry.role === "cast")
+      .map((entry) => entry.person.id);
+    const crewIds = resolved
+      .filter((entry) => entry.role === "crew")
+      .map((entry) => entry.person.id);
+
+    candidates = await fetchTmdbDiscover(
+      {
+        with_cast: castIds.length > 0 ? castIds.join(",") : undefined,
+        with_crew: crewIds.length > 0 ? crewIds.join(",") : undefined,
+        sort_by: "vote_count.desc",
+      },
+      type,
+      tmdbKey,
+      language,
+      MAX_PERSON_CANDIDATES
+    );
+  } else {
+    const creditSets = await Promise.all(
+      resolved.map(async (entry) => {
+        const credits = await fetchTmdbPersonCredits(
+          entry.person.id,
+          type,
+          tmdbKey,
+          language
+        );
+        const job = entry.job?.toLowerCase();
+        const items =
+          entry.role === "cast"
+            ? // Talk shows and documentaries list people as themselves
+              credits.cast.filter(
+                (item) => !/\b(self|himself|herself)\b/i.test(item.character)
+              )
+            : credits.crew.filter(
+                (item) => !job || item.job?.toLowerCase() === job
+              );
+        return new Map(items.filter(isReleased).map((item) => [item.id, item]));
+      })
+    );
 
-  if (data.queryAnalysisCache) {
-    results.queryAnalysisCache = queryAnalysisCache.deserialize(
-      data.queryAnalysisCache
+    const merged = new Map();
+    for (const creditSet of creditSets) {
+      for (const [id, item] of creditSet) {
+        const inAll = creditSets.every((set) => set.has(id));
+        if (peopleQuery.match !== "all" || inAll) {
+          merged.set(id, item);
+        }
+      }
+    }
+
+    candidates = [...merged.values()].map((item) =>
+      toTmdbCandidate(item, type)
     );
   }
 
-  // Restore the query counter if available
-  if (data.stats && typeof data.stats.queryCounter === "number") {
-    queryCounter = data.stats.queryCounter;
-    logger.info("Query counter restored from cache", {
-      totalQueries: queryCounter,
+  return candidates
+    .sort((a, b) => (b.vote_count || 0) - (a.vote_count || 0))
+    .slice(0, MAX_PERSON_CANDIDATES);
+}
+
+/**
+ * Lets the AI rank and filter a fixed candidate set. The AI can only choose
+ * from the list, so it can't invent titles.
+ * @param {string} query - The search query
+ * @param {string} type - The content type (movie/series)
+ * @param {Array} candidates - The candidates to choose from
+ * @param {Object} aiProvider - The AI provider created by createAIProvider
+ * @param {number} numResults - Maximum number of results
+ * @returns {Promise<Array>} - The selected candidates, best match first
+ */
+async function rankCandidatesWithAI(
+  query,
+  type,
+  candidates,
+  aiProvider,
+  numResults
+) {
+  const operationName = "Candidate ranking API call";
+  const promptText = [
+    `You are a ${type} recommendation expert. The user searched for: "${query}"`,
+    "",
+    `These are the only ${
+      type === "movie" ? "movies" : "series"
+    } you can choose from:`,
+    ...candidates.map(
+      (item, index) =>
+        `${index + 1}. ${item.name} (${item.year || "unknown year"}) - rating ${
+          item.vote_average ?? "n/a"
+        }/10 from ${item.vote_count ?? 0} votes`
+    ),
+    "",
+    "TASK:",
+    "- Select the items that best match the query, best match first",
+    "- Apply any qualifiers in the query (underrated, best, early work, genre, decade...) using the ratings and vote counts",
+    `- Select at most ${numResults} items`,
+    `- Return the numbers (1-${candidates.length}) of the selected items in "selected"`,
+  ].join("\n");
+
+  const schema = {
+    type: "object",
+    properties: {
+      selected: {
+        type: "array",
+        items: { type: "integer", minimum: 1, maximum: candidates.length },
+      },
+    },
+    required: ["selected"],
+  };
+
+  try {
+    let selected;
+    try {
+      selected = (
+        await aiProvider.generateJSON(promptText, schema, { operationName })
+      ).selected;
+    } catch (error) {
+      if (!error.isParseError || !Array.isArray(error.data?.selected)) {
+        throw error;
+      }
+      selected = filterValidItems(
+        error.data.selected,
+        schema.properties.selected.items,
+        operationName
+      );
+    }
+
+    const ranked = [...new Set(selected)]
+      .map((number) => candidates[number - 1])
+      .slice(0, numResults);
+
+    if (ranked.length > 0) {
+      return ranked;
+    }
+  } catch (error) {
+    logger.error("Candidate ranking error, using vote count order", {
+      error: error.message,
+      query,
     });
   }
 
-  return results;
+  return candidates.slice(0, numResults);
 }
 
 /**
- * Makes an AI call to determine the content type and genres for a recommendation query
- * @param {string} query - The user's search query
- * @param {string} geminiKey - The Gemini API key
- * @param {string} geminiModel - The Gemini model to use
- * @returns {Promise<{type: string, genres: string[]}>} - The discovered type and genres
+ * Uses the AI provider to find the seed titles of a "like X" query
+ * @param {string} query - The search query
+ * @param {Object} aiProvider - The AI provider created by createAIProvider
+ * @returns {Promise<{seeds: Array<{title: string, year?: number, type: string}>}|null>}
+ *   null when the query isn't a similarity query
  */
-async function discoverTypeAndGenres(query, geminiKey, geminiModel) {
-  const genAI = new GoogleGenerativeAI(geminiKey);
-  const model = genAI.getGenerativeModel({ model: geminiModel });
+async function analyzeQueryForSimilarity(query, aiProvider) {
+  // Only comparisons with titles, not "movies I'd like" or "something I'll like"
+  const similarityPatterns = [
+    /\b(similar to|vein of|reminds? me of|same vibe as|if i (liked|loved|enjoyed)|fans? of)\b/i,
+    /\b(movies|films|shows|series|something|anything|more)\s+like\b/i,
+    /\blike\s+["'\u201c]?[A-Z0-9]/,
+  ];
+  if (!similarityPatterns.some((pattern) => pattern.test(query))) {
+    return null;
+  }
 
-  const promptText = `
-Analyze this recommendation query: "${query}"
+  const cacheKey = `similar_${query.toLowerCase().trim()}`;
+  if (queryAnalysisCache.has(cacheKey)) {
+    logger.info("Similarity analysis cache hit", { cacheKey, query });
+    return queryAnalysisCache.get(cacheKey).data;
+  }
 
-Determine:
-1. What type of content is being requested (movie, series, or ambiguous)
-2. What genres are relevant to this query (be specific and use standard genre names)
+  const promptText = `Analyze this search query for movies or TV shows: "${query}"
 
-Respond in a single line with pipe-separated format:
-type|genre1,genre2,genre3
+Find the existing titles the user wants results similar to.
 
 Where:
-- type is one of: movie, series, ambiguous
-- genres are comma-separated without spaces or all if no specific genres are discovered in the query
+- seeds lists each title with its original release year when you know it and whether it is a movie or a series
+- seeds is an empty list when the query doesn't compare to specific titles (e.g. "movies like a fever dream")
 
 Examples:
-movie|action,thriller,sci-fi
-series|comedy,drama
-ambiguous|romance,comedy
-movie|all
-series|all
-ambiguous|all
-
-Do not include any explanatory text before or after your response. Just the single line.
-`;
+"Non-linear storytelling like Memento": {"seeds": [{"title": "Memento", "year": 2000, "type": "movie"}]}
+"Shows like Breaking Bad and Ozark": {"seeds": [{"title": "Breaking Bad", "year": 2008, "type": "series"}, {"title": "Ozark", "year": 2017, "type": "series"}]}
+"Movies that feel like a Black Mirror episode": {"seeds": [{"title": "Black Mirror", "year": 2011, "type": "series"}]}`;
+
+  const schema = {
+    type: "object",
+    properties: {
+      seeds: {
+        type: "array",
+        maxItems: 3,
+        items: {
+          type: "object",
+          properties: {
+            title: { type: "string", minLength: 1 },
+            year: { type: "integer" },
+            type: { type: "string", enum: ["movie", "series"] },
+          },
+          required: ["title", "type"],
+        },
+      },
+    },
+    required: ["seeds"],
+  };
 
   try {
-    logger.info("Making genre discovery API call", {
-      query,
-      model: geminiModel,
+    const result = await aiProvider.generateJSON(promptText, schema, {
+      operationName: "Similarity analysis API call",
     });
 
-    // Use withRetry for the Gemini API call
-    const text = await withRetry(
-      async () => {
-        try {
-          const aiResult = await model.generateContent(promptText);
-          const response = await aiResult.response;
-          const responseText = response.text().trim();
-
-          // Log successful response with more details
-          logger.info("Genre discovery API response", {
-            promptTokens: aiResult.promptFeedback?.tokenCount,
-            candidates: aiResult.candidates?.length,
-            safetyRatings: aiResult.candidates?.[0]?.safetyRatings,
-            responseTextLength: responseText.length,
-            responseTextSample: responseText,
-          });
+    const analysis = result.seeds.length > 0 ? result : null;
 
-          return responseText;
-        } catch (error) {
-          // Enhance error with status for retry logic
-          logger.error("Genre discovery API call failed", {
-            error: error.message,
-            status: error.httpStatus || 500,
-            stack: error.stack,
-          });
-          error.status = error.httpStatus || 500;
-          throw error;
-        }
-      },
-      {
-        maxRetries: 3,
-        initialDelay: 2000,
-        maxDelay: 10000,
-        // Don't retry 400 errors (bad requests)
-        shouldRetry: (error) => !error.status || error.status !== 400,
-        operationName: "Genre discovery API call",
-      }
-    );
+    logger.info("Similarity analysis complete", {
+      query,
+      seeds: result.seeds,
+    });
 
-    // Extract the first line in case there's multiple lines
-    const firstLine = text.split("\n")[0].trim();
+    queryAnalysisCache.set(cacheKey, {
+      timestamp: Date.now(),
+      data: analysis,
+    });
 
-    // Try to parse the pipe-separated format
-    try {
-      // Split by pipe to get type and genres
-      const parts = firstLine.split("|");
+    return analysis;
+  } catch (error) {
+    logger.error("Similarity analysis error", {
+      error: error.message,
+      query,
+    });
+    return null;
+  }
+}
 
-      if (parts.length !== 2) {
-        logger.error("Invalid format in genre discovery response", {
-          text: firstLine,
-          parts: parts.length,
-        });
-        return { type: "ambiguous", genres: [] };
-      }
+/**
+ * Fetches the first page of a TMDB title's /recommendations or /similar list
+ * @param {string} endpoint - "recommendations" or "similar"
+ * @param {string} searchType - The TMDB media type (movie/tv)
+ * @param {number} tmdbId - The TMDB id
+ * @param {string} tmdbKey - The TMDB API key
+ * @param {string} language - The language for results
+ * @returns {Promise<Array>} - The raw TMDB results
+ */
+async function fetchTmdbRelated(
+  endpoint,
+  searchType,
+  tmdbId,
+  tmdbKey,
+  language
+) {
+  const cacheKey = `${endpoint}_${searchType}_${tmdbId}_${language}`;
 
-      // Get type and normalize it
-      let type = parts[0].trim().toLowerCase();
-      if (type !== "movie" && type !== "series") {
-        type = "ambiguous";
-      }
+  if (tmdbDetailsCache.has(cacheKey)) {
+    logger.debug("TMDB related titles cache hit", { cacheKey });
+    return tmdbDetailsCache.get(cacheKey).data;
+  }
 
-      // Get genres
-      const genres = parts[1]
-        .split(",")
-        .map((g) => g.trim())
-        .filter((g) => g.length > 0 && g.toLowerCase() !== "ambiguous");
+  const url = `${TMDB_API_BASE}/${searchType}/${tmdbId}/${endpoint}?api_key=${tmdbKey}&language=${language}`;
 
-      // If the only genre is "all", clear the genres array to use all genres
-      if (genres.length === 1 && genres[0].toLowerCase() === "all") {
-        logger.info(
-          "'All' genres specified, will use all genres for recommendations",
-          {
-            query,
-            type,
-          }
-        );
-        return {
-          type: type,
-          genres: [],
-        };
-      }
+  try {
+    const data = await fetchTmdbJson(url, `TMDB ${endpoint} API call`);
+    const results = data?.results || [];
 
-      logger.info("Successfully parsed genre discovery response", {
-        type: type,
-        genresCount: genres.length,
-        genres: genres,
-      });
+    tmdbDetailsCache.set(cacheKey, {
+      timestamp: Date.now(),
+      data: results,
+    });
 
-      return {
-        type: type,
-        genres: genres,
-      };
-    } catch (error) {
-      logger.error("Failed to parse genre discovery response", {
-        error: error.message,
-        text: firstLine,
-        fullResponse: text,
-      });
-      return { type: "ambiguous", genres: [] };
-    }
+    return results;
   } catch (error) {
-    logger.error("Genre discovery API error", {
+    logger.error(`TMDB ${endpoint} fetch failed`, {
+      tmdbId,
+      searchType,
       error: error.message,
-      stack: error.stack,
     });
-    return { type: "ambiguous", genres: [] };
+    return [];
   }
 }
 
 /**
- * Filters Trakt data based on specified genres
- * @param {Object} traktData - The complete Trakt data
- * @param {string[]} genres - The genres to filter by
- * @returns {Object} - The filtered Trakt data
+ * Fetches the keyword ids of a TMDB title
+ * @param {string} searchType - The TMDB media type (movie/tv)
+ * @param {number} tmdbId - The TMDB id
+ * @param {string} tmdbKey - The TMDB API key
+ * @returns {Promise<number[]>}
  */
-function filterTraktDataByGenres(traktData, genres) {
-  if (!traktData || !genres || genres.length === 0) {
-    return {
-      recentlyWatched: [],
-      highlyRated: [],
-      lowRated: [],
-    };
+async function fetchTmdbKeywordIds(searchType, tmdbId, tmdbKey) {
+  const cacheKey = `keywords_${searchType}_${tmdbId}`;
+
+  if (tmdbDetailsCache.has(cacheKey)) {
+    logger.debug("TMDB keywords cache hit", { cacheKey });
+    return tmdbDetailsCache.get(cacheKey).data;
   }
 
-  const { watched, rated } = traktData;
-  const genreSet = new Set(genres.map((g) => g.toLowerCase()));
+  const url = `${TMDB_API_BASE}/${searchType}/${tmdbId}/keywords?api_key=${tmdbKey}`;
 
-  // Helper function to check if an item has any of the specified genres
-  const hasMatchingGenre = (item) => {
-    const media = item.movie || item.show;
-    if (!media || !media.genres || media.genres.length === 0) return false;
+  try {
+    const data = await fetchTmdbJson(url, "TMDB keywords API call");
+    // Movies return "keywords", tv shows return "results"
+    const ids = (data?.keywords || data?.results || []).map(
+      (keyword) => keyword.id
+    );
 
-    return media.genres.some((g) => genreSet.has(g.toLowerCase()));
-  };
+    tmdbDetailsCache.set(cacheKey, {
+      timestamp: Date.now(),
+      data: ids,
+    });
 
-  // Filter watched items by genre
-  const recentlyWatched = (watched || []).filter(hasMatchingGenre).slice(0, 25); // Last 25 watched in these genres
+    return ids;
+  } catch (error) {
+    logger.error("TMDB keywords fetch failed", {
+      tmdbId,
+      searchType,
+      error: error.message,
+    });
+    return [];
+  }
+}
 
-  // Filter highly rated items (4-5 stars)
-  const highlyRated = (rated || [])
-    .filter((item) => item.rating >= 4)
-    .filter(hasMatchingGenre)
-    .slice(0, 25); // Top 25 highly rated
+/**
+ * Builds the candidate pool of a similarity query. TMDB's recommendations and
+ * similar lists only exist within the same media type, so seeds of the other
+ * type contribute through their keywords only. Titles found by several
+ * sources rank higher in the pool.
+ * @param {Object} similarityQuery - The result of analyzeQueryForSimilarity
+ * @param {string} type - The requested content type (movie/series)
+ * @param {string} tmdbKey - The TMDB API key
+ * @param {string} language - The language for results
+ * @returns {Promise<{seeds: Array, candidates: Array}>}
+ */
+async function fetchSimilarCandidates(
+  similarityQuery,
+  type,
+  tmdbKey,
+  language
+) {
+  const searchType = type === "movie" ? "movie" : "tv";
 
-  // Filter low rated items (1-2 stars)
-  const lowRated = (rated || [])
-    .filter((item) => item.rating <= 2)
-    .filter(hasMatchingGenre)
-    .slice(0, 15); // Top 15 low rated
+  const seeds = (
+    await Promise.all(
+      similarityQuery.seeds.map(async (seed) => ({
+        ...seed,
+        tmdb: await searchTMDB(
+          seed.title,
+          seed.type,
+          seed.year,
+          tmdbKey,
+          language
+        ),
+      }))
+    )
+  ).filter((seed) => seed.tmdb?.tmdb_id);
 
-  return {
-    recentlyWatched,
-    highlyRated,
-    lowRated,
+  if (seeds.length === 0) {
+    return { seeds, candidates: [] };
+  }
+
+  const seedIds = new Set(
+    seeds.filter((seed) => seed.type === type).map((seed) => seed.tmdb.tmdb_id)
+  );
+  const pool = new Map();
+  const addToPool = (items, weight) => {
+    for (const item of items) {
+      if (seedIds.has(item.id)) continue;
+      const entry = pool.get(item.id) || { item, score: 0 };
+      entry.score += weight;
+      pool.set(item.id, entry);
+    }
   };
+
+  const sameTypeSeeds = seeds.filter((seed) => seed.type === type);
+  const relatedLists = await Promise.all(
+    sameTypeSeeds.flatMap((seed) => [
+      fetchTmdbRelated(
+        "recommendations",
+        searchType,
+        seed.tmdb.tmdb_id,
+        tmdbKey,
+        language
+      ).then((items) => ({ items, weight: 2 })),
+      fetchTmdbRelated(
+        "similar",
+        searchType,
+        seed.tmdb.tmdb_id,
+        tmdbKey,
+        language
+      ).then((items) => ({ items, weight: 1 })),
+    ])
+  );
+  relatedLists.forEach(({ items, weight }) => addToPool(items, weight));
+
+  // Keywords shared by several seeds describe what they have in common best;
+  // results must have all of the top ones, any single keyword is too loose
+  const keywordLists = await Promise.all(
+    seeds.map((seed) =>
+      fetchTmdbKeywordIds(
+        seed.type === "movie" ? "movie" : "tv",
+        seed.tmdb.tmdb_id,
+        tmdbKey
+      )
+    )
+  );
+  const keywordCounts = new Map();
+  keywordLists.flat().forEach((id) => {
+    keywordCounts.set(id, (keywordCounts.get(id) || 0) + 1);
+  });
+  const topKeywords = [...keywordCounts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 2)
+    .map(([id]) => id);
+
+  if (topKeywords.length > 0) {
+    const keywordResults = await fetchTmdbDiscover(
+      { with_keywords: topKeywords.join(","), sort_by: "vote_count.desc" },
+      type,
+      tmdbKey,
+      language,
+      MAX_SIMILAR_CANDIDATES
+    );
+    addToPool(
+      keywordResults.map((item) => ({ ...item, id: item.tmdb_id })),
+      1
+    );
+  }
+
+  const candidates = [...pool.values()]
+    .sort(
+      (a, b) =>
+        b.score - a.score || (b.item.vote_count || 0) - (a.item.vote_count || 0)
+    )
+    .slice(0, MAX_SIMILAR_CANDIDATES)
+    .map(({ item }) =>
+      item.tmdb_id
+        ? { ...item, id: `tmdb_${type}_${item.tmdb_id}` }
+        : toTmdbCandidate(item, type)
+    );
+
+  return { seeds, candidates };
 }
 
-// Function to increment and get the query counter
-function incrementQueryCounter() {
-  queryCounter++;
-  logger.info("Query counter incremented", { totalQueries: queryCounter });
-  return queryCounter;
+/**
+ * Strips the generic words from a franchise query ("Star Wars movies in
+ * chronological order" -> "star wars") so the rest can be looked up as a
+ * TMDB collection
+ * @param {string} query - The search query
+ * @returns {string} - The remaining words, or "" if nothing specific is left
+ */
+function extractFranchiseName(query) {
+  const genericWords = new Set([
+    "all",
+    "and",
+    "by",
+    "chronological",
+    "chronologically",
+    "collection",
+    "complete",
+    "date",
+    "entire",
+    "entries",
+    "every",
+    "film",
+    "films",
+    "franchise",
+    "full",
+    "in",
+    "including",
+    "list",
+    "movie",
+    "movies",
+    "of",
+    "order",
+    "ordered",
+    "prequels",
+    "release",
+    "released",
+    "saga",
+    "sequels",
+    "story",
+    "the",
+    "timeline",
+    "trilogy",
+    "universe",
+    "watch",
+  ]);
+
+  return normalizeTitle(query)
+    .split(" ")
+    .filter((word) => word && !genericWords.has(word))
+    .join(" ");
+}
+
+/**
+ * Detects whether a query asks for a whole franchise ("the Alien saga", "all
+ * Harry Potter movies", "Star Wars in order"), so ordinary searches don't
+ * get replaced by a collection or pay for the lookup
+ * @param {string} query - The search query
+ * @returns {boolean}
+ */
+function hasFranchiseIntent(query) {
+  const patterns = [
+    /\b(franchise|saga|trilogy|quadrilogy|chronolog\w*|in[- ]universe|timeline)\b/i,
+    /\b(all|every|each)\b.*\b(movies|films|entries|installments|instalments|parts)\b/i,
+    /\bin (\w+ )?order\b/i,
+  ];
+  return patterns.some((pattern) => pattern.test(query));
+}
+
+/**
+ * Detects whether a franchise query asks for the in-universe (story) order
+ * rather than the release order
+ * @param {string} query - The search query
+ * @returns {boolean}
+ */
+function wantsInUniverseOrder(query) {
+  const q = query.toLowerCase();
+  if (
+    /\b(release|released|releasing)\s*(order|date)|order of release/.test(q)
+  ) {
+    return false;
+  }
+  return /\b(chronolog\w*|in[- ]universe|story order|timeline order|events? order)\b/.test(
+    q
+  );
+}
+
+/**
+ * Finds the TMDB collection a franchise query is about
+ * @param {string} query - The search query
+ * @param {string} tmdbKey - The TMDB API key
+ * @param {string} language - The language for results
+ * @returns {Promise<{id: number, name: string, parts: Array}|null>}
+ */
+async function findTmdbCollection(query, tmdbKey, language) {
+  const franchiseName = extractFranchiseName(query);
+  if (!franchiseName) {
+    return null;
+  }
+
+  const searchCacheKey = `collection_search_${franchiseName}`;
+  let collectionId;
+
+  if (tmdbCache.has(searchCacheKey)) {
+    collectionId = tmdbCache.get(searchCacheKey).data;
+    logger.debug("TMDB collection search cache hit", {
+      searchCacheKey,
+      collectionId,
+    });
+  } else {
+    const params = new URLSearchParams({
+      api_key: tmdbKey,
+      query: franchiseName,
+    });
+    const data = await fetchTmdbJson(
+      `${TMDB_API_BASE}/search/collection?${params.toString()}`,
+      "TMDB collection search API call"
+    );
+
+    // Strip collection names the same way ("The Lord of the Rings Collection"
+    // -> "lord rings") before comparing
+    const match = (data?.results || [])
+      .map((collection) => ({
+        collection,
+        similarity: titleSimilarity(
+          franchiseName,
+          extractFranchiseName(collection.name)
+        ),
+      }))
+      .filter((candidate) => candidate.similarity >= 0.85)
+      .sort((a, b) => b.similarity - a.similarity)[0];
+
+    collectionId = match?.collection.id || null;
+    tmdbCache.set(searchCacheKey, {
+      timestamp: Date.now(),
+      data: collectionId,
+    });
+
+    logger.info("TMDB collection search", {
+      franchiseName,
+      collectionId,
+      collectionName: match?.collection.name,
+    });
+  }
+
+  if (!collectionId) {
+    return null;
+  }
+
+  const detailsCacheKey = `collection_${collectionId}_${language}`;
+  if (tmdbDetailsCache.has(detailsCacheKey)) {
+    return tmdbDetailsCache.get(detailsCacheKey).data;
+  }
+
+  const details = await fetchTmdbJson(
+    `${TMDB_API_BASE}/collection/${collectionId}?api_key=${tmdbKey}&language=${language}`,
+    "TMDB collection API call"
+  );
+  const collection = {
+    id: details.id,
+    name: details.name,
+    parts: details.parts || [],
+  };
+
+  tmdbDetailsCache.set(detailsCacheKey, {
+    timestamp: Date.now(),
+    data: collection,
+  });
+
+  return collection;
 }
 
-// Function to get the current query count
-function getQueryCount() {
-  return queryCounter;
+/**
+ * Orders the entries of a collection by in-universe chronology. TMDB only
+ * knows release dates, so the AI orders the given entries; anything it leaves
+ * out is appended in release order so no entry is lost.
+ * @param {Object} collection - The result of findTmdbCollection
+ * @param {Array} entries - The collection entries, in release order
+ * @param {Object} aiProvider - The AI provider created by createAIProvider
+ * @returns {Promise<Array>}
+ */
+async function orderCollectionInUniverse(collection, entries, aiProvider) {
+  const promptText = [
+    `Order the entries of ${collection.name} by in-universe chronology (the order the story takes place), not by release date.`,
+    "",
+    ...entries.map(
+      (item, index) => `${index + 1}. ${item.name} (${item.year})`
+    ),
+    "",
+    `Return the numbers (1-${entries.length}) of ALL entries in "order", earliest story events first.`,
+  ].join("\n");
+
+  const schema = {
+    type: "object",
+    properties: {
+      order: {
+        type: "array",
+        items: { type: "integer", minimum: 1, maximum: entries.length },
+      },
+    },
+    required: ["order"],
+  };
+
+  try {
+    const { order } = await aiProvider.generateJSON(promptText, schema, {
+      operationName: "Collection ordering API call",
+    });
+    const ordered = [...new Set(order)].map((number) => entries[number - 1]);
+    return ordered.concat(entries.filter((item) => !ordered.includes(item)));
+  } catch (error) {
+    logger.error("Collection ordering error, using release order", {
+      error: error.message,
+      collection: collection.name,
+    });
+    return entries;
+  }
 }
 
 /**
@@ -4464,15 +7484,284 @@ function isNewContentQuery(query) {
   return patterns.some((pattern) => pattern.test(q));
 }
 
+// TMDB has no network search endpoint, so the networks users ask about are
+// mapped by hand (keys are normalizeTitle output)
+const TMDB_NETWORKS = {
+  netflix: 213,
+  hbo: 49,
+  "hbo max": 3186,
+  amazon: 1024,
+  "prime video": 1024,
+  "amazon prime video": 1024,
+  hulu: 453,
+  disney: 2739,
+  "disney plus": 2739,
+  "disney channel": 54,
+  "apple tv": 2552,
+  "apple tv plus": 2552,
+  "paramount plus": 4330,
+  paramount: 4330,
+  peacock: 3353,
+  amc: 174,
+  fx: 88,
+  showtime: 67,
+  starz: 318,
+  abc: 2,
+  nbc: 6,
+  cbs: 16,
+  fox: 19,
+  cw: 71,
+  bbc: 4,
+  "bbc one": 4,
+  "bbc two": 332,
+  itv: 9,
+  "channel 4": 26,
+  "adult swim": 80,
+  "cartoon network": 56,
+  nickelodeon: 13,
+  "comedy central": 47,
+  syfy: 77,
+  "usa network": 30,
+  tnt: 41,
+  crunchyroll: 1112,
+};
+
+/**
+ * Looks up a TMDB company or keyword id by name
+ * @param {"company"|"keyword"} kind - What to search for
+ * @param {string} name - The company or keyword name
+ * @param {string} tmdbKey - The TMDB API key
+ * @returns {Promise<{id: number, name: string}|null>}
+ */
+async function searchTmdbDiscoverEntity(kind, name, tmdbKey) {
+  const normalizedName = normalizeTitle(name);
+  const cacheKey = `${kind}_search_${normalizedName}`;
+
+  if (tmdbCache.has(cacheKey)) {
+    logger.debug(`TMDB ${kind} cache hit`, { cacheKey });
+    return tmdbCache.get(cacheKey).data;
+  }
+
+  const params = new URLSearchParams({ api_key: tmdbKey, query: name });
+  const url = `${TMDB_API_BASE}/search/${kind}?${params.toString()}`;
+
+  logger.info(`Making TMDB ${kind} search API call`, {
+    url: url.replace(tmdbKey, "***"),
+    name,
+  });
+
+  const data = await fetchTmdbJson(url, `TMDB ${kind} search API call`);
+
+  // Prefer an exact name, then a name containing the one asked for
+  // ("Disney" -> "Walt Disney Pictures"), then a close spelling
+  const results = data?.results || [];
+  const containsName = (result) =>
+    ` ${normalizeTitle(result.name)} `.includes(` ${normalizedName} `);
+  const match =
+    results.find((result) => normalizeTitle(result.name) === normalizedName) ||
+    results.find(containsName) ||
+    results.find((result) => titleSimilarity(name, result.name) >= 0.8);
+
+  const entity = match ? { id: match.id, name: match.name } : null;
+
+  tmdbCache.set(cacheKey, {
+    timestamp: Date.now(),
+    data: entity,
+  });
+
+  logger.info(`TMDB ${kind} resolved`, { name, entity });
+
+  return entity;
+}
+
+/**
+ * Resolves company, network, keyword and streaming service names from the
+ * query analysis to TMDB discover parameters
+ * @param {Object} names - Name lists keyed by discover parameter (e.g. with_companies)
+ * @param {string} type - The content type (movie/series)
+ * @param {string} tmdbKey - The TMDB API key
+ * @returns {Promise<{params: Object, unresolved: string[]}>}
+ */
+async function resolveDiscoverEntities(names, type, tmdbKey) {
+  const params = {};
+  const unresolved = [];
+
+  await Promise.all(
+    Object.entries(names).map(async ([paramName, values]) => {
+      const ids = [];
+
+      for (const value of values) {
+        let id = null;
+        try {
+          if (paramName.endsWith("_networks")) {
+            id = TMDB_NETWORKS[normalizeTitle(value)] || null;
+          } else if (paramName === "with_watch_providers") {
+            id = (await resolveWatchProviderIds([value], type, tmdbKey)).ids[0];
+          } else {
+            const kind = paramName.endsWith("_companies")
+              ? "company"
+              : "keyword";
+            id = (await searchTmdbDiscoverEntity(kind, value, tmdbKey))?.id;
+          }
+        } catch (error) {
+          logger.error("TMDB discover entity lookup failed", {
+            paramName,
+            value,
+            error: error.message,
+          });
+        }
+
+        if (id) {
+          ids.push(id);
+        } else {
+          unresolved.push(value);
+        }
+      }
+
+      // Any of the included entities will do, none of the excluded may match
+      if (ids.length > 0) {
+        params[paramName] = [...new Set(ids)].join(
+          paramName.startsWith("without_") ? "," : "|"
+        );
+      }
+    })
+  );
+
+  return { params, unresolved };
+}
+
+/**
+ * Returns the watch provider region from the config, falling back to the
+ * country of the content language
+ * @param {Object} config - Decrypted addon configuration
+ * @returns {string} - ISO 3166-1 country code
+ */
+function getWatchRegion(config) {
+  if (/^[A-Z]{2}$/.test(config?.WatchRegion || "")) {
+    return config.WatchRegion;
+  }
+  const languageRegion = (config?.TmdbLanguage || "").split("-")[1];
+  return /^[A-Z]{2}$/.test(languageRegion || "") ? languageRegion : "US";
+}
+
+/**
+ * Returns the TMDB ids of the streaming services the user subscribes to
+ * @param {Object} config - Decrypted addon configuration
+ * @returns {number[]}
+ */
+function getSubscribedProviderIds(config) {
+  return (Array.isArray(config?.WatchProviders) ? config.WatchProviders : [])
+    .map((id) => parseInt(id))
+    .filter((id) => Number.isInteger(id) && id > 0);
+}
+
+/**
+ * Adds the watch region and the user's services to discover parameters that
+ * filter on watch providers
+ * @param {Object|null} params - The discover parameters from analyzeQueryForDiscover
+ * @param {Object} config - Decrypted addon configuration
+ * @returns {Object|null} - The parameters to pass to fetchTmdbDiscover
+ */
+function applyWatchProviderSettings(params, config) {
+  if (!params) return params;
+
+  const { _subscribedProviders, ...discoverParams } = params;
+  const subscribedIds = getSubscribedProviderIds(config);
+
+  // "on my services" in the query, or the config asks to only show what the
+  // user can stream
+  if (
+    !discoverParams.with_watch_providers &&
+    subscribedIds.length > 0 &&
+    (_subscribedProviders || config?.FilterWatchProviders)
+  ) {
+    discoverParams.with_watch_providers = subscribedIds.join("|");
+    if (!discoverParams.with_watch_monetization_types) {
+      discoverParams.with_watch_monetization_types = "flatrate|free|ads";
+    }
+  } else if (_subscribedProviders && subscribedIds.length === 0) {
+    logger.info("Query asks for the user's services but none are configured");
+  }
+
+  // TMDB ignores provider filters without a region
+  if (
+    discoverParams.with_watch_providers ||
+    discoverParams.with_watch_monetization_types
+  ) {
+    discoverParams.watch_region = getWatchRegion(config);
+  }
+
+  return discoverParams;
+}
+
+/**
+ * Looks up TMDB watch provider ids by service name
+ * @param {string[]} names - Service names (e.g. "Netflix", "Tubi")
+ * @param {string} type - The content type (movie/series)
+ * @param {string} tmdbKey - The TMDB API key
+ * @returns {Promise<{ids: number[], unresolved: string[]}>}
+ */
+async function resolveWatchProviderIds(names, type, tmdbKey) {
+  const searchType = type === "movie" ? "movie" : "tv";
+  const cacheKey = `watch_provider_list_${searchType}`;
+  let providers;
+
+  if (tmdbCache.has(cacheKey)) {
+    logger.debug("TMDB watch provider list cache hit", { cacheKey });
+    providers = tmdbCache.get(cacheKey).data;
+  } else {
+    const url = `${TMDB_API_BASE}/watch/providers/${searchType}?api_key=${tmdbKey}`;
+
+    logger.info("Making TMDB watch provider list API call", {
+      url: url.replace(tmdbKey, "***"),
+      type,
+    });
+
+    const data = await fetchTmdbJson(url, "TMDB watch provider list API call");
+    providers = (data?.results || [])
+      .sort((a, b) => (a.display_priority || 0) - (b.display_priority || 0))
+      .map((provider) => ({
+        id: provider.provider_id,
+        name: provider.provider_name,
+      }));
+
+    tmdbCache.set(cacheKey, {
+      timestamp: Date.now(),
+      data: providers,
+    });
+  }
+
+  const ids = [];
+  const unresolved = [];
+  for (const name of names) {
+    const normalizedName = normalizeTitle(name);
+    const provider =
+      providers.find(
+        (provider) => normalizeTitle(provider.name) === normalizedName
+      ) ||
+      providers.find((provider) =>
+        normalizeTitle(provider.name).startsWith(`${normalizedName} `)
+      );
+
+    if (provider) {
+      ids.push(provider.id);
+    } else {
+      unresolved.push(name);
+    }
+  }
+
+  return { ids: [...new Set(ids)], unresolved };
+}
+
 /**
- * Analyzes a query using Gemini to get structured TMDB discover parameters
+ * Analyzes a query using the AI provider to get structured TMDB discover parameters
  * @param {string} query - The search query
  * @param {string} type - The content type (movie/series)
- * @param {string} geminiKey - The Gemini API key
- * @param {string} geminiModel - The Gemini model to use
+ * @param {Object} aiProvider - The AI provider created by createAIProvider
+ * @param {string} tmdbKey - The TMDB API key, used to look up companies and keywords
  * @returns {Promise<Object>} - The structured parameters
  */
-async function analyzeQueryForDiscover(query, type, geminiKey, geminiModel) {
+async function analyzeQueryForDiscover(query, type, aiProvider, tmdbKey) {
   // Create a cache key
   const cacheKey = `${query}_${type}`;
 
@@ -4550,10 +7839,12 @@ async function analyzeQueryForDiscover(query, type, geminiKey, geminiModel) {
       : {}),
   };
 
-  // Check if we have sufficient genre information from extractGenreCriteria
+  // Check if we have sufficient genre information from extractGenreCriteria.
+  // Runtime, language, country and rating constraints need the AI analysis.
   if (
     genreCriteria &&
-    (genreCriteria.include.length > 0 || genreCriteria.exclude.length > 0)
+    (genreCriteria.include.length > 0 || genreCriteria.exclude.length > 0) &&
+    !hasDiscoverFilters(query)
   ) {
     const params = {};
 
@@ -4638,12 +7929,13 @@ async function analyzeQueryForDiscover(query, type, geminiKey, geminiModel) {
   }
 
   // If we don't have sufficient information from direct extraction, fall back to AI analysis
-  const genAI = new GoogleGenerativeAI(geminiKey);
-  const model = genAI.getGenerativeModel({ model: geminiModel });
-
   const currentDate = new Date();
   const oneYearAgo = new Date(currentDate);
   oneYearAgo.setFullYear(currentDate.getFullYear() - 1);
+  const dateField =
+    type === "movie" ? "primary_release_date.gte" : "first_air_date.gte";
+  const dateUpperField =
+    type === "movie" ? "primary_release_date.lte" : "first_air_date.lte";
 
   const promptText = `Analyze this query for ${
     type === "movie" ? "movies" : "TV shows"
@@ -4651,13 +7943,31 @@ async function analyzeQueryForDiscover(query, type, geminiKey, geminiModel) {
 
 Your task is to convert this query into TMDB discover API parameters.
 
-RESPONSE FORMAT:
-Use * as separator between parameters, in this exact order:
-${
-  type === "movie" ? "primary_release_date.gte" : "first_air_date.gte"
-}*with_genres*without_genres
+PARAMETERS:
+- ${dateField}: earliest release date
+- ${dateUpperField}: latest release date
+- with_genres: genre IDs the results must have
+- without_genres: genre IDs the results must not have
+- with_runtime.gte / with_runtime.lte: runtime bounds in minutes, as numbers
+- with_original_language: ISO 639-1 code of the original language ("Spanish language" -> "es")
+- with_origin_country: ISO 3166-1 code of the country it was made in ("Japanese films" -> "JP"), not where the story is set${
+    type === "movie"
+      ? `
+- certification or certification.lte: age rating, with certification_country the ISO 3166-1 code of the rating system (default "US": G, PG, PG-13, R, NC-17)`
+      : ""
+  }
+- with_companies / without_companies: NAMES of studios or production companies ("A24", "Pixar", "NOT by Disney" -> without_companies ["Disney"])${
+    type === "series"
+      ? `
+- with_networks: NAMES of TV networks or streaming services the show was made for ("Netflix originals" -> ["Netflix"], "HBO shows" -> ["HBO"]), not where it can be watched now`
+      : ""
+  }
+- with_keywords / without_keywords: short TMDB-style keywords for themes or plot elements the genres can't express ("someone fakes their own death" -> ["faked death"], "time loop" -> ["time loop"]), and for the place the story is set in ("set in Japan" -> ["japan"], "set in Paris" -> ["paris, france"])
+- with_watch_providers: NAMES of streaming services it must be available on now ("something on Netflix" -> ["Netflix"], "free on Tubi" -> ["Tubi"])
+- with_watch_monetization_types: how it must be available: "flatrate" (subscription), "free", "ads", "rent" or "buy" ("free on Tubi" -> ["free", "ads"])
+- my_services: true when the query asks for titles on the user's own services ("on my services", "something I can stream")
 
-IMPORTANT: Only include parameters that have actual values. Skip empty ones.
+IMPORTANT: Only include parameters that have actual values. Leave out empty ones.
 
 DATE HANDLING:
 Current date: ${currentDate.toISOString().split("T")[0]}
@@ -4669,9 +7979,9 @@ One year ago: ${oneYearAgo.toISOString().split("T")[0]}
    - "past year": Use ${oneYearAgo.toISOString().split("T")[0]}
 
 2. Specific Years:
-   - Single year (e.g., "2010"): Use YYYY-01-01
-   - Decade format 1 (e.g., "80s"): Use 1980-01-01
-   - Decade format 2 (e.g., "1990s"): Use 1990-01-01
+   - Single year (e.g., "2010"): Use YYYY-01-01 to YYYY-12-31
+   - Decade format 1 (e.g., "80s"): Use 1980-01-01 to 1989-12-31
+   - Decade format 2 (e.g., "1990s"): Use 1990-01-01 to 1999-12-31
 
 3. Relative Terms:
    - "modern/recent": Last 2-3 years
@@ -4679,8 +7989,8 @@ One year ago: ${oneYearAgo.toISOString().split("T")[0]}
    - "vintage": Use 1920-01-01
 
 4. Special Cases:
-   - "between X and Y": Use start date (YYYY-01-01)
-   - "pre-YYYY": Use 1900-01-01
+   - "between X and Y": Use X-01-01 to Y-12-31
+   - "pre-YYYY" or "before YYYY": Use (YYYY-1)-12-31 as the latest date
    - "post-YYYY": Use YYYY-01-01
 
 GENRE IDs:
@@ -4709,92 +8019,176 @@ EXAMPLES:
 ${
   type === "movie"
     ? `"latest mystery thrillers":
-${oneYearAgo.toISOString().split("T")[0]}*9648,53
+{"${dateField}": "${
+        oneYearAgo.toISOString().split("T")[0]
+      }", "with_genres": "9648,53"}
 
 "new action movies not horror":
-${oneYearAgo.toISOString().split("T")[0]}*28*27`
+{"${dateField}": "${
+        oneYearAgo.toISOString().split("T")[0]
+      }", "with_genres": "28", "without_genres": "27"}
+
+"PG comedies under 90 minutes from the 90s":
+{"${dateField}": "1990-01-01", "${dateUpperField}": "1999-12-31", "with_genres": "35", "with_runtime.lte": 90, "certification": "PG", "certification_country": "US"}
+
+"Spanish language thrillers":
+{"with_genres": "53", "with_original_language": "es"}
+
+"A24 horror movies not by Blumhouse":
+{"with_genres": "27", "with_companies": ["A24"], "without_companies": ["Blumhouse Productions"]}
+
+"movies where someone fakes their own death":
+{"with_keywords": ["faked death"]}
+
+"movies set in Japan":
+{"with_keywords": ["japan"]}
+
+"comedies on Netflix":
+{"with_genres": "35", "with_watch_providers": ["Netflix"]}`
     : `"latest drama series":
-${oneYearAgo.toISOString().split("T")[0]}*18
+{"${dateField}": "${
+        oneYearAgo.toISOString().split("T")[0]
+      }", "with_genres": "18"}
 
 "new reality shows":
-${oneYearAgo.toISOString().split("T")[0]}*10764
+{"${dateField}": "${
+        oneYearAgo.toISOString().split("T")[0]
+      }", "with_genres": "10764"}
 
 "current comedy series not reality":
-${oneYearAgo.toISOString().split("T")[0]}*35*10764`
-}
-
-Respond with ONLY the parameter string, no other text.`;
+{"${dateField}": "${
+        oneYearAgo.toISOString().split("T")[0]
+      }", "with_genres": "35", "without_genres": "10764"}
+
+"Korean dramas with short episodes":
+{"with_genres": "18", "with_origin_country": "KR", "with_runtime.lte": 40}
+
+"Netflix original documentaries":
+{"with_genres": "99", "with_networks": ["Netflix"]}
+
+"free crime shows on Tubi":
+{"with_genres": "80", "with_watch_providers": ["Tubi"], "with_watch_monetization_types": ["free", "ads"]}`
+}`;
+
+  const genreListPattern = "^\\d+([,|]\\d+)*$";
+  const datePattern = "^\\d{4}-\\d{2}-\\d{2}$";
+  const nameListSchema = {
+    type: "array",
+    items: { type: "string", minLength: 1 },
+    maxItems: 5,
+  };
+  const entityParams = [
+    "with_companies",
+    "without_companies",
+    ...(type === "series" ? ["with_networks"] : []),
+    "with_keywords",
+    "without_keywords",
+    "with_watch_providers",
+  ];
+  const schema = {
+    type: "object",
+    properties: {
+      [dateField]: { type: "string", pattern: datePattern },
+      [dateUpperField]: { type: "string", pattern: datePattern },
+      with_genres: { type: "string", pattern: genreListPattern },
+      without_genres: { type: "string", pattern: genreListPattern },
+      "with_runtime.gte": { type: "integer", minimum: 1, maximum: 600 },
+      "with_runtime.lte": { type: "integer", minimum: 1, maximum: 600 },
+      with_original_language: { type: "string", pattern: "^[a-z]{2}$" },
+      with_origin_country: { type: "string", pattern: "^[A-Z]{2}$" },
+      ...(type === "movie" && {
+        certification: { type: "string" },
+        "certification.lte": { type: "string" },
+        certification_country: { type: "string", pattern: "^[A-Z]{2}$" },
+      }),
+      ...Object.fromEntries(
+        entityParams.map((paramName) => [paramName, nameListSchema])
+      ),
+      with_watch_monetization_types: {
+        type: "array",
+        items: {
+          type: "string",
+          enum: ["flatrate", "free", "ads", "rent", "buy"],
+        },
+      },
+      my_services: { type: "boolean" },
+    },
+  };
 
   try {
     logger.info("Making query analysis API call (fallback)", {
       query,
       type,
-      model: geminiModel,
+      provider: aiProvider.name,
+      model: aiProvider.model,
       genreCriteria,
     });
 
-    // Use withRetry for the Gemini API call
-    const text = await withRetry(
-      async () => {
-        try {
-          const aiResult = await model.generateContent(promptText);
-          const response = await aiResult.response;
-          const responseText = response.text().trim();
-
-          logger.info("Query analysis API response", {
-            promptTokens: aiResult.promptFeedback?.tokenCount,
-            responseText,
-          });
+    const result = await aiProvider.generateJSON(promptText, schema, {
+      operationName: "Query analysis API call",
+    });
 
-          return responseText;
-        } catch (error) {
-          logger.error("Query analysis API call failed", {
-            error: error.message,
-            status: error.httpStatus || 500,
-          });
-          error.status = error.httpStatus || 500;
-          throw error;
+    // Only keep the parameters we asked for, and only when they have values
+    const analyzedParams = {};
+    const entityNames = {};
+    for (const paramName of Object.keys(schema.properties)) {
+      const value =
+        typeof result[paramName] === "string"
+          ? result[paramName].trim()
+          : result[paramName];
+      if (entityParams.includes(paramName)) {
+        if (value?.length > 0) {
+          entityNames[paramName] = value.map((name) => name.trim());
         }
-      },
-      {
-        maxRetries: 3,
-        initialDelay: 2000,
-        maxDelay: 10000,
-        shouldRetry: (error) => !error.status || error.status !== 400,
-        operationName: "Query analysis API call",
+      } else if (paramName === "my_services") {
+        // Filled in from the user's config by applyWatchProviderSettings
+        if (value === true) {
+          analyzedParams._subscribedProviders = true;
+        }
+      } else if (Array.isArray(value)) {
+        if (value.length > 0) {
+          analyzedParams[paramName] = [...new Set(value)].join("|");
+        }
+      } else if (value !== undefined && value !== null && value !== "") {
+        analyzedParams[paramName] = value;
       }
-    );
+    }
 
-    // Parse the response
-    const params = {};
-    const values = text.split("*").map((param) => param.trim());
-    const paramNames = [
-      `${type === "movie" ? "primary_release_date" : "first_air_date"}.gte`,
-      "with_genres",
-      "without_genres",
-    ];
+    // Companies, networks and keywords come back as names and need TMDB ids
+    if (Object.keys(entityNames).length > 0) {
+      const { params: entityIds, unresolved } = await resolveDiscoverEntities(
+        entityNames,
+        type,
+        tmdbKey
+      );
 
-    // Only add parameters that have actual values and clean them up
-    values.forEach((value, index) => {
-      if (value && value !== "") {
-        // Clean up the value by removing any parameter name prefixes
-        let cleanValue = value;
-        const paramName = paramNames[index];
+      if (unresolved.length > 0) {
+        logger.warn("Could not resolve discover names to TMDB ids", {
+          query,
+          unresolved,
+        });
+      }
 
-        // Check if the value starts with "paramName:" and remove it
-        if (cleanValue.startsWith(`${paramName}:`)) {
-          cleanValue = cleanValue.substring(paramName.length + 1).trim();
-        }
+      // Without the studio/network/theme the query asked for, discover
+      // would return unrelated titles
+      const requestedIncludes = Object.keys(entityNames).filter((paramName) =>
+        paramName.startsWith("with_")
+      );
+      if (
+        requestedIncludes.length > 0 &&
+        !requestedIncludes.some((paramName) => entityIds[paramName])
+      ) {
+        logger.info("No discover entities resolved, skipping TMDB discover", {
+          query,
+          entityNames,
+        });
+        return null;
+      }
 
-        // Also check if it starts with just the base name (without .gte/.lte)
-        const baseName = paramName.split(".")[0];
-        if (cleanValue.startsWith(`${baseName}:`)) {
-          cleanValue = cleanValue.substring(baseName.length + 1).trim();
-        }
+      Object.assign(analyzedParams, entityIds);
+    }
 
-        params[paramNames[index]] = cleanValue;
-      }
-    });
+    const params = validateDiscoverParams(analyzedParams, type);
 
     logger.debug("Final discover parameters (from AI)", {
       query,
@@ -4818,12 +8212,128 @@ Respond with ONLY the parameter string, no other text.`;
   }
 }
 
+/**
+ * Fetches one block of TMDB discover pages, starting at firstPage
+ * @param {string} endpoint - The discover endpoint
+ * @param {Object} baseParams - Query parameters, including the API key
+ * @param {number} firstPage - The first page to fetch
+ * @param {string} type - The content type (movie/series)
+ * @param {string} tmdbKey - The TMDB API key, masked in the logs
+ * @returns {Promise<{results: Array, lastPage: number, totalPages: number}>}
+ */
+async function fetchTmdbDiscoverPages(
+  endpoint,
+  baseParams,
+  firstPage,
+  type,
+  tmdbKey
+) {
+  let results = [];
+  let currentPage = firstPage;
+  let lastPage = firstPage;
+  let totalPages = 1;
+
+  do {
+    const queryParams = new URLSearchParams({
+      ...baseParams,
+      page: currentPage,
+    });
+
+    const url = `${endpoint}?${queryParams.toString()}`;
+
+    logger.info("Making TMDB discover API call", {
+      url: url.replace(tmdbKey, "***"),
+      params: {
+        ...baseParams,
+        api_key: "***", // Mask the API key
+        page: currentPage,
+      },
+      progress: `Page ${currentPage}/${lastPage}`,
+    });
+
+    const response = await withRetry(
+      async () => {
+        const res = await fetch(url);
+        if (!res.ok) {
+          const error = new Error(`TMDB discover API error: ${res.status}`);
+          error.status = res.status;
+          throw error;
+        }
+        return res.json();
+      },
+      {
+        maxRetries: 3,
+        initialDelay: 1000,
+        maxDelay: 8000,
+        operationName: "TMDB discover API call",
+      }
+    );
+
+    // Update total pages on first response
+    if (currentPage === firstPage) {
+      totalPages = response.total_pages || 0;
+      // Limit each block to DISCOVER_PAGES_PER_BLOCK pages (100 results) to avoid excessive API calls
+      lastPage = Math.min(
+        totalPages,
+        firstPage + DISCOVER_PAGES_PER_BLOCK - 1,
+        MAX_DISCOVER_PAGES
+      );
+    }
+
+    // Transform and add results
+    const transformedResults = (response.results || []).map((item) => ({
+      name: item.title || item.name,
+      year: new Date(item.release_date || item.first_air_date).getFullYear(),
+      type: type,
+      id: `tmdb_${type}_${item.id}`,
+      tmdb_id: item.id,
+      poster: item.poster_path
+        ? `https://image.tmdb.org/t/p/w500${item.poster_path}`
+        : null,
+      backdrop: item.backdrop_path
+        ? `https://image.tmdb.org/t/p/original${item.backdrop_path}`
+        : null,
+      overview: item.overview,
+      vote_average: item.vote_average,
+      vote_count: item.vote_count,
+      genres: item.genre_ids,
+    }));
+
+    results = results.concat(transformedResults);
+    currentPage++;
+  } while (currentPage <= lastPage);
+
+  return { results, lastPage: Math.max(firstPage, lastPage), totalPages };
+}
+
+/**
+ * Orders discover results for pagination. Each block of pages is shuffled on
+ * its own, so fetching more pages later doesn't move the items already served.
+ * @param {Array} results - All fetched results, in TMDB order
+ * @param {string} seed - The seed of the result set
+ * @returns {Array}
+ */
+function orderDiscoverResults(results, seed) {
+  const blockSize = DISCOVER_PAGES_PER_BLOCK * 20;
+  let ordered = [];
+  for (let start = 0; start < results.length; start += blockSize) {
+    ordered = ordered.concat(
+      seededShuffle(results.slice(start, start + blockSize), `${seed}_${start}`)
+    );
+  }
+  return ordered;
+}
+
 /**
  * Fetches content from TMDB discover API
  * @param {Object} params - The discover API parameters
  * @param {string} type - The content type (movie/series)
  * @param {string} tmdbKey - The TMDB API key
  * @param {string} language - The language for results
+ * @param {number} numResults - How many items to return
+ * @param {Object} options
+ * @param {string} [options.seed] - Shuffles the results in the stable order of this seed, otherwise they keep the TMDB order
+ * @param {number} [options.offset] - How many items of that order to skip (fetches more pages when needed)
  * @returns {Promise<Array>} - The discovered items
  */
 async function fetchTmdbDiscover(
@@ -4831,8 +8341,10 @@ async function fetchTmdbDiscover(
   type,
   tmdbKey,
   language = "en-US",
-  numResults = 20
+  numResults = 20,
+  options = {}
 ) {
+  const { seed, offset = 0 } = options;
   const searchType = type === "movie" ? "movie" : "tv";
   const endpoint = `${TMDB_API_BASE}/discover/${searchType}`;
 
@@ -4840,12 +8352,13 @@ async function fetchTmdbDiscover(
   const genres = params.with_genres || "any";
 
   // Get the release date from parameters
-  let releaseDate =
-    params["primary_release_date.gte"] ||
-    params["primary_release_date.lte"] ||
-    params["first_air_date.gte"] ||
-    params["first_air_date.lte"] ||
-    "any";
+  const releaseDateKey = [
+    "primary_release_date.gte",
+    "primary_release_date.lte",
+    "first_air_date.gte",
+    "first_air_date.lte",
+  ].find((key) => params[key]);
+  let releaseDate = releaseDateKey ? params[releaseDateKey] : "any";
 
   // Convert specific date to first day of month for cache key
   if (releaseDate !== "any" && /^\d{4}-\d{2}-\d{2}$/.test(releaseDate)) {
@@ -4855,44 +8368,33 @@ async function fetchTmdbDiscover(
     releaseDate = `${year}-${month}-01`;
   }
 
+  // Any other filters (people, sorting...) must be part of the key too
+  const otherParams = Object.entries(params)
+    .filter(
+      ([key, value]) =>
+        value !== undefined && key !== "with_genres" && key !== releaseDateKey
+    )
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join("&");
+
   // Create a more concise cache key
-  const cacheKey = `discover_${type}_${genres}_${releaseDate}_${language}`;
+  const cacheKey = `discover_${type}_${genres}_${releaseDate}_${language}${
+    otherParams ? `_${otherParams}` : ""
+  }`;
 
-  // Check cache first
+  let cached = null;
   if (tmdbDiscoverCache.has(cacheKey)) {
-    const cached = tmdbDiscoverCache.get(cacheKey);
+    cached = tmdbDiscoverCache.get(cacheKey);
     logger.info("TMDB discover cache hit", {
       cacheKey,
       type,
       cachedAt: new Date(cached.timestamp).toISOString(),
     });
-
-    // Randomly select items from the cached results to provide variety
-    const allCachedResults = cached.data;
-    if (allCachedResults.length > numResults) {
-      // Shuffle the array using Fisher-Yates algorithm
-      const shuffled = [...allCachedResults];
-      for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-      }
-
-      // Take the first numResults items from the shuffled array
-      const randomSelection = shuffled.slice(0, numResults);
-
-      logger.debug("Randomly selected items from cached results", {
-        totalCachedItems: allCachedResults.length,
-        selectedItems: numResults,
-      });
-
-      return randomSelection;
-    }
-
-    return cached.data;
+  } else {
+    logger.info("TMDB discover cache miss", { cacheKey, type });
   }
 
-  logger.info("TMDB discover cache miss", { cacheKey, type });
-
   try {
     // Filter out internal properties that shouldn't be sent to TMDB
     const filteredParams = Object.fromEntries(
@@ -4909,107 +8411,78 @@ async function fetchTmdbDiscover(
       ...filteredParams,
     };
 
-    let allResults = [];
-    let currentPage = 1;
-    let totalPages = 1;
-
-    do {
-      const queryParams = new URLSearchParams({
-        ...baseParams,
-        page: currentPage,
-      });
+    if (!cached) {
+      const { results, lastPage, totalPages } = await fetchTmdbDiscoverPages(
+        endpoint,
+        baseParams,
+        1,
+        type,
+        tmdbKey
+      );
 
-      const url = `${endpoint}?${queryParams.toString()}`;
+      // Cache the combined results
+      cached = {
+        timestamp: Date.now(),
+        data: results,
+        pages: lastPage,
+        totalPages,
+      };
+      tmdbDiscoverCache.set(cacheKey, cached);
 
-      logger.info("Making TMDB discover API call", {
-        url: url.replace(tmdbKey, "***"),
-        params: {
-          ...baseParams,
-          api_key: "***", // Mask the API key
-          page: currentPage,
-        },
-        progress: `Page ${currentPage}/${totalPages}`,
+      logger.debug("TMDB discover results cached", {
+        cacheKey,
+        resultsCount: results.length,
+        totalPages,
       });
+    }
 
-      const response = await withRetry(
-        async () => {
-          const res = await fetch(url);
-          if (!res.ok) {
-            const error = new Error(`TMDB discover API error: ${res.status}`);
-            error.status = res.status;
-            throw error;
-          }
-          return res.json();
-        },
-        {
-          maxRetries: 3,
-          initialDelay: 1000,
-          maxDelay: 8000,
-          operationName: "TMDB discover API call",
-        }
-      );
-
-      // Update total pages on first response
-      if (currentPage === 1) {
-        totalPages = Math.min(response.total_pages, 5); // Limit to 5 pages (100 results) to avoid excessive API calls
-      }
+    // Entries cached before pagination existed only hold the first block
+    let fetchedPages = cached.pages || Math.ceil(cached.data.length / 20) || 1;
+    const totalPages = Math.min(
+      cached.totalPages || fetchedPages,
+      MAX_DISCOVER_PAGES
+    );
 
-      // Transform and add results
-      const transformedResults = response.results.map((item) => ({
-        name: item.title || item.name,
-        year: new Date(item.release_date || item.first_air_date).getFullYear(),
-        type: type,
-        id: `tmdb_${type}_${item.id}`,
-        tmdb_id: item.id,
-        poster: item.poster_path
-          ? `https://image.tmdb.org/t/p/w500${item.poster_path}`
-          : null,
-        backdrop: item.backdrop_path
-          ? `https://image.tmdb.org/t/p/original${item.backdrop_path}`
-          : null,
-        overview: item.overview,
-        vote_average: item.vote_average,
-        vote_count: item.vote_count,
-        genres: item.genre_ids,
-      }));
+    while (
+      cached.data.length < offset + numResults &&
+      fetchedPages < totalPages
+    ) {
+      const { results, lastPage } = await fetchTmdbDiscoverPages(
+        endpoint,
+        baseParams,
+        fetchedPages + 1,
+        type,
+        tmdbKey
+      );
+      fetchedPages = lastPage;
+      cached = {
+        ...cached,
+        data: cached.data.concat(results),
+        pages: fetchedPages,
+      };
+      tmdbDiscoverCache.set(cacheKey, cached);
 
-      allResults = allResults.concat(transformedResults);
-      currentPage++;
-    } while (currentPage <= totalPages);
+      logger.debug("Fetched more TMDB discover pages", {
+        cacheKey,
+        resultsCount: cached.data.length,
+        fetchedPages,
+        totalPages,
+      });
+    }
 
-    // Cache the combined results
-    tmdbDiscoverCache.set(cacheKey, {
-      timestamp: Date.now(),
-      data: allResults,
-    });
+    const ordered =
+      seed !== undefined
+        ? orderDiscoverResults(cached.data, seed)
+        : cached.data;
 
-    logger.debug("TMDB discover results cached", {
-      cacheKey,
-      resultsCount: allResults.length,
-      totalPages,
+    logger.debug("Selected items from discover results", {
+      totalItems: cached.data.length,
+      selectedItems: numResults,
+      offset,
+      seed,
     });
 
-    // If we have more than numResults results, randomly select numResults to return
-    if (allResults.length > numResults) {
-      // Shuffle the array using Fisher-Yates algorithm
-      const shuffled = [...allResults];
-      for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-      }
-
-      // Take the first numResults items from the shuffled array
-      const randomSelection = shuffled.slice(0, numResults);
-
-      logger.debug("Randomly selected items from new results", {
-        totalItems: allResults.length,
-        selectedItems: numResults,
-      });
-
-      return randomSelection;
-    }
-
-    return allResults;
+    return ordered.slice(offset, offset + numResults);
   } catch (error) {
     logger.error("TMDB discover API Error:", {
       error: error.message,
@@ -5037,6 +8510,8 @@ module.exports = {
   builder,
   addonInterface,
   catalogHandler,
+  createPlaceholderCatalog,
+  saveResultsToTraktList,
   clearTmdbCache,
   clearTmdbDetailsCache,
   clearTmdbDiscoverCache,
@@ -0,0 +1,167 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const nodeFetch = require("node-fetch");
+
+// The provider clients call fetch through node-fetch, answered here instead
+const requests = [];
+let reply = () => ({ status: 200, body: {} });
+nodeFetch.default = async (url, options) => {
+  requests.push({ url, options, body: JSON.parse(options.body) });
+  const { status, body } = reply();
+  return {
+    ok: status < 400,
+    status,
+    statusText: "",
+    json: async () => body,
+  };
+};
+const {
+  createAIProvider,
+  getAIProviderName,
+  validateAIProviderConfig,
+} = require("../utils/aiProvider");
+const { getParseMetrics } = require("../utils/aiSchema");
+
+test.beforeEach(() => {
+  requests.length = 0;
+});
+
+const openAiConfig = {
+  AiProvider: "openai",
+  OpenAiApiKey: "sk-test",
+  OpenAiModel: "gpt-4o-mini",
+};
+
+test("selects the provider of the config, Gemini by default", () => {
+  assert.strictEqual(getAIProviderName({ AiProvider: "OpenAI" }), "openai");
+  assert.strictEqual(getAIProviderName({ AiProvider: "ollama" }), "ollama");
+  assert.strictEqual(getAIProviderName({ AiProvider: "other" }), "gemini");
+  assert.strictEqual(getAIProviderName({}), "gemini");
+});
+
+test("sends prompts to an OpenAI-compatible chat completions endpoint", async () => {
+  reply = () => ({
+    status: 200,
+    body: { choices: [{ message: { content: "  Inception  " } }] },
+  });
+  const provider = createAIProvider(openAiConfig);
+
+  assert.strictEqual(await provider.generateText("A film?"), "Inception");
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(
+    requests[0].url,
+    "https://api.openai.com/v1/chat/completions"
+  );
+  assert.strictEqual(
+    requests[0].options.headers.Authorization,
+    "Bearer sk-test"
+  );
+  assert.deepStrictEqual(requests[0].body.messages, [
+    { role: "user", content: "A film?" },
+  ]);
+});
+
+test("never calls a private base URL", async () => {
+  const config = {
+    AiProvider: "ollama",
+    OllamaBaseUrl: "http://169.254.169.254",
+  };
+  assert.match(validateAIProviderConfig(config), /must be a public address/);
+
+  await assert.rejects(createAIProvider(config).generateText("A film?"), {
+    status: 400,
+  });
+  assert.strictEqual(requests.length, 0);
+});
+
+test("does not relay what the server answered in errors", async () => {
+  reply = () => ({
+    status: 401,
+    body: { error: { message: "Internal detail from the server" } },
+  });
+
+  await assert.rejects(
+    createAIProvider(openAiConfig).generateText("A film?"),
+    (error) => {
+      assert.strictEqual(error.message, "Invalid openai API key");
+      assert.strictEqual(error.isInvalidKey, true);
+      return true;
+    }
+  );
+  // Authentication errors are not retried
+  assert.strictEqual(requests.length, 1);
+});
+
+const titlesSchema = {
+  type: "object",
+  properties: {
+    titles: {
+      type: "array",
+      items: { type: "string" },
+    },
+  },
+  required: ["titles"],
+};
+
+test("parses JSON responses wrapped in markdown", async () => {
+  reply = () => ({
+    status: 200,
+    body: {
+      choices: [
+        { message: { content: '```json\n{"titles": ["Inception"]}\n```' } },
+      ],
+    },
+  });
+  const provider = createAIProvider(openAiConfig);
+
+  assert.deepStrictEqual(
+    await provider.generateJSON("Films?", titlesSchema, {
+      operationName: "Parse test",
+    }),
+    { titles: ["Inception"] }
+  );
+  assert.deepStrictEqual(requests[0].body.response_format, {
+    type: "json_object",
+  });
+  assert.strictEqual(getParseMetrics().operations["Parse test"].parsed, 1);
+});
+
+test("asks again with the problems found after an invalid response", async () => {
+  const answers = ['{"titles": "Inception"}', '{"titles": ["Inception"]}'];
+  reply = () => ({
+    status: 200,
+    body: { choices: [{ message: { content: answers.shift() } }] },
+  });
+  const provider = createAIProvider(openAiConfig);
+
+  assert.deepStrictEqual(
+    await provider.generateJSON("Films?", titlesSchema, {
+      operationName: "Repair test",
+    }),
+    { titles: ["Inception"] }
+  );
+  assert.strictEqual(requests.length, 2);
+  assert.match(requests[1].body.messages[0].content, /Problems found:/);
+  assert.strictEqual(getParseMetrics().operations["Repair test"].repaired, 1);
+});
+
+test("fails with the validation errors when the repair is invalid too", async () => {
+  reply = () => ({
+    status: 200,
+    body: { choices: [{ message: { content: "Inception, Interstellar" } }] },
+  });
+  const provider = createAIProvider(openAiConfig);
+
+  await assert.rejects(
+    provider.generateJSON("Films?", titlesSchema, {
+      operationName: "Failure test",
+    }),
+    (error) => {
+      assert.strictEqual(error.isParseError, true);
+      assert.ok(error.validationErrors.length > 0);
+      return true;
+    }
+  );
+  assert.strictEqual(requests.length, 2);
+  assert.strictEqual(getParseMetrics().operations["Failure test"].failed, 1);
+});
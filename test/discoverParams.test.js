@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  hasDiscoverFilters,
+  validateDiscoverParams,
+} = require("../utils/discoverParams");
+
+test("keeps a valid certification together with a valid maximum", () => {
+  assert.deepStrictEqual(
+    validateDiscoverParams(
+      { certification: "PG", "certification.lte": "PG-13" },
+      "movie"
+    ),
+    {
+      certification: "PG",
+      "certification.lte": "PG-13",
+      certification_country: "US",
+    }
+  );
+});
+
+test("drops an invalid certification next to a valid maximum", () => {
+  assert.deepStrictEqual(
+    validateDiscoverParams(
+      { certification: "TV-MA", "certification.lte": "PG-13" },
+      "movie"
+    ),
+    { "certification.lte": "PG-13", certification_country: "US" }
+  );
+});
+
+test("drops an invalid maximum next to a valid certification", () => {
+  assert.deepStrictEqual(
+    validateDiscoverParams(
+      {
+        certification: "15",
+        "certification.lte": "PG-13",
+        certification_country: "GB",
+      },
+      "movie"
+    ),
+    { certification: "15", certification_country: "GB" }
+  );
+});
+
+test("drops a maximum below the exact certification", () => {
+  assert.deepStrictEqual(
+    validateDiscoverParams(
+      { certification: "R", "certification.lte": "PG" },
+      "movie"
+    ),
+    { certification: "R", certification_country: "US" }
+  );
+});
+
+test("drops both certifications when both are invalid", () => {
+  assert.deepStrictEqual(
+    validateDiscoverParams(
+      {
+        certification: "X",
+        "certification.lte": "Y",
+        certification_country: "US",
+        with_genres: "35",
+      },
+      "movie"
+    ),
+    { with_genres: "35" }
+  );
+});
+
+test("drops certifications for series", () => {
+  assert.deepStrictEqual(
+    validateDiscoverParams({ "certification.lte": "PG" }, "series"),
+    {}
+  );
+});
+
+test("sends only queries with discover constraints to discover", () => {
+  [
+    "movies under 90 minutes",
+    "Korean thrillers",
+    "films in Spanish",
+    "PG-13 comedies",
+    "R-rated horror",
+    "movies from A24",
+    "movies where someone fakes their own death",
+    "movies set in Japan",
+    "heist movies set in Paris",
+    "a thriller that takes place in Berlin",
+  ].forEach((query) => assert.ok(hasDiscoverFilters(query), query));
+
+  [
+    "sci-fi set in the future",
+    "the American dream",
+    "movies about body language",
+    "a thriller with a French spy",
+    "pg wodehouse adaptations",
+    "movies with great original scores",
+    "studio apartment horror",
+  ].forEach((query) => assert.ok(!hasDiscoverFilters(query), query));
+});
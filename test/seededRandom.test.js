@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  createSeededRandom,
+  hashSeed,
+  seededShuffle,
+} = require("../utils/seededRandom");
+
+const items = Array.from({ length: 20 }, (_, i) => i + 1);
+
+test("the same seed always gives the same order", () => {
+  const seed = hashSeed("90s teen comedies|config|2026-10-18");
+  const first = seededShuffle(items, seed);
+
+  assert.deepStrictEqual(seededShuffle(items, seed), first);
+  assert.notDeepStrictEqual(first, items);
+  assert.deepStrictEqual(
+    [...first].sort((a, b) => a - b),
+    items
+  );
+});
+
+test("another seed gives another order", () => {
+  assert.notDeepStrictEqual(
+    seededShuffle(items, "90s teen comedies|2026-10-18"),
+    seededShuffle(items, "90s teen comedies|2026-10-19")
+  );
+});
+
+test("leaves the input untouched", () => {
+  const input = [...items];
+  seededShuffle(input, "seed");
+  assert.deepStrictEqual(input, items);
+});
+
+test("string seeds are hashed, numbers used as they are", () => {
+  assert.strictEqual(hashSeed("abc"), hashSeed("abc"));
+  assert.notStrictEqual(hashSeed("abc"), hashSeed("abd"));
+
+  const fromString = createSeededRandom("abc");
+  const fromHash = createSeededRandom(hashSeed("abc"));
+  for (let i = 0; i < 5; i++) {
+    const value = fromString();
+    assert.strictEqual(value, fromHash());
+    assert.ok(value >= 0 && value < 1);
+  }
+});
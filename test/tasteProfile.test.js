@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  buildTasteProfile,
+  getMediaKey,
+  getTopWeightedTitles,
+  parseTraktPeople,
+} = require("../utils/tasteProfile");
+
+const now = Date.parse("2026-10-01T00:00:00.000Z");
+
+// As returned by /users/me/ratings/movies?extended=full: no cast or crew
+const inception = {
+  title: "Inception",
+  year: 2010,
+  ids: {
+    trakt: 16662,
+    slug: "inception-2010",
+    imdb: "tt1375666",
+    tmdb: 27205,
+  },
+  tagline: "Your mind is the scene of the crime.",
+  overview: "Cobb, a skilled thief who commits corporate espionage...",
+  released: "2010-07-16",
+  runtime: 148,
+  country: "us",
+  rating: 8.7,
+  votes: 120000,
+  language: "en",
+  genres: ["action", "science-fiction", "adventure"],
+  certification: "PG-13",
+};
+const catwoman = {
+  title: "Catwoman",
+  year: 2004,
+  ids: { trakt: 1044, slug: "catwoman-2004", imdb: "tt0327554", tmdb: 314 },
+  released: "2004-07-22",
+  runtime: 104,
+  genres: ["action", "crime", "fantasy"],
+};
+const rated = [
+  {
+    rated_at: "2026-09-20T21:14:02.000Z",
+    rating: 10,
+    type: "movie",
+    movie: inception,
+  },
+  {
+    rated_at: "2025-02-11T19:30:00.000Z",
+    rating: 2,
+    type: "movie",
+    movie: catwoman,
+  },
+];
+
+// As returned by /movies/16662/people
+const inceptionPeople = {
+  cast: [
+    {
+      characters: ["Dom Cobb"],
+      character: "Dom Cobb",
+      person: {
+        name: "Leonardo DiCaprio",
+        ids: { trakt: 11, slug: "leonardo-dicaprio", imdb: "nm0000138" },
+      },
+    },
+    {
+      characters: ["Arthur"],
+      character: "Arthur",
+      person: {
+        name: "Joseph Gordon-Levitt",
+        ids: { trakt: 12, slug: "joseph-gordon-levitt" },
+      },
+    },
+  ],
+  crew: {
+    directing: [
+      {
+        jobs: ["Director"],
+        job: "Director",
+        person: {
+          name: "Christopher Nolan",
+          ids: { trakt: 13, slug: "christopher-nolan" },
+        },
+      },
+    ],
+    writing: [
+      {
+        jobs: ["Screenplay"],
+        job: "Screenplay",
+        person: { name: "Christopher Nolan", ids: { trakt: 13 } },
+      },
+    ],
+  },
+};
+
+test("reads actors and directors from a Trakt people response", () => {
+  assert.deepStrictEqual(parseTraktPeople(inceptionPeople), {
+    actors: ["Leonardo DiCaprio", "Joseph Gordon-Levitt"],
+    directors: ["Christopher Nolan"],
+  });
+  assert.deepStrictEqual(parseTraktPeople(null), {
+    actors: [],
+    directors: [],
+  });
+});
+
+test("ranks titles by how much they weigh, liked or disliked", () => {
+  const titles = getTopWeightedTitles([], rated, [], { now });
+  assert.deepStrictEqual(
+    titles.map((title) => title.media.title),
+    ["Inception", "Catwoman"]
+  );
+  assert.ok(titles[1].score < 0);
+  assert.strictEqual(
+    getTopWeightedTitles([], rated, [], { now, limit: 1 }).length,
+    1
+  );
+});
+
+test("Trakt lists alone give no actors or directors", () => {
+  const profile = buildTasteProfile([], rated, [], { now });
+  assert.deepStrictEqual(profile.actors, { likes: [], dislikes: [] });
+  assert.deepStrictEqual(profile.directors, { likes: [], dislikes: [] });
+  assert.ok(profile.genres.likes.some((genre) => genre.name === "adventure"));
+});
+
+test("loaded credits add actors and directors to the profile", () => {
+  const credits = new Map([
+    [getMediaKey(inception), parseTraktPeople(inceptionPeople)],
+    [getMediaKey(catwoman), { actors: ["Halle Berry"], directors: ["Pitof"] }],
+  ]);
+  const profile = buildTasteProfile([], rated, [], { now, credits });
+
+  assert.deepStrictEqual(
+    profile.actors.likes.map((actor) => actor.name),
+    ["Leonardo DiCaprio", "Joseph Gordon-Levitt"]
+  );
+  assert.deepStrictEqual(
+    profile.directors.likes.map((director) => director.name),
+    ["Christopher Nolan"]
+  );
+  assert.deepStrictEqual(
+    profile.actors.dislikes.map((actor) => actor.name),
+    ["Halle Berry"]
+  );
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  MIN_TITLE_SCORE,
+  pickBestTmdbMatch,
+  titleSimilarity,
+} = require("../utils/titleMatch");
+
+const results = [
+  {
+    id: 27205,
+    title: "Inception",
+    original_title: "Inception",
+    release_date: "2010-07-15",
+    vote_count: 36000,
+  },
+  {
+    id: 157336,
+    title: "Interstellar",
+    original_title: "Interstellar",
+    release_date: "2014-11-05",
+    vote_count: 34000,
+  },
+];
+
+test("picks the result matching the title and year", () => {
+  const match = pickBestTmdbMatch(results, "Inception", 2010);
+  assert.strictEqual(match.result.id, 27205);
+  assert.strictEqual(match.titleScore, 1);
+});
+
+test("returns null for a made-up title, however popular the results", () => {
+  const title = "The Quantum Gardener's Lament";
+  results.forEach((result) =>
+    assert.ok(titleSimilarity(title, result.title) < MIN_TITLE_SCORE)
+  );
+
+  assert.strictEqual(pickBestTmdbMatch(results, title, 2003), null);
+  // The retry without a year must not accept them either
+  assert.strictEqual(pickBestTmdbMatch(results, title, null), null);
+});
+
+test("returns null without results", () => {
+  assert.strictEqual(pickBestTmdbMatch([], "Inception", 2010), null);
+  assert.strictEqual(pickBestTmdbMatch(undefined, "Inception", 2010), null);
+});
+
+test("falls back to TMDB's top result when only its year matches", () => {
+  // /search/movie?query=Spirited Away&language=de-DE matches the alternative
+  // English title, the German and original titles score too low
+  const germanResults = [
+    {
+      id: 129,
+      title: "Chihiros Reise ins Zauberland",
+      original_title: "千と千尋の神隠し",
+      release_date: "2001-07-20",
+      vote_count: 17000,
+    },
+  ];
+  assert.ok(
+    titleSimilarity("Spirited Away", germanResults[0].title) < MIN_TITLE_SCORE
+  );
+
+  const match = pickBestTmdbMatch(germanResults, "Spirited Away", 2001);
+  assert.strictEqual(match.result.id, 129);
+  assert.strictEqual(match.yearScore, 1);
+  assert.strictEqual(
+    pickBestTmdbMatch(germanResults, "Spirited Away", 1997),
+    null
+  );
+  assert.strictEqual(
+    pickBestTmdbMatch(germanResults, "Spirited Away", null),
+    null
+  );
+});
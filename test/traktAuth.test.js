@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const nodeFetch = require("node-fetch");
+
+// traktAuth calls fetch through node-fetch, answered here instead
+const requests = [];
+let reply = () => ({ status: 200, body: {} });
+nodeFetch.default = async (url, options) => {
+  requests.push({ url, body: JSON.parse(options.body) });
+  const { status, body } = reply();
+  return { ok: status < 400, status, json: async () => body };
+};
+const { TRAKT_API_BASE, refreshTraktToken } = require("../utils/traktAuth");
+
+test("exchanges the refresh token for new tokens", async () => {
+  const tokens = {
+    access_token: "new-access",
+    refresh_token: "new-refresh",
+    expires_in: 86400,
+  };
+  reply = () => ({ status: 200, body: tokens });
+
+  assert.deepStrictEqual(await refreshTraktToken("old-refresh"), tokens);
+  assert.strictEqual(requests[0].url, `${TRAKT_API_BASE}/oauth/token`);
+  assert.strictEqual(requests[0].body.refresh_token, "old-refresh");
+  assert.strictEqual(requests[0].body.grant_type, "refresh_token");
+});
+
+test("flags a rejected refresh token, but not an outage", async () => {
+  reply = () => ({ status: 401, body: { error: "invalid_grant" } });
+  await assert.rejects(refreshTraktToken("used-refresh"), {
+    status: 401,
+    isInvalidKey: true,
+  });
+
+  reply = () => ({ status: 503, body: {} });
+  await assert.rejects(refreshTraktToken("old-refresh"), {
+    status: 503,
+    isInvalidKey: false,
+  });
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  formatTraktListItems,
+  parseTraktListItems,
+} = require("../utils/traktLists");
+
+test("encodes the resolved ids of the metas that have an IMDb id", () => {
+  const metas = [
+    { id: "tt0111161", moviedb_id: 278 },
+    { id: "tt0068646", moviedb_id: 238, trakt_id: 1 },
+    { id: "tt0110912", trakt_id: 554 },
+    { id: "tt0468569" },
+    { id: "ai-placeholder:no_results" },
+  ];
+
+  assert.strictEqual(
+    formatTraktListItems(metas),
+    "tt0111161.278,tt0068646.238.1,tt0110912..554,tt0468569"
+  );
+});
+
+test("decodes the ids of a link", () => {
+  assert.deepStrictEqual(
+    parseTraktListItems(
+      "tt0111161.278,tt0068646.238.1,tt0110912..554,tt0468569"
+    ),
+    [
+      { imdb: "tt0111161", tmdb: 278 },
+      { imdb: "tt0068646", tmdb: 238, trakt: 1 },
+      { imdb: "tt0110912", trakt: 554 },
+      { imdb: "tt0468569" },
+    ]
+  );
+});
+
+test("skips malformed ids and caps the number of titles", () => {
+  assert.deepStrictEqual(parseTraktListItems("278,tt1.x,<script>,tt2"), [
+    { imdb: "tt2" },
+  ]);
+  assert.deepStrictEqual(parseTraktListItems(undefined), []);
+
+  const metas = Array.from({ length: 150 }, (_, i) => ({ id: `tt${i + 1}` }));
+  const items = formatTraktListItems(metas);
+  assert.strictEqual(items.split(",").length, 100);
+  assert.strictEqual(parseTraktListItems(`${items},${items}`).length, 100);
+});
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+process.env.ENCRYPTION_KEY =
+  process.env.ENCRYPTION_KEY || "0123456789abcdef0123456789abcdef";
+const {
+  loadTraktSnapshot,
+  saveTraktSnapshot,
+} = require("../utils/traktSnapshot");
+
+const key = `test_${process.pid}_movies`;
+// Where saveTraktSnapshot writes the snapshot of this key
+const snapshotPath = path.join(
+  __dirname,
+  "..",
+  "cache_data",
+  "trakt",
+  `${crypto.createHash("sha256").update(key).digest("hex")}.snapshot`
+);
+
+test.after(() => fs.rmSync(snapshotPath, { force: true }));
+
+test("saves an encrypted snapshot and loads it back", async () => {
+  const snapshot = {
+    timestamp: Date.now(),
+    data: {
+      watched: [{ movie: { title: "Inception", ids: { trakt: 16662 } } }],
+      rated: [],
+      history: [],
+    },
+  };
+  await saveTraktSnapshot(key, snapshot);
+
+  const saved = fs.readFileSync(snapshotPath, "utf8");
+  assert.ok(!saved.includes("Inception"));
+  assert.deepStrictEqual(await loadTraktSnapshot(key), snapshot);
+});
+
+test("ignores missing and expired snapshots", async () => {
+  assert.strictEqual(await loadTraktSnapshot(`${key}_missing`), null);
+
+  const expired = Date.now() - 31 * 24 * 60 * 60 * 1000;
+  await saveTraktSnapshot(key, { timestamp: expired, data: { watched: [] } });
+  assert.strictEqual(await loadTraktSnapshot(key), null);
+});
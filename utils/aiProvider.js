@@ -0,0 +1,439 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const fetch = require("node-fetch").default;
+const logger = require("./logger");
+const { withRetry } = require("./apiRetry");
+const { getBaseUrlError, getGuardedFetchOptions } = require("./baseUrlGuard");
+const {
+  buildJsonPrompt,
+  buildRepairPrompt,
+  parseStructuredResponse,
+  recordParseMetric,
+} = require("./aiSchema");
+
+const DEFAULT_AI_PROVIDER = "gemini";
+const DEFAULT_GEMINI_MODEL = "gemini-2.0-flash-lite";
+const DEFAULT_OPENAI_BASE_URL =
+  process.env.OPENAI_BASE_URL || "https://api.openai.com/v1";
+const DEFAULT_OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+// No default, the server's own localhost is not for users to call
+const DEFAULT_OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || null;
+const DEFAULT_OLLAMA_MODEL = process.env.OLLAMA_MODEL || "llama3.1";
+const AI_PROVIDERS = ["gemini", "openai", "ollama"];
+
+/**
+ * Builds an error carrying the HTTP status so withRetry can decide whether to retry
+ * @param {string} provider - Provider name
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function createProviderError(provider, status, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.provider = provider;
+  error.isRateLimit = status === 429;
+  error.isInvalidKey = status === 401 || status === 403;
+  return error;
+}
+
+/**
+ * Reads a non-ok HTTP response and turns it into a provider error. The body
+ * is only logged: the base URL can come from the user, so the message must
+ * not relay what the server answered.
+ * @param {string} provider - Provider name
+ * @param {Response} response - The fetch response
+ * @returns {Promise<Error>}
+ */
+async function errorFromResponse(provider, response) {
+  const errorData = await response.json().catch(() => ({}));
+  const detail =
+    errorData?.error?.message || errorData?.error || response.statusText || "";
+  logger.debug(`${provider} API error response`, {
+    status: response.status,
+    detail: String(detail).substring(0, 200),
+  });
+
+  let message;
+  if (response.status === 401 || response.status === 403) {
+    message = `Invalid ${provider} API key`;
+  } else if (response.status === 429) {
+    message = `${provider} API rate limit exceeded`;
+  } else {
+    message = `${provider} API error: ${response.status}`;
+  }
+
+  return createProviderError(provider, response.status, message);
+}
+
+/**
+ * Picks the base URL of a provider: the one in the user config, which must
+ * pass getBaseUrlError, or the server default from the environment
+ * @param {string} provider - Provider name
+ * @param {string} configUrl - The base URL from the user config
+ * @param {string|null} defaultUrl - The server default
+ * @returns {{baseUrl: string|null, fetchOptions: Object, error: Error|null}}
+ */
+function resolveBaseUrl(provider, configUrl, defaultUrl) {
+  const trimmed = (url) => (url ? url.trim().replace(/\/+$/, "") : null);
+  const baseUrl = trimmed(configUrl);
+
+  if (!baseUrl || baseUrl === trimmed(defaultUrl)) {
+    return {
+      baseUrl: trimmed(defaultUrl),
+      fetchOptions: {},
+      error: defaultUrl
+        ? null
+        : createProviderError(provider, 400, `No ${provider} server URL set`),
+    };
+  }
+
+  const problem = getBaseUrlError(baseUrl);
+  return {
+    baseUrl,
+    fetchOptions: problem ? {} : getGuardedFetchOptions(baseUrl),
+    error: problem
+      ? createProviderError(
+          provider,
+          400,
+          `The ${provider} server URL ${problem}`
+        )
+      : null,
+  };
+}
+
+/**
+ * Calls a provider API. Network errors are logged and replaced by a generic
+ * error, so callers can't use them to find out what listens on an address.
+ * @param {string} provider - Provider name
+ * @param {string} url - The url to call
+ * @param {Object} options - The fetch options
+ * @returns {Promise<Response>}
+ */
+async function providerFetch(provider, url, options) {
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    logger.warn(`${provider} API request failed`, {
+      error: error.message,
+      code: error.code,
+    });
+    throw createProviderError(
+      provider,
+      502,
+      `Could not reach the ${provider} server`
+    );
+  }
+}
+
+function createGeminiClient(config) {
+  const apiKey = config?.GeminiApiKey;
+  const model = config?.GeminiModel || DEFAULT_GEMINI_MODEL;
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel({ model });
+
+  return {
+    name: "gemini",
+    model,
+    // The SDK talks to the v1 API which has no JSON mode, so structured
+    // output relies on the prompt instructions alone
+    async complete(prompt) {
+      try {
+        const aiResult = await generativeModel.generateContent(prompt);
+        const response = await aiResult.response;
+        return response.text();
+      } catch (error) {
+        // The Gemini SDK exposes the HTTP status as httpStatus
+        error.status = error.httpStatus || error.status || 500;
+        error.provider = "gemini";
+        throw error;
+      }
+    },
+  };
+}
+
+function createOpenAiClient(config) {
+  const apiKey = config?.OpenAiApiKey;
+  const { baseUrl, fetchOptions, error } = resolveBaseUrl(
+    "openai",
+    config?.OpenAiBaseUrl,
+    DEFAULT_OPENAI_BASE_URL
+  );
+  const model = config?.OpenAiModel || DEFAULT_OPENAI_MODEL;
+
+  return {
+    name: "openai",
+    model,
+    baseUrl,
+    async complete(prompt, options = {}) {
+      if (error) throw error;
+
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const response = await providerFetch(
+        "openai",
+        `${baseUrl}/chat/completions`,
+        {
+          ...fetchOptions,
+          method: "POST",
+          headers,
+          body: JSON.stringify({
+            model,
+            messages: [{ role: "user", content: prompt }],
+            ...(options.json && { response_format: { type: "json_object" } }),
+          }),
+        }
+      );
+
+      if (!response.ok) {
+        throw await errorFromResponse("openai", response);
+      }
+
+      const data = await response.json();
+      return data?.choices?.[0]?.message?.content || "";
+    },
+  };
+}
+
+function createOllamaClient(config) {
+  const { baseUrl, fetchOptions, error } = resolveBaseUrl(
+    "ollama",
+    config?.OllamaBaseUrl,
+    DEFAULT_OLLAMA_BASE_URL
+  );
+  const model = config?.OllamaModel || DEFAULT_OLLAMA_MODEL;
+
+  return {
+    name: "ollama",
+    model,
+    baseUrl,
+    async complete(prompt, options = {}) {
+      if (error) throw error;
+
+      const response = await providerFetch(
+        "ollama",
+        `${baseUrl}/api/generate`,
+        {
+          ...fetchOptions,
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            model,
+            prompt,
+            stream: false,
+            ...(options.json && { format: "json" }),
+          }),
+        }
+      );
+
+      if (!response.ok) {
+        throw await errorFromResponse("ollama", response);
+      }
+
+      const data = await response.json();
+      return data?.response || "";
+    },
+  };
+}
+
+/**
+ * Returns the provider name selected in the user config
+ * @param {Object} config - Decrypted addon configuration
+ * @returns {"gemini"|"openai"|"ollama"}
+ */
+function getAIProviderName(config) {
+  const name = (config?.AiProvider || DEFAULT_AI_PROVIDER).toLowerCase();
+  return AI_PROVIDERS.includes(name) ? name : DEFAULT_AI_PROVIDER;
+}
+
+/**
+ * Checks that the config contains what the selected provider needs
+ * @param {Object} config - Decrypted addon configuration
+ * @returns {string|null} - A user facing error message, or null when valid
+ */
+function validateAIProviderConfig(config) {
+  const providerName = getAIProviderName(config);
+
+  if (providerName === "gemini") {
+    if (!config?.GeminiApiKey || config.GeminiApiKey.length < 10) {
+      return "Invalid Gemini API key. Please reconfigure the addon with a valid key.";
+    }
+  } else if (providerName === "openai") {
+    // Self-hosted OpenAI-compatible servers often run without a key
+    if (!config?.OpenAiApiKey && !config?.OpenAiBaseUrl) {
+      return "Missing OpenAI API key. Please reconfigure the addon with a valid key or a custom base URL.";
+    }
+    const problem = config?.OpenAiBaseUrl
+      ? getBaseUrlError(config.OpenAiBaseUrl)
+      : null;
+    if (problem) {
+      return `The OpenAI API base URL ${problem}. Please reconfigure the addon.`;
+    }
+  } else if (providerName === "ollama") {
+    if (!config?.OllamaBaseUrl && !DEFAULT_OLLAMA_BASE_URL) {
+      return "Missing Ollama server URL. Please reconfigure the addon with the URL of your Ollama server.";
+    }
+    const problem = config?.OllamaBaseUrl
+      ? getBaseUrlError(config.OllamaBaseUrl)
+      : null;
+    if (problem) {
+      return `The Ollama server URL ${problem}. Please reconfigure the addon.`;
+    }
+    if (config?.OllamaModel && !/^[\w.:/-]+$/.test(config.OllamaModel)) {
+      return "Invalid Ollama model name. Please reconfigure the addon.";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Creates the AI provider selected in the config.
+ * All providers share the same interface: generateText(prompt, options) resolves
+ * to the trimmed response text and applies the common retry/error handling,
+ * generateJSON(prompt, schema, options) resolves to a validated JSON value.
+ * @param {Object} config - Decrypted addon configuration
+ * @returns {{name: string, model: string, generateText: Function, generateJSON: Function}}
+ */
+function createAIProvider(config = {}) {
+  const providerName = getAIProviderName(config);
+  let client;
+
+  if (providerName === "openai") {
+    client = createOpenAiClient(config);
+  } else if (providerName === "ollama") {
+    client = createOllamaClient(config);
+  } else {
+    client = createGeminiClient(config);
+  }
+
+  /**
+   * Sends a prompt to the provider with retries
+   * @param {string} prompt - The prompt text
+   * @param {Object} options - Call options
+   * @param {string} options.operationName - Name used for logging (default: "AI API call")
+   * @param {number} options.maxRetries - Maximum retry attempts (default: 3)
+   * @param {boolean} options.json - Ask the provider for a JSON response where supported
+   * @returns {Promise<string>} - The response text
+   */
+  async function generateText(prompt, options = {}) {
+    const {
+      operationName = "AI API call",
+      maxRetries = 3,
+      json = false,
+    } = options;
+    const startTime = Date.now();
+
+    return withRetry(
+      async () => {
+        try {
+          const responseText = (
+            (await client.complete(prompt, { json })) || ""
+          ).trim();
+
+          logger.info(`${operationName} response`, {
+            provider: client.name,
+            model: client.model,
+            duration: `${Date.now() - startTime}ms`,
+            responseTextLength: responseText.length,
+            responseTextSample:
+              responseText.substring(0, 100) +
+              (responseText.length > 100 ? "..." : ""),
+          });
+
+          return responseText;
+        } catch (error) {
+          if (!error.status) {
+            // Network failures (e.g. an unreachable Ollama server) are retryable
+            error.status = 500;
+          }
+          logger.error(`${operationName} failed`, {
+            provider: client.name,
+            model: client.model,
+            error: error.message,
+            status: error.status,
+          });
+          throw error;
+        }
+      },
+      {
+        maxRetries,
+        initialDelay: 2000,
+        maxDelay: 10000,
+        // Don't retry bad requests or authentication errors
+        shouldRetry: (error) =>
+          !error.status || ![400, 401, 403, 404].includes(error.status),
+        operationName: `${operationName} (${client.name})`,
+      }
+    );
+  }
+
+  /**
+   * Sends a prompt that must be answered with JSON matching the schema.
+   * Malformed or invalid answers are sent back to the model with the problems
+   * found, up to maxRepairAttempts times.
+   * @param {string} prompt - The task prompt, without format instructions
+   * @param {Object} schema - JSON schema the response must match
+   * @param {Object} options - Call options
+   * @param {string} options.operationName - Name used for logging and metrics (default: "AI API call")
+   * @param {number} options.maxRepairAttempts - Re-asks after an invalid response (default: 1)
+   * @returns {Promise<*>} - The parsed and validated response
+   * @throws {Error} - With isParseError, validationErrors and, when the JSON parsed, data
+   */
+  async function generateJSON(prompt, schema, options = {}) {
+    const { operationName = "AI API call", maxRepairAttempts = 1 } = options;
+    let currentPrompt = buildJsonPrompt(prompt, schema);
+    let result;
+
+    for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+      const text = await generateText(currentPrompt, {
+        operationName,
+        json: true,
+      });
+      result = parseStructuredResponse(text, schema);
+
+      if (result.valid) {
+        recordParseMetric(operationName, attempt > 0 ? "repaired" : "parsed");
+        return result.data;
+      }
+
+      logger.warn(`${operationName} returned an invalid structured response`, {
+        provider: client.name,
+        model: client.model,
+        attempt: attempt + 1,
+        errors: result.errors.slice(0, 10),
+        responseTextSample: text.substring(0, 200),
+      });
+
+      currentPrompt = buildRepairPrompt(prompt, schema, text, result.errors);
+    }
+
+    recordParseMetric(operationName, "failed");
+
+    const error = new Error(
+      `${operationName} returned an invalid response: ${result.errors[0]}`
+    );
+    error.isParseError = true;
+    error.validationErrors = result.errors;
+    error.data = result.data;
+    throw error;
+  }
+
+  return {
+    name: client.name,
+    model: client.model,
+    generateText,
+    generateJSON,
+  };
+}
+
+module.exports = {
+  AI_PROVIDERS,
+  DEFAULT_AI_PROVIDER,
+  DEFAULT_GEMINI_MODEL,
+  createAIProvider,
+  getAIProviderName,
+  validateAIProviderConfig,
+};
@@ -0,0 +1,289 @@
+const logger = require("./logger");
+
+// Parse outcome counters, kept per operation so we can see which AI stage misbehaves
+const parseMetrics = {
+  since: Date.now(),
+  operations: {},
+};
+
+/**
+ * Records the outcome of parsing a structured AI response
+ * @param {string} operationName - The AI stage (e.g. "Recommendations API call")
+ * @param {"parsed"|"repaired"|"failed"|"invalidItems"} outcome - What happened
+ * @param {number} count - How much to add (default: 1)
+ */
+function recordParseMetric(operationName, outcome, count = 1) {
+  if (!count) return;
+
+  if (!parseMetrics.operations[operationName]) {
+    parseMetrics.operations[operationName] = {
+      parsed: 0,
+      repaired: 0,
+      failed: 0,
+      invalidItems: 0,
+      lastFailure: null,
+    };
+  }
+
+  const stats = parseMetrics.operations[operationName];
+  stats[outcome] += count;
+  if (outcome === "failed") {
+    stats.lastFailure = new Date().toISOString();
+  }
+}
+
+/**
+ * Returns a snapshot of the parse metrics with a failure rate per operation
+ * @returns {Object}
+ */
+function getParseMetrics() {
+  const operations = {};
+
+  for (const [name, stats] of Object.entries(parseMetrics.operations)) {
+    const total = stats.parsed + stats.repaired + stats.failed;
+    operations[name] = {
+      ...stats,
+      total,
+      failureRate:
+        total > 0 ? ((stats.failed / total) * 100).toFixed(2) + "%" : "0.00%",
+    };
+  }
+
+  return {
+    since: new Date(parseMetrics.since).toISOString(),
+    operations,
+  };
+}
+
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Validates a value against the subset of JSON Schema used by our prompts:
+ * type, properties, required, items, enum, minimum, maximum, minItems, maxItems,
+ * minLength and pattern.
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The schema
+ * @param {string} path - Path used in error messages (default: "$")
+ * @returns {string[]} - Validation errors, empty when valid
+ */
+function validateSchema(value, schema, path = "$") {
+  const errors = [];
+  if (!schema) return errors;
+
+  if (schema.type) {
+    const allowedTypes = Array.isArray(schema.type)
+      ? schema.type
+      : [schema.type];
+    const actualType = describeType(value);
+    const typeMatches = allowedTypes.some(
+      (type) =>
+        type === actualType || (type === "number" && actualType === "integer")
+    );
+
+    if (!typeMatches) {
+      errors.push(
+        `${path} should be ${allowedTypes.join(" or ")} but is ${actualType}`
+      );
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(
+        `${path} should have at least ${schema.minLength} characters`
+      );
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} should match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (describeType(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(
+      schema.properties || {}
+    )) {
+      if (value[key] !== undefined) {
+        errors.push(
+          ...validateSchema(value[key], propertySchema, `${path}.${key}`)
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Pulls the JSON document out of a model response. Models like to wrap JSON in
+ * markdown fences or add a sentence before it, so we look for the outermost
+ * object/array when the whole text doesn't parse.
+ * @param {string} text - The raw response text
+ * @returns {*} - The parsed value
+ * @throws {Error} - When no JSON can be found
+ */
+function extractJson(text) {
+  const trimmed = (text || "")
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "")
+    .trim();
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const start = trimmed.search(/[[{]/);
+    if (start === -1) {
+      throw new Error("Response does not contain JSON");
+    }
+
+    const closing = trimmed[start] === "{" ? "}" : "]";
+    const end = trimmed.lastIndexOf(closing);
+    if (end <= start) {
+      throw new Error("Response contains incomplete JSON");
+    }
+
+    return JSON.parse(trimmed.substring(start, end + 1));
+  }
+}
+
+/**
+ * Parses and validates a structured AI response
+ * @param {string} text - The raw response text
+ * @param {Object} schema - The expected JSON schema
+ * @returns {{valid: boolean, data: *, errors: string[]}}
+ */
+function parseStructuredResponse(text, schema) {
+  let data;
+  try {
+    data = extractJson(text);
+  } catch (error) {
+    return {
+      valid: false,
+      data: undefined,
+      errors: [`Invalid JSON: ${error.message}`],
+    };
+  }
+
+  const errors = validateSchema(data, schema);
+  return { valid: errors.length === 0, data, errors };
+}
+
+/**
+ * Appends the JSON output instructions to a prompt
+ * @param {string} prompt - The task prompt
+ * @param {Object} schema - The expected JSON schema
+ * @returns {string}
+ */
+function buildJsonPrompt(prompt, schema) {
+  return [
+    prompt,
+    "",
+    "OUTPUT FORMAT:",
+    "Respond with a single JSON document that matches this JSON schema:",
+    JSON.stringify(schema),
+    "Do not wrap the JSON in markdown and do not add any text before or after it.",
+  ].join("\n");
+}
+
+/**
+ * Builds the follow-up prompt asking the model to fix its previous answer
+ * @param {string} prompt - The original task prompt
+ * @param {Object} schema - The expected JSON schema
+ * @param {string} previousResponse - The malformed response
+ * @param {string[]} errors - What was wrong with it
+ * @returns {string}
+ */
+function buildRepairPrompt(prompt, schema, previousResponse, errors) {
+  return [
+    buildJsonPrompt(prompt, schema),
+    "",
+    "Your previous response could not be used:",
+    previousResponse.substring(0, 4000),
+    "",
+    "Problems found:",
+    ...errors.slice(0, 10).map((error) => `- ${error}`),
+    "",
+    "Return the corrected JSON document only.",
+  ].join("\n");
+}
+
+/**
+ * Keeps the array items that match the item schema and counts the rest as
+ * invalid, so one bad entry doesn't throw away the whole answer
+ * @param {Array} items - The items to check
+ * @param {Object} itemSchema - The schema each item must match
+ * @param {string} operationName - Used for metrics and logging
+ * @returns {Array} - The valid items
+ */
+function filterValidItems(items, itemSchema, operationName) {
+  if (!Array.isArray(items)) return [];
+
+  const validItems = [];
+  let invalidItems = 0;
+
+  items.forEach((item, index) => {
+    const errors = validateSchema(item, itemSchema, `$[${index}]`);
+    if (errors.length === 0) {
+      validItems.push(item);
+    } else {
+      invalidItems++;
+      logger.debug("Dropping invalid AI response item", {
+        operationName,
+        item,
+        errors,
+      });
+    }
+  });
+
+  recordParseMetric(operationName, "invalidItems", invalidItems);
+  return validItems;
+}
+
+module.exports = {
+  buildJsonPrompt,
+  buildRepairPrompt,
+  extractJson,
+  filterValidItems,
+  getParseMetrics,
+  parseStructuredResponse,
+  recordParseMetric,
+  validateSchema,
+};
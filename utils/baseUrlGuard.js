@@ -0,0 +1,190 @@
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+
+// Hosts users may point the AI providers at even when they are private,
+// e.g. "ollama.lan:11434,10.0.0.5" for a self-hosted instance
+const ALLOWED_HOSTS = (process.env.AI_BASE_URL_ALLOWLIST || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// First 96 bits of the IPv4-compatible, IPv4-mapped and NAT64 addresses
+const EMBEDDED_IPV4_PREFIXES = [
+  "0:0:0:0:0:0",
+  "0:0:0:0:0:ffff",
+  "64:ff9b:0:0:0:0",
+];
+
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b:1::", 48],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv6")
+);
+
+/**
+ * Returns the IPv4 address embedded in an IPv4-compatible (::7f00:1),
+ * IPv4-mapped (::ffff:127.0.0.1) or NAT64 (64:ff9b::7f00:1) IPv6 address
+ * @param {string} address - An IP address
+ * @returns {string|null} - The IPv4 address, or null when there is none
+ */
+function getEmbeddedIPv4(address) {
+  if (!net.isIPv6(address)) return null;
+
+  let text = address.toLowerCase();
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text =
+      text.slice(0, dotted.index) +
+      `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const groups = [
+    ...headGroups,
+    ...Array(
+      tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length
+    ).fill("0"),
+    ...tailGroups,
+  ].map((group) => parseInt(group, 16));
+
+  const prefix = groups
+    .slice(0, 6)
+    .map((group) => group.toString(16))
+    .join(":");
+  if (!EMBEDDED_IPV4_PREFIXES.includes(prefix)) {
+    return null;
+  }
+  return [
+    groups[6] >> 8,
+    groups[6] & 255,
+    groups[7] >> 8,
+    groups[7] & 255,
+  ].join(".");
+}
+
+/**
+ * Checks if an IP address is loopback, private, link-local or otherwise not
+ * a public internet address
+ * @param {string} address - An IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const ip = getEmbeddedIPv4(address) || address;
+  const family = net.isIP(ip);
+  if (!family) return true;
+  return blockedAddresses.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+function isAllowedHost(url) {
+  return (
+    ALLOWED_HOSTS.includes(url.host.toLowerCase()) ||
+    ALLOWED_HOSTS.includes(url.hostname.toLowerCase())
+  );
+}
+
+/**
+ * Checks a base URL entered by a user. Only the host name is checked here,
+ * the addresses it resolves to are checked when connecting.
+ * @param {string} value - The base URL
+ * @returns {string|null} - Why the URL can't be used, or null when it can
+ */
+function getBaseUrlError(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return "is not a valid URL";
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return "must start with http:// or https://";
+  }
+  if (url.username || url.password) {
+    return "must not contain credentials";
+  }
+  if (isAllowedHost(url)) {
+    return null;
+  }
+
+  const hostname = url.hostname
+    .replace(/^\[|\]$/g, "")
+    .replace(/\.$/, "")
+    .toLowerCase();
+  if (
+    hostname === "localhost" ||
+    hostname.endsWith(".localhost") ||
+    (net.isIP(hostname) && isPrivateAddress(hostname))
+  ) {
+    return "must be a public address";
+  }
+
+  return null;
+}
+
+// Resolves like dns.lookup, but fails for hosts with a private address, so a
+// public name can't point at the internal network
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+      const privateError = new Error(`${hostname} has a private address`);
+      privateError.code = "EPRIVATEADDRESS";
+      return callback(privateError);
+    }
+    callback(null, address, family);
+  });
+}
+
+const publicHttpAgent = new http.Agent({ lookup: publicLookup });
+const publicHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * Returns the fetch options for calling a base URL entered by a user:
+ * connections to private addresses fail, and redirects are not followed
+ * @param {string} baseUrl - The base URL
+ * @returns {Object} - Options to add to the fetch call
+ */
+function getGuardedFetchOptions(baseUrl) {
+  if (isAllowedHost(new URL(baseUrl))) {
+    return { redirect: "error" };
+  }
+  return {
+    redirect: "error",
+    agent: (url) =>
+      url.protocol === "http:" ? publicHttpAgent : publicHttpsAgent,
+  };
+}
+
+module.exports = {
+  isPrivateAddress,
+  getBaseUrlError,
+  getGuardedFetchOptions,
+};
@@ -0,0 +1,209 @@
+const logger = require("./logger");
+
+// Certifications TMDB knows for the countries users ask about most
+const TMDB_CERTIFICATIONS = {
+  US: ["NR", "G", "PG", "PG-13", "R", "NC-17"],
+  GB: ["U", "PG", "12A", "12", "15", "18", "R18"],
+  CA: ["G", "PG", "14A", "18A", "R", "A"],
+  AU: ["E", "G", "PG", "M", "MA15+", "R18+", "X18+"],
+  DE: ["0", "6", "12", "16", "18"],
+  FR: ["U", "10", "12", "16", "18"],
+  IN: ["U", "UA", "A", "S"],
+};
+
+const LANGUAGE_NAMES =
+  "english|spanish|french|german|italian|japanese|korean|mandarin|cantonese|chinese|hindi|portuguese|russian|swedish|danish|norwegian|finnish|turkish|arabic|persian|thai|polish";
+const NATIONALITIES =
+  "american|british|french|german|italian|spanish|japanese|korean|chinese|indian|mexican|brazilian|swedish|danish|norwegian|finnish|russian|turkish|thai|iranian|australian|canadian|irish|polish|nigerian|argentinian|argentine";
+
+/**
+ * Checks if a query mentions constraints only TMDB discover can enforce:
+ * runtime, language, country, age rating, a release date upper bound,
+ * a studio/network, a plot element, a setting or a streaming service
+ * @param {string} query - The search query
+ * @returns {boolean}
+ */
+function hasDiscoverFilters(query) {
+  const q = query.toLowerCase();
+  const patterns = [
+    // Runtime
+    /\b(under|less than|shorter than|over|more than|longer than|at least|at most|max(imum)?|min(imum)?)\s+\d+\s*(min(ute)?s?|h(ou)?rs?)\b/,
+    /\b\d+\s*(min(ute)?s?)\s+(long|or less|or more)\b/,
+    // Language: "in Korean", "Spanish-language films", "dubbed"
+    new RegExp(`\\b(in|spoken in|dubbed in)\\s+(${LANGUAGE_NAMES})\\b`),
+    new RegExp(`\\b(${LANGUAGE_NAMES}|foreign)[- ]language\\b`),
+    /\b(dubbed|subtitled)\b/,
+    // Country: where it was made
+    /\b(made|filmed|produced|shot)\s+in\b/,
+    new RegExp(
+      `\\b(${NATIONALITIES})\\s+(\\w+\\s+)?(movies?|films?|shows?|series|cinema|dramas?|comedies|thrillers?|horror|animation|documentar(y|ies))\\b`
+    ),
+    /\b(bollywood|nollywood)\b/,
+    // Certification
+    /\b(g|pg|pg-13|r|nc-17)[- ]rated\b/,
+    /\brated\s+(g|pg|pg-13|r|nc-17)\b/,
+    /\b(pg-13|nc-17)\b/,
+    /\b(family[- ]friendly|kid[- ]friendly|for kids|suitable for (kids|children))\b/,
+    // Release date upper bound
+    /\b(before|until|prior to|pre-?)\s*(19|20)\d{2}\b/,
+    /\bbetween\s+(19|20)\d{2}\s+and\s+(19|20)\d{2}\b/,
+    // Studio or network
+    /\bproduction compan(y|ies)\b/,
+    /\b(a24|pixar|dreamworks|ghibli|blumhouse|lucasfilm|illumination|laika|netflix|hbo|hulu|disney|prime video|apple tv|paramount|peacock|bbc|amc|showtime|starz|crunchyroll)\b/,
+    // Theme or plot element
+    /\b(movies?|films?|shows?|series)\s+(where|in which)\b/,
+    // Setting, matched with TMDB's location keywords
+    /\b(set|takes? place|taking place)\s+in\s+(?!the\s+(future|past)\b)\w/,
+    // Streaming availability
+    /\b(on|streaming on|available on)\s+my\s+(services|subscriptions|streaming)\b/,
+    /\bfree\s+(on|to stream|streaming)\b/,
+    /\b(tubi|pluto tv|mubi|kanopy|freevee|criterion channel)\b/,
+  ];
+
+  return patterns.some((pattern) => pattern.test(q));
+}
+
+/**
+ * Validates discover parameters produced by the query analysis and drops the
+ * ones TMDB would reject or that contradict each other
+ * @param {Object} params - The discover parameters
+ * @param {string} type - The content type (movie/series)
+ * @returns {Object} - The valid parameters
+ */
+function validateDiscoverParams(params, type) {
+  const valid = {};
+  const rejected = {};
+  const datePrefix =
+    type === "movie" ? "primary_release_date" : "first_air_date";
+  const isValidDate = (value) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+
+  for (const [key, value] of Object.entries(params)) {
+    let isValid;
+    switch (key) {
+      case "with_genres":
+      case "without_genres":
+      case "with_companies":
+      case "without_companies":
+      case "with_keywords":
+      case "without_keywords":
+        isValid = /^\d+([,|]\d+)*$/.test(value);
+        break;
+      case "with_networks":
+        // TMDB only supports networks when discovering TV shows
+        isValid = type === "series" && /^\d+([,|]\d+)*$/.test(value);
+        break;
+      case "with_watch_providers":
+        isValid = /^\d+([,|]\d+)*$/.test(value);
+        break;
+      case "with_watch_monetization_types":
+        isValid =
+          /^(flatrate|free|ads|rent|buy)(\|(flatrate|free|ads|rent|buy))*$/.test(
+            value
+          );
+        break;
+      case "watch_region":
+        isValid = /^[A-Z]{2}$/.test(value);
+        break;
+      case "_subscribedProviders":
+        isValid = value === true;
+        break;
+      case `${datePrefix}.gte`:
+      case `${datePrefix}.lte`:
+        isValid = isValidDate(value);
+        break;
+      case "with_runtime.gte":
+      case "with_runtime.lte":
+        isValid = Number.isInteger(value) && value > 0 && value <= 600;
+        break;
+      case "with_original_language":
+        isValid = /^[a-z]{2}$/.test(value);
+        break;
+      case "with_origin_country":
+        isValid = /^[A-Z]{2}$/.test(value);
+        break;
+      case "certification":
+      case "certification.lte":
+      case "certification_country":
+        // TMDB only supports certifications when discovering movies
+        isValid = type === "movie";
+        break;
+      default:
+        isValid = false;
+    }
+
+    if (isValid) {
+      valid[key] = value;
+    } else {
+      rejected[key] = value;
+    }
+  }
+
+  // Certifications need a country they belong to, and each one has to be a
+  // certification of that country
+  const country = valid.certification_country || "US";
+  const knownCertifications = TMDB_CERTIFICATIONS[country];
+  for (const key of ["certification", "certification.lte"]) {
+    if (valid[key] === undefined) continue;
+    if (
+      !/^[A-Z]{2}$/.test(country) ||
+      typeof valid[key] !== "string" ||
+      (knownCertifications && !knownCertifications.includes(valid[key]))
+    ) {
+      rejected[key] = valid[key];
+      delete valid[key];
+    }
+  }
+
+  // An exact certification above the maximum can't match anything
+  if (
+    knownCertifications &&
+    valid.certification !== undefined &&
+    valid["certification.lte"] !== undefined &&
+    knownCertifications.indexOf(valid.certification) >
+      knownCertifications.indexOf(valid["certification.lte"])
+  ) {
+    rejected["certification.lte"] = valid["certification.lte"];
+    delete valid["certification.lte"];
+  }
+
+  if (
+    valid.certification !== undefined ||
+    valid["certification.lte"] !== undefined
+  ) {
+    valid.certification_country = country;
+  } else if (valid.certification_country !== undefined) {
+    rejected.certification_country = valid.certification_country;
+    delete valid.certification_country;
+  }
+
+  // Drop ranges that can't match anything
+  for (const [gteKey, lteKey] of [
+    [`${datePrefix}.gte`, `${datePrefix}.lte`],
+    ["with_runtime.gte", "with_runtime.lte"],
+  ]) {
+    if (
+      valid[gteKey] !== undefined &&
+      valid[lteKey] !== undefined &&
+      valid[gteKey] > valid[lteKey]
+    ) {
+      rejected[lteKey] = valid[lteKey];
+      delete valid[lteKey];
+    }
+  }
+
+  if (Object.keys(rejected).length > 0) {
+    logger.warn("Dropped invalid discover parameters", {
+      type,
+      rejected,
+    });
+  }
+
+  return valid;
+}
+
+module.exports = {
+  TMDB_CERTIFICATIONS,
+  hasDiscoverFilters,
+  validateDiscoverParams,
+};
@@ -0,0 +1,505 @@
+// Placeholder metas shown in a catalog instead of an empty row, so users can
+// see why a search returned nothing and how to fix it
+const PLACEHOLDER_ID_PREFIX = "aisearch:message:";
+
+const PLACEHOLDER_KINDS = [
+  "missing_config",
+  "invalid_config",
+  "invalid_ai_key",
+  "invalid_tmdb_key",
+  "quota",
+  "intent_mismatch",
+  "no_results",
+  "error",
+  "trakt_reconnect",
+  "configure",
+];
+
+const MESSAGES = {
+  en: {
+    movie: "movies",
+    series: "series",
+    missing_config_title: "Addon not configured",
+    missing_config_description:
+      "This addon needs your API keys before it can search. Open the configuration page, enter your keys and install the addon again.",
+    invalid_config_title: "Configuration can't be read",
+    invalid_config_description:
+      "Your addon configuration is invalid or comes from an older version. Open the configuration page and install the addon again.",
+    invalid_ai_key_title: "AI API key rejected",
+    invalid_ai_key_description:
+      "Your AI provider ({provider}) rejected the API key. Check the key on the configuration page and install the addon again.",
+    invalid_tmdb_key_title: "TMDB API key rejected",
+    invalid_tmdb_key_description:
+      "TMDB rejected your API key. Check the key on the configuration page and install the addon again.",
+    quota_title: "AI quota used up",
+    quota_description:
+      "Your AI provider ({provider}) quota or rate limit has been reached. {reset}",
+    quota_reset_daily:
+      "The daily Gemini quota resets at midnight Pacific Time, in about {hours} h. You can also use another key.",
+    quota_reset_soon: "Try again in a few minutes, or use another key.",
+    intent_mismatch_title: "Looking for {other}?",
+    intent_mismatch_description:
+      'This search looks like it is for {other}, so there is nothing here. Check the {other} row, or change "Searches for One Content Type" on the configuration page.',
+    no_results_title: "No results",
+    no_results_description:
+      'Nothing matched "{query}". Try different words, fewer filters or a broader genre.',
+    error_title: "Something went wrong",
+    error_description:
+      "The search failed because of a temporary problem. Please try again in a moment.",
+    trakt_reconnect_title: "Reconnect Trakt",
+    trakt_reconnect_description:
+      "Your Trakt.tv login expired and could not be renewed, so results are not personalized. Log in with Trakt.tv again on the configuration page and install the addon again.",
+    configure_title: "Open configuration",
+    configure_description:
+      "Open the link of this item to update your addon configuration.",
+    configure_link: "Configure addon",
+  },
+  es: {
+    movie: "películas",
+    series: "series",
+    missing_config_title: "Addon sin configurar",
+    missing_config_description:
+      "Este addon necesita tus claves de API para buscar. Abre la página de configuración, introduce tus claves y vuelve a instalar el addon.",
+    invalid_config_title: "No se puede leer la configuración",
+    invalid_config_description:
+      "La configuración del addon no es válida o es de una versión anterior. Abre la página de configuración y vuelve a instalar el addon.",
+    invalid_ai_key_title: "Clave de API de IA rechazada",
+    invalid_ai_key_description:
+      "Tu proveedor de IA ({provider}) ha rechazado la clave de API. Revísala en la página de configuración y vuelve a instalar el addon.",
+    invalid_tmdb_key_title: "Clave de API de TMDB rechazada",
+    invalid_tmdb_key_description:
+      "TMDB ha rechazado tu clave de API. Revísala en la página de configuración y vuelve a instalar el addon.",
+    quota_title: "Cuota de IA agotada",
+    quota_description:
+      "Se ha alcanzado la cuota o el límite de peticiones de tu proveedor de IA ({provider}). {reset}",
+    quota_reset_daily:
+      "La cuota diaria de Gemini se renueva a medianoche, hora del Pacífico, dentro de unas {hours} h. También puedes usar otra clave.",
+    quota_reset_soon: "Vuelve a intentarlo en unos minutos o usa otra clave.",
+    intent_mismatch_title: "¿Buscas {other}?",
+    intent_mismatch_description:
+      'Esta búsqueda parece ser de {other}, así que aquí no hay nada. Mira la fila de {other} o cambia "Searches for One Content Type" en la página de configuración.',
+    no_results_title: "Sin resultados",
+    no_results_description:
+      'Nada coincide con "{query}". Prueba con otras palabras, menos filtros o un género más amplio.',
+    error_title: "Algo ha fallado",
+    error_description:
+      "La búsqueda ha fallado por un problema temporal. Vuelve a intentarlo en un momento.",
+    trakt_reconnect_title: "Vuelve a conectar Trakt",
+    trakt_reconnect_description:
+      "Tu sesión de Trakt.tv ha caducado y no se ha podido renovar, así que los resultados no están personalizados. Vuelve a iniciar sesión con Trakt.tv en la página de configuración y vuelve a instalar el addon.",
+    configure_title: "Abrir configuración",
+    configure_description:
+      "Abre el enlace de este elemento para actualizar la configuración del addon.",
+    configure_link: "Configurar addon",
+  },
+  fr: {
+    movie: "films",
+    series: "séries",
+    missing_config_title: "Addon non configuré",
+    missing_config_description:
+      "Cet addon a besoin de vos clés d'API pour rechercher. Ouvrez la page de configuration, saisissez vos clés et réinstallez l'addon.",
+    invalid_config_title: "Configuration illisible",
+    invalid_config_description:
+      "La configuration de l'addon est invalide ou provient d'une ancienne version. Ouvrez la page de configuration et réinstallez l'addon.",
+    invalid_ai_key_title: "Clé d'API IA refusée",
+    invalid_ai_key_description:
+      "Votre fournisseur d'IA ({provider}) a refusé la clé d'API. Vérifiez-la sur la page de configuration et réinstallez l'addon.",
+    invalid_tmdb_key_title: "Clé d'API TMDB refusée",
+    invalid_tmdb_key_description:
+      "TMDB a refusé votre clé d'API. Vérifiez-la sur la page de configuration et réinstallez l'addon.",
+    quota_title: "Quota IA épuisé",
+    quota_description:
+      "Le quota ou la limite de requêtes de votre fournisseur d'IA ({provider}) est atteint. {reset}",
+    quota_reset_daily:
+      "Le quota quotidien de Gemini est réinitialisé à minuit, heure du Pacifique, dans environ {hours} h. Vous pouvez aussi utiliser une autre clé.",
+    quota_reset_soon:
+      "Réessayez dans quelques minutes ou utilisez une autre clé.",
+    intent_mismatch_title: "Vous cherchez des {other} ?",
+    intent_mismatch_description:
+      'Cette recherche semble concerner des {other}, il n\'y a donc rien ici. Regardez la ligne des {other} ou modifiez "Searches for One Content Type" sur la page de configuration.',
+    no_results_title: "Aucun résultat",
+    no_results_description:
+      "Rien ne correspond à « {query} ». Essayez d'autres mots, moins de filtres ou un genre plus large.",
+    error_title: "Une erreur est survenue",
+    error_description:
+      "La recherche a échoué à cause d'un problème temporaire. Réessayez dans un instant.",
+    trakt_reconnect_title: "Reconnectez Trakt",
+    trakt_reconnect_description:
+      "Votre connexion Trakt.tv a expiré et n'a pas pu être renouvelée, les résultats ne sont donc pas personnalisés. Reconnectez-vous à Trakt.tv sur la page de configuration et réinstallez l'addon.",
+    configure_title: "Ouvrir la configuration",
+    configure_description:
+      "Ouvrez le lien de cet élément pour mettre à jour la configuration de l'addon.",
+    configure_link: "Configurer l'addon",
+  },
+  de: {
+    movie: "Filme",
+    series: "Serien",
+    missing_config_title: "Addon nicht eingerichtet",
+    missing_config_description:
+      "Dieses Addon braucht deine API-Schlüssel, um zu suchen. Öffne die Konfigurationsseite, gib deine Schlüssel ein und installiere das Addon erneut.",
+    invalid_config_title: "Konfiguration nicht lesbar",
+    invalid_config_description:
+      "Deine Addon-Konfiguration ist ungültig oder stammt aus einer älteren Version. Öffne die Konfigurationsseite und installiere das Addon erneut.",
+    invalid_ai_key_title: "KI-API-Schlüssel abgelehnt",
+    invalid_ai_key_description:
+      "Dein KI-Anbieter ({provider}) hat den API-Schlüssel abgelehnt. Prüfe ihn auf der Konfigurationsseite und installiere das Addon erneut.",
+    invalid_tmdb_key_title: "TMDB-API-Schlüssel abgelehnt",
+    invalid_tmdb_key_description:
+      "TMDB hat deinen API-Schlüssel abgelehnt. Prüfe ihn auf der Konfigurationsseite und installiere das Addon erneut.",
+    quota_title: "KI-Kontingent aufgebraucht",
+    quota_description:
+      "Das Kontingent oder Anfragelimit deines KI-Anbieters ({provider}) ist erreicht. {reset}",
+    quota_reset_daily:
+      "Das tägliche Gemini-Kontingent wird um Mitternacht pazifischer Zeit zurückgesetzt, in etwa {hours} Std. Du kannst auch einen anderen Schlüssel verwenden.",
+    quota_reset_soon:
+      "Versuche es in ein paar Minuten erneut oder verwende einen anderen Schlüssel.",
+    intent_mismatch_title: "Suchst du {other}?",
+    intent_mismatch_description:
+      'Diese Suche scheint nach {other} zu fragen, deshalb gibt es hier nichts. Sieh in der Reihe {other} nach oder ändere "Searches for One Content Type" auf der Konfigurationsseite.',
+    no_results_title: "Keine Ergebnisse",
+    no_results_description:
+      "Nichts passt zu „{query}“. Versuche andere Wörter, weniger Filter oder ein breiteres Genre.",
+    error_title: "Etwas ist schiefgelaufen",
+    error_description:
+      "Die Suche ist wegen eines vorübergehenden Problems fehlgeschlagen. Bitte versuche es gleich noch einmal.",
+    trakt_reconnect_title: "Trakt neu verbinden",
+    trakt_reconnect_description:
+      "Deine Trakt.tv-Anmeldung ist abgelaufen und konnte nicht erneuert werden, daher sind die Ergebnisse nicht personalisiert. Melde dich auf der Konfigurationsseite erneut bei Trakt.tv an und installiere das Addon neu.",
+    configure_title: "Konfiguration öffnen",
+    configure_description:
+      "Öffne den Link dieses Eintrags, um deine Addon-Konfiguration zu ändern.",
+    configure_link: "Addon konfigurieren",
+  },
+  it: {
+    movie: "film",
+    series: "serie",
+    missing_config_title: "Addon non configurato",
+    missing_config_description:
+      "Questo addon ha bisogno delle tue chiavi API per cercare. Apri la pagina di configurazione, inserisci le chiavi e reinstalla l'addon.",
+    invalid_config_title: "Configurazione non leggibile",
+    invalid_config_description:
+      "La configurazione dell'addon non è valida o proviene da una versione precedente. Apri la pagina di configurazione e reinstalla l'addon.",
+    invalid_ai_key_title: "Chiave API dell'IA rifiutata",
+    invalid_ai_key_description:
+      "Il tuo fornitore di IA ({provider}) ha rifiutato la chiave API. Controllala nella pagina di configurazione e reinstalla l'addon.",
+    invalid_tmdb_key_title: "Chiave API di TMDB rifiutata",
+    invalid_tmdb_key_description:
+      "TMDB ha rifiutato la tua chiave API. Controllala nella pagina di configurazione e reinstalla l'addon.",
+    quota_title: "Quota IA esaurita",
+    quota_description:
+      "La quota o il limite di richieste del tuo fornitore di IA ({provider}) è stato raggiunto. {reset}",
+    quota_reset_daily:
+      "La quota giornaliera di Gemini si azzera a mezzanotte, ora del Pacifico, tra circa {hours} h. Puoi anche usare un'altra chiave.",
+    quota_reset_soon: "Riprova tra qualche minuto o usa un'altra chiave.",
+    intent_mismatch_title: "Cerchi {other}?",
+    intent_mismatch_description:
+      'Questa ricerca sembra riguardare {other}, quindi qui non c\'è nulla. Guarda la riga {other} o cambia "Searches for One Content Type" nella pagina di configurazione.',
+    no_results_title: "Nessun risultato",
+    no_results_description:
+      "Niente corrisponde a «{query}». Prova con altre parole, meno filtri o un genere più ampio.",
+    error_title: "Qualcosa è andato storto",
+    error_description:
+      "La ricerca non è riuscita per un problema temporaneo. Riprova tra un momento.",
+    trakt_reconnect_title: "Ricollega Trakt",
+    trakt_reconnect_description:
+      "L'accesso a Trakt.tv è scaduto e non è stato possibile rinnovarlo, quindi i risultati non sono personalizzati. Accedi di nuovo a Trakt.tv nella pagina di configurazione e reinstalla l'addon.",
+    configure_title: "Apri configurazione",
+    configure_description:
+      "Apri il link di questo elemento per aggiornare la configurazione dell'addon.",
+    configure_link: "Configura addon",
+  },
+  pt: {
+    movie: "filmes",
+    series: "séries",
+    missing_config_title: "Addon não configurado",
+    missing_config_description:
+      "Este addon precisa das suas chaves de API para pesquisar. Abra a página de configuração, insira as chaves e instale o addon novamente.",
+    invalid_config_title: "Não foi possível ler a configuração",
+    invalid_config_description:
+      "A configuração do addon é inválida ou vem de uma versão anterior. Abra a página de configuração e instale o addon novamente.",
+    invalid_ai_key_title: "Chave de API da IA recusada",
+    invalid_ai_key_description:
+      "O seu fornecedor de IA ({provider}) recusou a chave de API. Verifique-a na página de configuração e instale o addon novamente.",
+    invalid_tmdb_key_title: "Chave de API do TMDB recusada",
+    invalid_tmdb_key_description:
+      "O TMDB recusou a sua chave de API. Verifique-a na página de configuração e instale o addon novamente.",
+    quota_title: "Cota de IA esgotada",
+    quota_description:
+      "A cota ou o limite de pedidos do seu fornecedor de IA ({provider}) foi atingido. {reset}",
+    quota_reset_daily:
+      "A cota diária do Gemini é renovada à meia-noite, hora do Pacífico, daqui a cerca de {hours} h. Também pode usar outra chave.",
+    quota_reset_soon:
+      "Tente novamente dentro de alguns minutos ou use outra chave.",
+    intent_mismatch_title: "Procura {other}?",
+    intent_mismatch_description:
+      'Esta pesquisa parece ser de {other}, por isso não há nada aqui. Veja a linha de {other} ou altere "Searches for One Content Type" na página de configuração.',
+    no_results_title: "Sem resultados",
+    no_results_description:
+      'Nada corresponde a "{query}". Tente outras palavras, menos filtros ou um género mais amplo.',
+    error_title: "Algo correu mal",
+    error_description:
+      "A pesquisa falhou devido a um problema temporário. Tente novamente daqui a pouco.",
+    trakt_reconnect_title: "Volte a ligar o Trakt",
+    trakt_reconnect_description:
+      "A sua sessão do Trakt.tv expirou e não foi possível renová-la, por isso os resultados não são personalizados. Inicie sessão no Trakt.tv novamente na página de configuração e reinstale o addon.",
+    configure_title: "Abrir configuração",
+    configure_description:
+      "Abra a ligação deste item para atualizar a configuração do addon.",
+    configure_link: "Configurar addon",
+  },
+};
+
+// Kinds that are fixed by changing the configuration get a second item
+// linking to the configuration page
+const CONFIGURATION_KINDS = [
+  "missing_config",
+  "invalid_config",
+  "invalid_ai_key",
+  "invalid_tmdb_key",
+  "intent_mismatch",
+  "trakt_reconnect",
+];
+
+/**
+ * Returns the message table for a TMDB language code (e.g. "fr-FR"),
+ * falling back to English
+ * @param {string} language
+ * @returns {Object}
+ */
+function getMessages(language) {
+  const code = (language || "en").split("-")[0].toLowerCase();
+  return { ...MESSAGES.en, ...MESSAGES[code] };
+}
+
+function formatMessage(template, values = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined ? values[key] : match
+  );
+}
+
+/**
+ * Hours until the daily Gemini quota resets (midnight Pacific Time)
+ * @param {Date} now
+ * @returns {number}
+ */
+function getHoursUntilQuotaReset(now = new Date()) {
+  const [hours, minutes] = new Intl.DateTimeFormat("en-US", {
+    timeZone: "America/Los_Angeles",
+    hour: "numeric",
+    minute: "numeric",
+    hourCycle: "h23",
+  })
+    .format(now)
+    .split(":")
+    .map((part) => parseInt(part));
+
+  return Math.max(1, Math.ceil(24 - hours - minutes / 60));
+}
+
+/**
+ * Picks the placeholder for an error thrown while building a catalog
+ * @param {Error} error
+ * @returns {string} - The placeholder kind
+ */
+function getPlaceholderKindForError(error) {
+  const status = error?.status;
+
+  // Errors from utils/aiProvider carry the provider name
+  if (error?.provider) {
+    if (error.isInvalidKey || status === 401 || status === 403) {
+      return "invalid_ai_key";
+    }
+    if (error.isRateLimit || status === 429) {
+      return "quota";
+    }
+  } else if (error?.isInvalidKey && /tmdb/i.test(error.message || "")) {
+    return "invalid_tmdb_key";
+  }
+
+  return "error";
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function wrapText(text, maxLineLength) {
+  const lines = [];
+  let line = "";
+
+  for (const word of text.split(/\s+/)) {
+    if (line && line.length + word.length + 1 > maxLineLength) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+
+  return lines;
+}
+
+/**
+ * Renders the poster of a placeholder as SVG
+ * @param {string} kind - The placeholder kind
+ * @param {string} language - TMDB language code
+ * @param {string} type - The catalog type (movie/series)
+ * @returns {string} - The SVG document
+ */
+function renderPlaceholderPoster(kind, language, type) {
+  const messages = getMessages(language);
+  const isConfigure = kind === "configure";
+  const title = formatMessage(
+    messages[`${kind}_title`] || messages.error_title,
+    {
+      other: messages[type === "series" ? "movie" : "series"],
+    }
+  );
+  const lines = wrapText(title, 16).slice(0, 4);
+  const firstLineY = 470 - (lines.length - 1) * 30;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="500" height="750" viewBox="0 0 500 750">
+  <defs>
+    <linearGradient id="background" x1="0" y1="0" x2="0" y2="1">
+      <stop offset="0" stop-color="#2b2d42"/>
+      <stop offset="1" stop-color="#11121c"/>
+    </linearGradient>
+  </defs>
+  <rect width="500" height="750" fill="url(#background)"/>
+  <circle cx="250" cy="260" r="90" fill="none" stroke="${
+    isConfigure ? "#7b5bf5" : "#f5a623"
+  }" stroke-width="12"/>
+  <text x="250" y="300" font-family="Arial, Helvetica, sans-serif" font-size="120" font-weight="bold" fill="${
+    isConfigure ? "#7b5bf5" : "#f5a623"
+  }" text-anchor="middle">${isConfigure ? "⚙" : "!"}</text>
+  ${lines
+    .map(
+      (line, index) =>
+        `<text x="250" y="${
+          firstLineY + index * 60
+        }" font-family="Arial, Helvetica, sans-serif" font-size="44" font-weight="bold" fill="#ffffff" text-anchor="middle">${escapeXml(
+          line
+        )}</text>`
+    )
+    .join("\n  ")}
+  <text x="250" y="700" font-family="Arial, Helvetica, sans-serif" font-size="26" fill="#9a9cb8" text-anchor="middle">AI Search</text>
+</svg>`;
+}
+
+/**
+ * Builds a placeholder meta
+ * @param {string} kind - The placeholder kind
+ * @param {Object} options
+ * @param {string} options.type - The catalog type (movie/series)
+ * @param {string} options.language - TMDB language code
+ * @param {string} options.baseUrl - Public url of the addon, used for the poster
+ * @param {string} options.configureUrl - The configuration page
+ * @param {string} [options.query] - The search query
+ * @param {string} [options.provider] - The AI provider name
+ * @returns {Object} - The Stremio meta
+ */
+function createPlaceholderMeta(kind, options) {
+  const { type, language, baseUrl, configureUrl, query, provider } = options;
+  const messages = getMessages(language);
+  const otherType = type === "movie" ? "series" : "movie";
+  const values = {
+    provider: provider || "AI",
+    query: query || "",
+    other: messages[otherType],
+    reset:
+      (provider || "gemini") === "gemini"
+        ? formatMessage(messages.quota_reset_daily, {
+            hours: getHoursUntilQuotaReset(),
+          })
+        : messages.quota_reset_soon,
+  };
+  const languageCode = (language || "en").split("-")[0].toLowerCase();
+
+  return {
+    // The query is part of the id so the meta view can repeat the message
+    id: `${PLACEHOLDER_ID_PREFIX}${kind}${
+      query ? `:${encodeURIComponent(query)}` : ""
+    }`,
+    type,
+    name: formatMessage(messages[`${kind}_title`], values),
+    description: formatMessage(messages[`${kind}_description`], values),
+    poster: `${baseUrl}/placeholder/${kind}.svg?lang=${languageCode}&type=${type}`,
+    posterShape: "regular",
+    links: configureUrl
+      ? [
+          {
+            name: messages.configure_link,
+            category: "Configuration",
+            url: configureUrl,
+          },
+        ]
+      : [],
+  };
+}
+
+/**
+ * Builds the placeholder items shown instead of an empty catalog: the
+ * explanation, and a link to the configuration page when that is the fix
+ * @param {string} kind - The placeholder kind
+ * @param {Object} options - See createPlaceholderMeta
+ * @returns {Array} - The metas
+ */
+function createPlaceholderMetas(kind, options) {
+  const metas = [createPlaceholderMeta(kind, options)];
+
+  if (CONFIGURATION_KINDS.includes(kind) && options.configureUrl) {
+    metas.push(createPlaceholderMeta("configure", options));
+  }
+
+  return metas;
+}
+
+/**
+ * Reads the kind and query back from a placeholder meta id
+ * @param {string} id
+ * @returns {{kind: string, query: string}|null} - null when it isn't a placeholder id
+ */
+function parsePlaceholderId(id) {
+  if (typeof id !== "string" || !id.startsWith(PLACEHOLDER_ID_PREFIX)) {
+    return null;
+  }
+
+  const [kind, ...queryParts] = id
+    .substring(PLACEHOLDER_ID_PREFIX.length)
+    .split(":");
+  if (!PLACEHOLDER_KINDS.includes(kind)) return null;
+
+  let query = "";
+  try {
+    query = decodeURIComponent(queryParts.join(":"));
+  } catch (error) {
+    // Malformed escapes only lose the query, the message still works
+  }
+
+  return { kind, query };
+}
+
+/**
+ * Checks if a meta id belongs to a placeholder
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isPlaceholderId(id) {
+  return parsePlaceholderId(id) !== null;
+}
+
+module.exports = {
+  PLACEHOLDER_ID_PREFIX,
+  PLACEHOLDER_KINDS,
+  createPlaceholderMeta,
+  createPlaceholderMetas,
+  getPlaceholderKindForError,
+  isPlaceholderId,
+  parsePlaceholderId,
+  renderPlaceholderPoster,
+};
@@ -0,0 +1,53 @@
+/**
+ * Hashes a string into a 32 bit seed (FNV-1a)
+ * @param {string} value
+ * @returns {number}
+ */
+function hashSeed(value) {
+  let hash = 0x811c9dc5;
+  const text = String(value);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a random number generator that always returns the same sequence for
+ * the same seed (mulberry32), a drop-in replacement for Math.random
+ * @param {string|number} seed
+ * @returns {function(): number} - Returns numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = typeof seed === "number" ? seed >>> 0 : hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffles a copy of the array (Fisher-Yates); the same seed gives the same order
+ * @param {Array} items
+ * @param {string|number} seed
+ * @returns {Array}
+ */
+function seededShuffle(items, seed) {
+  const random = createSeededRandom(seed);
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+module.exports = {
+  createSeededRandom,
+  hashSeed,
+  seededShuffle,
+};
@@ -0,0 +1,363 @@
+// Trakt ratings go from 1 to 10
+const LIKED_RATING = 7;
+const DISLIKED_RATING = 4;
+
+// A watch or rating loses half its weight every year
+const DECAY_HALF_LIFE_DAYS = 365;
+// Watching something without rating it is a weak positive signal
+const UNRATED_WATCH_SCORE = 0.3;
+// Each rewatch adds this much weight, up to MAX_REWATCH_FACTOR
+const REWATCH_BONUS = 0.5;
+const MAX_REWATCH_FACTOR = 2.5;
+// Features scoring closer to zero than this are left out of the profile
+const MIN_FEATURE_SCORE = 0.05;
+// Billed actors of a title that count towards the profile
+const MAX_CREDITED_ACTORS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isLikedRating(rating) {
+  return rating >= LIKED_RATING;
+}
+
+function isDislikedRating(rating) {
+  return rating > 0 && rating <= DISLIKED_RATING;
+}
+
+/**
+ * Maps a 1-10 rating to -1 (hated) .. 1 (loved), 5.5 being neutral
+ * @param {number} rating
+ * @returns {number}
+ */
+function normalizeRating(rating) {
+  const clamped = Math.min(10, Math.max(1, rating));
+  return (clamped - 5.5) / 4.5;
+}
+
+/**
+ * Weight of a signal from its age, 1 for now, 0.5 after DECAY_HALF_LIFE_DAYS
+ * @param {string} date - ISO date of the watch or rating
+ * @param {number} now - Reference time in ms
+ * @returns {number}
+ */
+function getDecayWeight(date, now = Date.now()) {
+  const time = Date.parse(date);
+  if (isNaN(time)) return 0.5;
+  const ageDays = Math.max(0, (now - time) / DAY_MS);
+  return Math.pow(0.5, ageDays / DECAY_HALF_LIFE_DAYS);
+}
+
+function getMediaKey(media) {
+  return media?.ids?.trakt
+    ? String(media.ids.trakt)
+    : `${(media?.title || "").toLowerCase()}_${media?.year || ""}`;
+}
+
+function getLatestDate(...dates) {
+  return dates
+    .filter((date) => date && !isNaN(Date.parse(date)))
+    .sort((a, b) => Date.parse(b) - Date.parse(a))[0];
+}
+
+/**
+ * Counts plays per title from the history. A show counts as rewatched when
+ * it has more episode plays than distinct episodes.
+ * @param {Array} history - Trakt history entries
+ * @returns {Map<string, {plays: number, lastWatchedAt: string}>}
+ */
+function countHistoryPlays(history) {
+  const plays = new Map();
+
+  history?.forEach((entry) => {
+    const media = entry.movie || entry.show;
+    if (!media) return;
+
+    const key = getMediaKey(media);
+    const current = plays.get(key) || {
+      plays: 0,
+      episodes: new Set(),
+      lastWatchedAt: null,
+    };
+    current.plays++;
+    if (entry.episode) {
+      current.episodes.add(
+        entry.episode.ids?.trakt ||
+          `${entry.episode.season}x${entry.episode.number}`
+      );
+    }
+    current.lastWatchedAt = getLatestDate(
+      current.lastWatchedAt,
+      entry.watched_at
+    );
+    plays.set(key, current);
+  });
+
+  return new Map(
+    Array.from(plays.entries()).map(([key, value]) => [
+      key,
+      {
+        plays:
+          value.episodes.size > 0
+            ? value.plays / value.episodes.size
+            : value.plays,
+        lastWatchedAt: value.lastWatchedAt,
+      },
+    ])
+  );
+}
+
+/**
+ * Collects everything we know about each title into one entry
+ * @returns {Map<string, {media: Object, rating: number, ratedAt: string, plays: number, lastWatchedAt: string}>}
+ */
+function collectTitles(watched, rated, history) {
+  const titles = new Map();
+  const historyPlays = countHistoryPlays(history);
+
+  const getEntry = (media) => {
+    const key = getMediaKey(media);
+    if (!titles.has(key)) {
+      titles.set(key, {
+        media,
+        rating: null,
+        ratedAt: null,
+        plays: 0,
+        lastWatchedAt: null,
+      });
+    }
+    return titles.get(key);
+  };
+
+  watched?.forEach((item) => {
+    const media = item.movie || item.show;
+    if (!media) return;
+    const entry = getEntry(media);
+    // Show plays count episodes, so only movies take rewatches from here
+    entry.plays = Math.max(entry.plays, item.movie ? item.plays || 1 : 1);
+    entry.lastWatchedAt = getLatestDate(
+      entry.lastWatchedAt,
+      item.last_watched_at
+    );
+  });
+
+  rated?.forEach((item) => {
+    const media = item.movie || item.show;
+    if (!media || !item.rating) return;
+    const entry = getEntry(media);
+    entry.rating = item.rating;
+    entry.ratedAt = item.rated_at;
+  });
+
+  historyPlays.forEach((value, key) => {
+    const entry = titles.get(key);
+    if (!entry) return;
+    entry.plays = Math.max(entry.plays, value.plays);
+    entry.lastWatchedAt = getLatestDate(
+      entry.lastWatchedAt,
+      value.lastWatchedAt
+    );
+  });
+
+  return titles;
+}
+
+/**
+ * Scores a title from -1 to 1 (times the rewatch factor): the rating when
+ * there is one, a weak positive otherwise, faded by the age of the latest
+ * watch or rating
+ * @returns {number}
+ */
+function scoreTitle(entry, now) {
+  const baseScore =
+    entry.rating !== null ? normalizeRating(entry.rating) : UNRATED_WATCH_SCORE;
+  const decay = getDecayWeight(
+    getLatestDate(entry.ratedAt, entry.lastWatchedAt),
+    now
+  );
+
+  // Coming back to a title says you like it, not that you hate it more
+  const rewatches = Math.max(0, entry.plays - 1);
+  const rewatchFactor =
+    baseScore > 0
+      ? Math.min(MAX_REWATCH_FACTOR, 1 + REWATCH_BONUS * rewatches)
+      : 1;
+
+  return baseScore * decay * rewatchFactor;
+}
+
+function getDecade(year) {
+  const parsed = parseInt(year);
+  return parsed ? `${Math.floor(parsed / 10) * 10}s` : null;
+}
+
+// Trakt lists don't include people, even with extended=full, so actors and
+// directors come from the credits loaded for the title, if any
+function getFeatures(media, credits) {
+  return {
+    genres: media.genres || [],
+    actors: credits?.actors || [],
+    directors: credits?.directors || [],
+    decades: [getDecade(media.year)].filter(Boolean),
+  };
+}
+
+/**
+ * Reads the actors and directors of a title from a Trakt
+ * /movies/:id/people or /shows/:id/people response
+ * @param {Object} people - The Trakt response ({cast, crew})
+ * @returns {{actors: string[], directors: string[]}}
+ */
+function parseTraktPeople(people) {
+  return {
+    actors: (people?.cast || [])
+      .map((credit) => credit.person?.name)
+      .filter(Boolean)
+      .slice(0, MAX_CREDITED_ACTORS),
+    directors: [
+      ...new Set(
+        (people?.crew?.directing || [])
+          .filter((credit) =>
+            (credit.jobs || [credit.job]).includes("Director")
+          )
+          .map((credit) => credit.person?.name)
+          .filter(Boolean)
+      ),
+    ],
+  };
+}
+
+/**
+ * Returns the titles that weigh the most in the taste profile, liked or
+ * disliked, so their people can be loaded
+ * @param {Array} watched - Trakt watched items
+ * @param {Array} rated - Trakt rated items
+ * @param {Array} history - Trakt history entries
+ * @param {Object} options - { limit, now }
+ * @returns {Array<{key: string, media: Object, score: number}>}
+ */
+function getTopWeightedTitles(watched, rated, history, options = {}) {
+  const { limit = 20, now = Date.now() } = options;
+
+  return Array.from(collectTitles(watched, rated, history).entries())
+    .map(([key, entry]) => ({
+      key,
+      media: entry.media,
+      score: scoreTitle(entry, now),
+    }))
+    .filter((title) => title.score !== 0)
+    .sort((a, b) => Math.abs(b.score) - Math.abs(a.score))
+    .slice(0, limit);
+}
+
+function splitLikesAndDislikes(scores, limit) {
+  const entries = Array.from(scores.entries()).map(([name, score]) => ({
+    name,
+    score: Number(score.toFixed(2)),
+  }));
+
+  return {
+    likes: entries
+      .filter((entry) => entry.score >= MIN_FEATURE_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit),
+    dislikes: entries
+      .filter((entry) => entry.score <= -MIN_FEATURE_SCORE)
+      .sort((a, b) => a.score - b.score)
+      .slice(0, limit),
+  };
+}
+
+/**
+ * Builds the user's taste profile from their Trakt data. Every title gets a
+ * score from its 1-10 rating (or a weak positive when only watched), faded
+ * by age and boosted by rewatches; genres, people and decades add up the
+ * scores of their titles.
+ * @param {Array} watched - Trakt watched items
+ * @param {Array} rated - Trakt rated items
+ * @param {Array} history - Trakt history entries
+ * @param {Object} options - { limit, now, credits }, credits being the
+ *   actors and directors of titles by media key (see parseTraktPeople)
+ * @returns {{genres: {likes: Array, dislikes: Array}, actors: {likes: Array, dislikes: Array}, directors: {likes: Array, dislikes: Array}, decades: {likes: Array, dislikes: Array}, titleCount: number}}
+ */
+function buildTasteProfile(watched, rated, history, options = {}) {
+  const { limit = 5, now = Date.now(), credits = new Map() } = options;
+  const scores = {
+    genres: new Map(),
+    actors: new Map(),
+    directors: new Map(),
+    decades: new Map(),
+  };
+
+  const titles = collectTitles(watched, rated, history);
+  titles.forEach((entry, key) => {
+    const score = scoreTitle(entry, now);
+    if (score === 0) return;
+
+    const features = getFeatures(entry.media, credits.get(key));
+    Object.entries(features).forEach(([kind, names]) => {
+      names.forEach((name) => {
+        scores[kind].set(name, (scores[kind].get(name) || 0) + score);
+      });
+    });
+  });
+
+  return {
+    genres: splitLikesAndDislikes(scores.genres, limit),
+    actors: splitLikesAndDislikes(scores.actors, limit),
+    directors: splitLikesAndDislikes(scores.directors, limit),
+    decades: splitLikesAndDislikes(scores.decades, limit),
+    titleCount: titles.size,
+  };
+}
+
+/**
+ * Formats the taste profile as prompt lines
+ * @param {Object} profile - From buildTasteProfile
+ * @param {Object} options - { includeGenres }
+ * @returns {string[]}
+ */
+function formatTasteProfile(profile, options = {}) {
+  const { includeGenres = true } = options;
+  if (!profile) return [];
+
+  const sections = [
+    includeGenres && ["Genres", profile.genres],
+    ["Actors", profile.actors],
+    ["Directors", profile.directors],
+    ["Decades", profile.decades],
+  ].filter(Boolean);
+
+  const lines = [];
+  sections.forEach(([label, { likes, dislikes }]) => {
+    if (likes.length > 0) {
+      lines.push(
+        `${label} they like: ${likes
+          .map((entry) => `${entry.name} (${entry.score})`)
+          .join(", ")}`
+      );
+    }
+    if (dislikes.length > 0) {
+      lines.push(
+        `${label} they dislike: ${dislikes
+          .map((entry) => `${entry.name} (${entry.score})`)
+          .join(", ")}`
+      );
+    }
+  });
+
+  return lines;
+}
+
+module.exports = {
+  LIKED_RATING,
+  DISLIKED_RATING,
+  isLikedRating,
+  isDislikedRating,
+  normalizeRating,
+  getDecayWeight,
+  getMediaKey,
+  parseTraktPeople,
+  getTopWeightedTitles,
+  buildTasteProfile,
+  formatTasteProfile,
+};
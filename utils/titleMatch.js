@@ -0,0 +1,154 @@
+// Weights of the match score components, they add up to 1
+const TITLE_WEIGHT = 0.6;
+const YEAR_WEIGHT = 0.25;
+const POPULARITY_WEIGHT = 0.15;
+// Results whose title is less similar than this are never a match, however
+// well their year and popularity score
+const MIN_TITLE_SCORE = 0.5;
+
+/**
+ * Normalizes a title for comparison: lowercase, no accents, no punctuation,
+ * "&" spelled out and a leading article removed
+ * @param {string} title
+ * @returns {string}
+ */
+function normalizeTitle(title) {
+  return (title || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/^\s*(the|a|an)\s+/, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function getBigrams(text) {
+  const compact = text.replace(/\s/g, "");
+  const bigrams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const bigram = compact.substring(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  return bigrams;
+}
+
+/**
+ * Similarity of two titles between 0 and 1 (Dice coefficient on character bigrams)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function titleSimilarity(a, b) {
+  const first = normalizeTitle(a);
+  const second = normalizeTitle(b);
+
+  if (!first || !second) return 0;
+  if (first === second) return 1;
+
+  const firstBigrams = getBigrams(first);
+  const secondBigrams = getBigrams(second);
+  const total =
+    [...firstBigrams.values()].reduce((sum, count) => sum + count, 0) +
+    [...secondBigrams.values()].reduce((sum, count) => sum + count, 0);
+
+  if (total === 0) return 0;
+
+  let overlap = 0;
+  for (const [bigram, count] of firstBigrams) {
+    overlap += Math.min(count, secondBigrams.get(bigram) || 0);
+  }
+
+  return (2 * overlap) / total;
+}
+
+/**
+ * Scores how well a TMDB search result matches the title and year we looked for
+ * @param {Object} result - A TMDB search result (movie or tv)
+ * @param {string} title - The title we searched for
+ * @param {number|string} year - The expected release year, if known
+ * @returns {{score: number, titleScore: number, yearScore: number, popularityScore: number}}
+ */
+function scoreTmdbResult(result, title, year) {
+  const titleScore = Math.max(
+    titleSimilarity(title, result.title || result.name),
+    titleSimilarity(title, result.original_title || result.original_name)
+  );
+
+  const expectedYear = parseInt(year);
+  const resultYear = parseInt(
+    (result.release_date || result.first_air_date || "").substring(0, 4)
+  );
+  let yearScore = 0.5; // Neutral when either year is unknown
+  if (!isNaN(expectedYear) && !isNaN(resultYear)) {
+    const difference = Math.abs(expectedYear - resultYear);
+    yearScore = difference === 0 ? 1 : difference === 1 ? 0.8 : 0;
+  }
+
+  // Vote count separates the well known title from obscure namesakes;
+  // 10k votes or more gets the full score
+  const popularityScore = Math.min(
+    1,
+    Math.log10((result.vote_count || 0) + 1) / 4
+  );
+
+  return {
+    score:
+      TITLE_WEIGHT * titleScore +
+      YEAR_WEIGHT * yearScore +
+      POPULARITY_WEIGHT * popularityScore,
+    titleScore,
+    yearScore,
+    popularityScore,
+  };
+}
+
+/**
+ * Picks the TMDB search result that best matches the title and year
+ * @param {Array} results - TMDB search results
+ * @param {string} title - The title we searched for
+ * @param {number|string} year - The expected release year, if known
+ * @returns {{result: Object, confidence: number, titleScore: number, yearScore: number}|null}
+ *   - null when no result has a title similar enough (MIN_TITLE_SCORE) and
+ *   TMDB's top result isn't from the expected year
+ */
+function pickBestTmdbMatch(results, title, year) {
+  let best = null;
+
+  for (const result of results || []) {
+    const { score, titleScore, yearScore } = scoreTmdbResult(
+      result,
+      title,
+      year
+    );
+    if (titleScore < MIN_TITLE_SCORE) continue;
+    if (!best || score > best.confidence) {
+      best = { result, confidence: score, titleScore, yearScore };
+    }
+  }
+
+  // TMDB also matches alternative titles, e.g. the English title of a foreign
+  // film searched in another language, so its top result is trusted when the
+  // year matches
+  if (!best && results?.length) {
+    const { score, titleScore, yearScore } = scoreTmdbResult(
+      results[0],
+      title,
+      year
+    );
+    if (yearScore === 1) {
+      best = { result: results[0], confidence: score, titleScore, yearScore };
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  MIN_TITLE_SCORE,
+  normalizeTitle,
+  titleSimilarity,
+  scoreTmdbResult,
+  pickBestTmdbMatch,
+};
@@ -0,0 +1,42 @@
+const fetch = require("node-fetch").default;
+
+const TRAKT_API_BASE = "https://api.trakt.tv";
+const TRAKT_CLIENT_ID = process.env.TRAKT_CLIENT_ID;
+const TRAKT_CLIENT_SECRET = process.env.TRAKT_CLIENT_SECRET;
+
+/**
+ * Exchanges a Trakt refresh token for new tokens. Trakt rotates refresh
+ * tokens, so the one passed in can't be used again once this succeeds.
+ * @param {string} refreshToken - The Trakt refresh token
+ * @returns {Promise<{access_token: string, refresh_token: string, expires_in: number}>}
+ * @throws {Error} - With status, and isInvalidKey when Trakt rejected the refresh token
+ */
+async function refreshTraktToken(refreshToken) {
+  const response = await fetch(`${TRAKT_API_BASE}/oauth/token`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      refresh_token: refreshToken,
+      client_id: TRAKT_CLIENT_ID,
+      client_secret: TRAKT_CLIENT_SECRET,
+      grant_type: "refresh_token",
+    }),
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Failed to refresh token: ${response.status}`);
+    error.status = response.status;
+    // Trakt answers invalid_grant (revoked or already used token) with 400/401
+    error.isInvalidKey = [400, 401, 403].includes(response.status);
+    throw error;
+  }
+
+  return response.json();
+}
+
+module.exports = {
+  TRAKT_API_BASE,
+  refreshTraktToken,
+};
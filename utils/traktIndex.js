@@ -0,0 +1,51 @@
+/**
+ * Builds an id index of Trakt items (watched, history, ratings...), so checking
+ * a title is a lookup instead of a scan of every list. TMDB and Trakt ids are
+ * only unique per kind, so they are stored as "movie:<id>" or "tv:<id>".
+ * @param {...Array} lists - Trakt items with a movie or show
+ * @returns {{imdb: Set<string>, tmdb: Set<string>, trakt: Set<string>}}
+ */
+function buildTraktIdIndex(...lists) {
+  const index = {
+    imdb: new Set(),
+    tmdb: new Set(),
+    trakt: new Set(),
+  };
+
+  lists.forEach((items) => {
+    items?.forEach((item) => {
+      const media = item.movie || item.show;
+      const ids = media?.ids;
+      if (!ids) return;
+
+      const kind = item.movie ? "movie" : "tv";
+      if (ids.imdb) index.imdb.add(ids.imdb);
+      if (ids.tmdb) index.tmdb.add(`${kind}:${ids.tmdb}`);
+      if (ids.trakt) index.trakt.add(`${kind}:${ids.trakt}`);
+    });
+  });
+
+  return index;
+}
+
+/**
+ * Checks if any of a title's resolved ids is in the index
+ * @param {Object} index - From buildTraktIdIndex
+ * @param {Object} ids - { type, imdbId, tmdbId, traktId }, type being movie or series
+ * @returns {boolean}
+ */
+function hasTraktId(index, { type, imdbId, tmdbId, traktId }) {
+  if (!index) return false;
+
+  const kind = type === "movie" ? "movie" : "tv";
+  return (
+    (!!imdbId && index.imdb.has(imdbId)) ||
+    (!!tmdbId && index.tmdb.has(`${kind}:${tmdbId}`)) ||
+    (!!traktId && index.trakt.has(`${kind}:${traktId}`))
+  );
+}
+
+module.exports = {
+  buildTraktIdIndex,
+  hasTraktId,
+};
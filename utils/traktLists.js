@@ -0,0 +1,149 @@
+const fetch = require("node-fetch").default;
+const { TRAKT_API_BASE } = require("./traktAuth");
+
+const TRAKT_CLIENT_ID = process.env.TRAKT_CLIENT_ID;
+// Titles a "Save results to Trakt" link can carry
+const MAX_LIST_ITEMS = 100;
+
+/**
+ * Calls the Trakt API as the user
+ * @param {string} path - The API path, e.g. "/users/me/lists"
+ * @param {string} accessToken - The user's Trakt access token
+ * @param {Object} options - { method, body }
+ * @returns {Promise<Object|null>}
+ * @throws {Error} - With status, isInvalidKey when Trakt rejected the token
+ *   and isLimitReached when the account can't have more lists
+ */
+async function traktRequest(path, accessToken, options = {}) {
+  const response = await fetch(`${TRAKT_API_BASE}${path}`, {
+    method: options.method || "GET",
+    headers: {
+      "Content-Type": "application/json",
+      "trakt-api-version": "2",
+      "trakt-api-key": TRAKT_CLIENT_ID,
+      Authorization: `Bearer ${accessToken}`,
+    },
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Trakt API error: ${response.status}`);
+    error.status = response.status;
+    error.isInvalidKey = response.status === 401;
+    // Trakt answers 420 when the account reached its list limit
+    error.isLimitReached = response.status === 420;
+    throw error;
+  }
+
+  return response.status === 204 ? null : response.json();
+}
+
+/**
+ * Finds the user's list with this name, or creates it as a private list
+ * @returns {Promise<{list: Object, created: boolean}>}
+ */
+async function findOrCreateTraktList(accessToken, name, description) {
+  const lists = await traktRequest("/users/me/lists", accessToken);
+  const existing = (lists || []).find((list) => list.name === name);
+  if (existing) {
+    return { list: existing, created: false };
+  }
+
+  const list = await traktRequest("/users/me/lists", accessToken, {
+    method: "POST",
+    body: {
+      name,
+      description,
+      privacy: "private",
+      display_numbers: true,
+      allow_comments: false,
+    },
+  });
+  return { list, created: true };
+}
+
+/**
+ * Adds titles to a named private Trakt list, creating the list when needed.
+ * Titles already on the list stay where they are.
+ * @param {string} accessToken - The user's Trakt access token
+ * @param {Object} options
+ * @param {string} options.name - The list name
+ * @param {string} options.description - The description of a new list
+ * @param {string} options.type - The content type (movie/series)
+ * @param {Array<Object>} options.items - The ids of each title, e.g. { imdb: "tt0111161", tmdb: 278, trakt: 481 }
+ * @returns {Promise<{name: string, url: string|null, created: boolean, added: number, existing: number, notFound: number}>}
+ */
+async function saveToTraktList(
+  accessToken,
+  { name, description, type, items }
+) {
+  const { list, created } = await findOrCreateTraktList(
+    accessToken,
+    name,
+    description
+  );
+  const key = type === "movie" ? "movies" : "shows";
+
+  const result = await traktRequest(
+    `/users/me/lists/${list.ids.trakt}/items`,
+    accessToken,
+    {
+      method: "POST",
+      body: { [key]: items.map((ids) => ({ ids })) },
+    }
+  );
+
+  return {
+    name: list.name,
+    url: list.user?.ids?.slug
+      ? `https://trakt.tv/users/${list.user.ids.slug}/lists/${list.ids.slug}`
+      : null,
+    created,
+    added: result?.added?.[key] || 0,
+    existing: result?.existing?.[key] || 0,
+    notFound: result?.not_found?.[key]?.length || 0,
+  };
+}
+
+/**
+ * Encodes the ids of search results for a "Save results to Trakt" link, so
+ * the link works without the server remembering the results:
+ * "tt0111161.278,tt0068646.238.1", IMDb id, then TMDB and Trakt ids when known
+ * @param {Array<Object>} metas - Stremio metas, with moviedb_id and trakt_id when resolved
+ * @returns {string}
+ */
+function formatTraktListItems(metas) {
+  return metas
+    .filter((meta) => /^tt\d+$/.test(meta.id))
+    .slice(0, MAX_LIST_ITEMS)
+    .map((meta) =>
+      [meta.id, meta.moviedb_id || "", meta.trakt_id || ""]
+        .join(".")
+        .replace(/\.+$/, "")
+    )
+    .join(",");
+}
+
+/**
+ * Decodes the ids of a "Save results to Trakt" link
+ * @param {string} value - From formatTraktListItems
+ * @returns {Array<Object>} - The ids of each title, e.g. { imdb: "tt0111161", tmdb: 278 }
+ */
+function parseTraktListItems(value) {
+  return String(value || "")
+    .split(",")
+    .map((entry) => entry.trim().match(/^(tt\d+)(?:\.(\d*))?(?:\.(\d+))?$/))
+    .filter(Boolean)
+    .slice(0, MAX_LIST_ITEMS)
+    .map(([, imdb, tmdb, trakt]) => ({
+      imdb,
+      ...(tmdb && { tmdb: parseInt(tmdb) }),
+      ...(trakt && { trakt: parseInt(trakt) }),
+    }));
+}
+
+module.exports = {
+  saveToTraktList,
+  formatTraktListItems,
+  parseTraktListItems,
+};
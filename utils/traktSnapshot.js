@@ -0,0 +1,123 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const logger = require("./logger");
+const { encryptConfig, decryptConfig } = require("./crypto");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// One file per user and content type, next to the cache files saved by the server
+const SNAPSHOT_FOLDER = path.join(__dirname, "..", "cache_data", "trakt");
+const SNAPSHOT_EXTENSION = ".snapshot";
+const MAX_SNAPSHOTS = 2000;
+const MAX_SNAPSHOT_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+const PRUNE_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+
+function getSnapshotPath(key) {
+  const fileName = crypto.createHash("sha256").update(key).digest("hex");
+  return path.join(SNAPSHOT_FOLDER, `${fileName}${SNAPSHOT_EXTENSION}`);
+}
+
+/**
+ * Loads the raw Trakt data saved for a user
+ * @param {string} key - Identifies the user and content type
+ * @returns {Promise<Object|null>} - The saved raw data cache entry, or null
+ */
+async function loadTraktSnapshot(key) {
+  try {
+    const encrypted = await fs.promises.readFile(getSnapshotPath(key), "utf8");
+    const compressed = decryptConfig(encrypted);
+    if (!compressed) {
+      logger.warn("Trakt snapshot can't be decrypted");
+      return null;
+    }
+    const snapshot = JSON.parse(
+      (await gunzip(Buffer.from(compressed, "base64"))).toString()
+    );
+
+    if (!snapshot?.data || Date.now() - snapshot.timestamp > MAX_SNAPSHOT_AGE) {
+      return null;
+    }
+    return snapshot;
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.warn("Failed to load Trakt snapshot", { error: error.message });
+    }
+    return null;
+  }
+}
+
+/**
+ * Removes expired snapshots and the oldest ones beyond MAX_SNAPSHOTS
+ */
+async function pruneTraktSnapshots() {
+  const files = await fs.promises.readdir(SNAPSHOT_FOLDER);
+  const snapshots = await Promise.all(
+    files
+      .filter((file) => file.endsWith(SNAPSHOT_EXTENSION))
+      .map(async (file) => {
+        const filePath = path.join(SNAPSHOT_FOLDER, file);
+        const stats = await fs.promises.stat(filePath);
+        return { filePath, modified: stats.mtimeMs };
+      })
+  );
+
+  const now = Date.now();
+  const expired = snapshots
+    .sort((a, b) => b.modified - a.modified)
+    .filter(
+      (snapshot, index) =>
+        index >= MAX_SNAPSHOTS || now - snapshot.modified > MAX_SNAPSHOT_AGE
+    );
+
+  await Promise.all(
+    expired.map((snapshot) => fs.promises.unlink(snapshot.filePath))
+  );
+
+  if (expired.length > 0) {
+    logger.info("Pruned Trakt snapshots", {
+      removed: expired.length,
+      remaining: snapshots.length - expired.length,
+    });
+  }
+}
+
+// Pruning reads every file, so it runs on a timer rather than on every save
+setInterval(() => {
+  pruneTraktSnapshots().catch((error) => {
+    if (error.code !== "ENOENT") {
+      logger.warn("Failed to prune Trakt snapshots", { error: error.message });
+    }
+  });
+}, PRUNE_INTERVAL).unref();
+
+/**
+ * Saves the raw Trakt data of a user, so a cache eviction or restart doesn't
+ * mean fetching their whole history again. The caller bounds the lists.
+ * Snapshots hold the user's viewing history, so they are encrypted like the
+ * stored Trakt tokens.
+ * @param {string} key - Identifies the user and content type
+ * @param {Object} snapshot - The raw data cache entry
+ */
+async function saveTraktSnapshot(key, snapshot) {
+  try {
+    const compressed = await gzip(JSON.stringify(snapshot));
+    const encrypted = encryptConfig(compressed.toString("base64"));
+    if (!encrypted) {
+      throw new Error("Snapshot encryption failed");
+    }
+
+    await fs.promises.mkdir(SNAPSHOT_FOLDER, { recursive: true });
+    await fs.promises.writeFile(getSnapshotPath(key), encrypted);
+  } catch (error) {
+    logger.warn("Failed to save Trakt snapshot", { error: error.message });
+  }
+}
+
+module.exports = {
+  loadTraktSnapshot,
+  saveTraktSnapshot,
+};